@@ -21,6 +21,7 @@ export default [
                 require: "readonly",
                 exports: "readonly",
                 fetch: "readonly", // Add fetch as a global for Node.js 18+
+                AbortController: "readonly",
             },
         },
         plugins: {
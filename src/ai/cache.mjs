@@ -0,0 +1,144 @@
+// ai/cache.mjs
+// Local cache of AI responses under .gen-mr/cache, keyed by a hash of the request
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { getGenerationParams } from "./generation-params.mjs";
+
+/**
+ * Directory holding cached AI responses (per repository)
+ * @returns {string} Absolute cache directory path
+ */
+export const getCacheDir = () => path.resolve(process.cwd(), ".gen-mr", "cache");
+
+/**
+ * Build the cache key of an AI request
+ * @param {object} request
+ * @param {string} request.provider - Provider name
+ * @param {string} request.model - Model name
+ * @param {string} [request.endpoint] - API endpoint, for providers with configurable ones
+ * @param {string} request.prompt - Final prompt
+ * @param {object} [request.responseSchema] - Structured output schema, if requested
+ * @param {object} [request.params] - Generation parameters (temperature, system prompt, ...)
+ * @param {number} [request.variant] - Candidate index when several variants are requested
+ * @param {object[]} [request.history] - Earlier conversation turns sent with the prompt
+ * @returns {string} Hex SHA-256 hash
+ */
+export const getCacheKey = ({
+    provider,
+    model,
+    endpoint,
+    prompt,
+    responseSchema,
+    params,
+    variant,
+    history,
+}) =>
+    crypto
+        .createHash("sha256")
+        .update(
+            JSON.stringify({
+                provider,
+                model,
+                ...(endpoint ? { endpoint } : {}),
+                prompt,
+                responseSchema: responseSchema || null,
+                ...(params ? { params } : {}),
+                ...(variant ? { variant } : {}),
+                ...(history?.length ? { history } : {}),
+            })
+        )
+        .digest("hex");
+
+/**
+ * Read a cached response
+ * @param {string} key - Cache key
+ * @returns {Promise<{ content: string, model: string, createdAt: string }|null>} Entry or null on a miss
+ */
+export const readCachedResponse = async (key) => {
+    try {
+        const data = await fs.readFile(path.join(getCacheDir(), `${key}.json`), "utf8");
+        const entry = JSON.parse(data);
+        return typeof entry.content === "string" ? entry : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Store a response in the cache. Failures are ignored: caching is best-effort.
+ * @param {string} key - Cache key
+ * @param {{ provider: string, content: string, model: string }} entry - Response to store
+ * @returns {Promise<void>}
+ */
+export const writeCachedResponse = async (key, entry) => {
+    try {
+        const cacheDir = getCacheDir();
+        await fs.mkdir(cacheDir, { recursive: true });
+        await fs.writeFile(
+            path.join(cacheDir, `${key}.json`),
+            JSON.stringify({ ...entry, createdAt: new Date().toISOString() }, null, 2),
+            "utf8"
+        );
+    } catch {
+        // ignore
+    }
+};
+
+/**
+ * Remove all cached responses
+ * @returns {Promise<number>} Number of removed entries
+ */
+export const clearAiCache = async () => {
+    const cacheDir = getCacheDir();
+    let entries = [];
+    try {
+        entries = (await fs.readdir(cacheDir)).filter((name) => name.endsWith(".json"));
+    } catch {
+        return 0;
+    }
+    await Promise.all(entries.map((name) => fs.rm(path.join(cacheDir, name), { force: true })));
+    return entries.length;
+};
+
+/**
+ * Call provider.generate through the cache (unless the provider opts out with cacheable: false)
+ * @param {object} provider - AI provider descriptor
+ * @param {string} prompt - Prompt to send
+ * @param {object} options - Options for provider.generate ({ config, model, responseSchema, ... })
+ * @param {object} [cacheOptions]
+ * @param {boolean} [cacheOptions.useCache] - Read from the cache (responses are always stored)
+ * @returns {Promise<{ content: string, model: string, cached?: boolean }>} Provider response
+ */
+export const generateWithCache = async (provider, prompt, options, { useCache = true } = {}) => {
+    if (provider.cacheable === false) {
+        return provider.generate(prompt, options);
+    }
+
+    const key = getCacheKey({
+        provider: provider.name,
+        model: options.model,
+        endpoint: options.config ? provider.getEndpoint?.(options.config) : undefined,
+        prompt,
+        responseSchema: options.responseSchema,
+        params: options.config ? await getGenerationParams(options.config) : undefined,
+        variant: options.variant,
+        history: options.history,
+    });
+
+    if (useCache) {
+        const cached = await readCachedResponse(key);
+        if (cached) {
+            return { content: cached.content, model: cached.model, cached: true };
+        }
+    }
+
+    const response = await provider.generate(prompt, options);
+    await writeCachedResponse(key, {
+        provider: provider.name,
+        model: response.model,
+        content: response.content,
+    });
+    return response;
+};
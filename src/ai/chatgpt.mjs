@@ -1,11 +1,28 @@
 // ai/chatgpt.mjs
-// Handles ChatGPT (OpenAI) token configuration and storage
+// Handles ChatGPT (OpenAI) token configuration and storage, including
+// OpenAI-compatible endpoints (Ollama, vLLM, LM Studio, Azure OpenAI)
 
 import fs from "fs/promises";
 import path from "path";
 import os from "os";
 import readline from "readline";
+import { URL } from "url";
+import { getConfig } from "../config/common.mjs";
+import { readServerSentEvents } from "./sse.mjs";
+import { httpFetch } from "../utils/http-client.mjs";
+import { fetchWithRetry, getRetryOptions } from "./retry.mjs";
+import { createApiError, wrapApiError } from "./errors.mjs";
+import { DEFAULT_MAX_OUTPUT_TOKENS } from "./tokens.mjs";
+import { findModel, getModelCacheKey, listAvailableModels } from "./model-catalog.mjs";
+import {
+    DEFAULT_SYSTEM_PROMPT,
+    DEFAULT_TEMPERATURE,
+    getGenerationParams,
+} from "./generation-params.mjs";
 
+export const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+// Built-in list, used when the models endpoint cannot be reached
 export const CHATGPT_MODELS = [
     "gpt-4o",
     "gpt-4o-mini",
@@ -28,9 +45,19 @@ export const showAiTokenConfigHelp = () => {
     );
     console.log("  gen-pr --create-ai-token ChatGPT -g       Save token globally (short form)");
     console.log("");
+    console.log("  gen-pr --create-ai-token Claude           Set up Claude (Anthropic) instead");
+    console.log(
+        "  gen-pr --create-ai-token Local            Use an OpenAI-compatible endpoint (Ollama, vLLM, Azure...)"
+    );
+    console.log("");
     console.log(
         "Supported LLM aliases (case-insensitive) for ChatGPT: ChatGPT, OpenAI, GPT, GPT-3.5, GPT-4"
     );
+    console.log("Supported LLM aliases (case-insensitive) for Claude: Claude, Anthropic");
+    console.log(
+        "Supported LLM aliases (case-insensitive) for custom endpoints: Local, Ollama, vLLM, LMStudio, Azure, OpenAI-Compatible"
+    );
+    console.log("The provider you last configured a token or model for becomes the active one.");
     console.log("");
 };
 
@@ -59,7 +86,7 @@ export const configureChatGPTToken = async (isGlobal = false) => {
             try {
                 // Validate token with a lightweight API call
                 console.log("🔍 Validating token with OpenAI...");
-                const response = await fetch("https://api.openai.com/v1/models", {
+                const response = await httpFetch("https://api.openai.com/v1/models", {
                     method: "GET",
                     headers: {
                         Authorization: `Bearer ${trimmed}`,
@@ -109,30 +136,280 @@ const saveOpenAiTokenToConfig = async (token, isGlobal) => {
     }
 
     config.openaiToken = token;
+    config.aiProvider = "ChatGPT";
+    // The token was validated against api.openai.com, so drop any custom endpoint
+    delete config.openaiBaseUrl;
+    delete config.openaiAuthHeader;
+
+    await fs.writeFile(configPath, JSON.stringify(config, null, 2), "utf8");
+    console.log(`📁 Config saved to: ${configPath}`);
+};
+
+/**
+ * Build a URL for an OpenAI-style endpoint, keeping any query string of the base URL
+ * (Azure OpenAI deployments carry `?api-version=...` in the base URL)
+ * @param {string} baseUrl - API base URL (e.g. http://localhost:11434/v1)
+ * @param {string} endpointPath - Endpoint path relative to the base (e.g. chat/completions)
+ * @returns {string} Full endpoint URL
+ */
+export const buildOpenAiUrl = (baseUrl, endpointPath) => {
+    const url = new URL(baseUrl || DEFAULT_OPENAI_BASE_URL);
+    url.pathname = `${url.pathname.replace(/\/+$/, "")}/${endpointPath.replace(/^\/+/, "")}`;
+    return url.toString();
+};
+
+/**
+ * Resolve the auth header name for an endpoint. Azure OpenAI expects `api-key`,
+ * everything else uses `Authorization: Bearer`.
+ * @param {string} baseUrl - API base URL
+ * @param {string} [authHeader] - Explicit header name from config (openaiAuthHeader)
+ * @returns {string} Header name
+ */
+const resolveAuthHeader = (baseUrl, authHeader) => {
+    if (authHeader) return authHeader;
+    try {
+        const { hostname } = new URL(baseUrl || DEFAULT_OPENAI_BASE_URL);
+        if (hostname.endsWith(".openai.azure.com")) return "api-key";
+    } catch {
+        // invalid URL is reported when the request is made
+    }
+    return "Authorization";
+};
+
+/**
+ * Build request headers for an OpenAI-style endpoint. Auth is optional for custom endpoints.
+ * @param {string|undefined} token - API token (may be empty for local servers)
+ * @param {object} endpoint
+ * @param {string} [endpoint.baseUrl] - API base URL
+ * @param {string} [endpoint.authHeader] - Explicit auth header name
+ * @returns {object} Headers object
+ */
+export const buildOpenAiHeaders = (token, { baseUrl, authHeader } = {}) => {
+    const headers = { "Content-Type": "application/json" };
+    if (token) {
+        const headerName = resolveAuthHeader(baseUrl, authHeader);
+        headers[headerName] =
+            headerName.toLowerCase() === "authorization" ? `Bearer ${token}` : token;
+    }
+    return headers;
+};
+
+/**
+ * Check whether the configured base URL points to something other than api.openai.com
+ * @param {string|undefined} baseUrl
+ * @returns {boolean}
+ */
+export const isCustomOpenAiEndpoint = (baseUrl) =>
+    Boolean(baseUrl) && baseUrl.replace(/\/+$/, "") !== DEFAULT_OPENAI_BASE_URL;
+
+export const configureOpenAiCompatibleEndpoint = async (isGlobal = false) => {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+    });
+
+    const ask = (question) => new Promise((resolve) => rl.question(question, resolve));
+
+    console.log("\n🏠 OpenAI-Compatible Endpoint Setup");
+    console.log("".padEnd(40, "="));
+    console.log("Use a local or private server that speaks the OpenAI chat completions API.");
+    console.log("\n💡 Examples:");
+    console.log("  Ollama      http://localhost:11434/v1");
+    console.log("  LM Studio   http://localhost:1234/v1");
+    console.log("  vLLM        http://localhost:8000/v1");
+    console.log(
+        "  Azure       https://<resource>.openai.azure.com/openai/deployments/<deployment>?api-version=2024-06-01"
+    );
+    console.log("");
+
+    try {
+        const baseUrl = String((await ask("🌐 Base URL: ")) || "").trim();
+        if (!baseUrl) {
+            throw new Error("No base URL provided");
+        }
+        try {
+            new URL(baseUrl);
+        } catch {
+            throw new Error(`Invalid base URL '${baseUrl}'`);
+        }
+
+        const token = String(
+            (await ask("🔑 API key (press Enter if the server needs no authentication): ")) || ""
+        ).trim();
+
+        const model = String(
+            (await ask("🤖 Model name (e.g. llama3.1, qwen2.5-coder): ")) || ""
+        ).trim();
+        if (!model) {
+            throw new Error("No model name provided");
+        }
+
+        // Best-effort validation: not every compatible server implements /models
+        console.log("🔍 Checking endpoint...");
+        try {
+            const response = await httpFetch(buildOpenAiUrl(baseUrl, "models"), {
+                method: "GET",
+                headers: buildOpenAiHeaders(token, { baseUrl }),
+            });
+            if (response.ok) {
+                console.log("✅ Endpoint reachable!");
+            } else {
+                console.log(
+                    `⚠️  Warning: endpoint answered ${response.status} ${response.statusText} on /models.`
+                );
+                console.log(
+                    "   Saving anyway; generation will report errors if the endpoint is wrong."
+                );
+            }
+        } catch (error) {
+            console.log(`⚠️  Warning: could not reach endpoint: ${error.message}`);
+            console.log("   Saving anyway; make sure the server is running before generating.");
+        }
+
+        await saveOpenAiEndpointToConfig({ baseUrl, token, model }, isGlobal);
+        console.log(`💾 Endpoint saved ${isGlobal ? "globally" : "locally"}!`);
+        console.log("🎉 You're all set to use AI features.\n");
+        rl.close();
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}`);
+        rl.close();
+        throw error;
+    }
+};
+
+const saveOpenAiEndpointToConfig = async ({ baseUrl, token, model }, isGlobal) => {
+    const configDir = isGlobal
+        ? path.resolve(os.homedir(), ".gen-mr")
+        : path.resolve(process.cwd(), ".gen-mr");
+    const configPath = path.join(configDir, "config.json");
+
+    await fs.mkdir(configDir, { recursive: true });
+
+    let config = {};
+    try {
+        const existing = await fs.readFile(configPath, "utf8");
+        config = JSON.parse(existing);
+    } catch {
+        // ignore
+    }
+
+    config.openaiBaseUrl = baseUrl;
+    config.openaiModel = model;
+    config.aiProvider = "ChatGPT";
+    if (token) {
+        config.openaiToken = token;
+    } else {
+        // Never forward a previously stored api.openai.com key to a different server
+        delete config.openaiToken;
+    }
 
     await fs.writeFile(configPath, JSON.stringify(config, null, 2), "utf8");
     console.log(`📁 Config saved to: ${configPath}`);
 };
 
+// api.openai.com also lists embedding, audio, image and moderation models
+const NON_CHAT_MODEL_PATTERN =
+    /(embedding|whisper|tts|dall-e|audio|realtime|transcribe|image|moderation|instruct)/i;
+
+/**
+ * Check whether a model name looks like an OpenAI chat model (including fine-tuned ones)
+ * @param {string} modelName - Model name
+ * @returns {boolean} True if the model should be handled by the ChatGPT provider
+ */
+export const isChatGPTModel = (modelName) =>
+    /^(gpt-|chatgpt|o\d|ft:(gpt-|o\d))/i.test(String(modelName || "").trim());
+
+// OpenAI models that accept response_format json_schema (gpt-4o, gpt-4.1, o-series and newer);
+// older ones such as gpt-3.5-turbo and gpt-4-turbo answer it with a 400
+const JSON_SCHEMA_MODEL_PATTERN = /^(ft:)?(gpt-4o|gpt-4\.\d|gpt-[5-9]|o\d)/i;
+const NO_JSON_SCHEMA_MODEL_PATTERN = /^(ft:)?o1-(mini|preview)/i;
+
+/**
+ * Check whether an OpenAI model supports structured output (JSON schema mode)
+ * @param {string} modelName - Model name
+ * @returns {boolean} True if response_format json_schema can be sent
+ */
+export const supportsJsonSchemaOutput = (modelName) => {
+    const name = String(modelName || "").trim();
+    return JSON_SCHEMA_MODEL_PATTERN.test(name) && !NO_JSON_SCHEMA_MODEL_PATTERN.test(name);
+};
+
+// Reasoning models (o-series, gpt-5) take max_completion_tokens and reject temperature and top_p
+const REASONING_MODEL_PATTERN = /^(ft:)?(o\d|gpt-5(?!-chat))/i;
+
+/**
+ * Check whether an OpenAI model is a reasoning model
+ * @param {string} modelName - Model name
+ * @returns {boolean} True if sampling parameters must not be sent
+ */
+export const isReasoningModel = (modelName) =>
+    REASONING_MODEL_PATTERN.test(String(modelName || "").trim());
+
+/**
+ * Query the models endpoint (api.openai.com or a custom OpenAI-compatible server)
+ * @param {object} config - Configuration object
+ * @returns {Promise<string[]>} Model IDs; on api.openai.com only chat models
+ */
+export const fetchChatGPTModels = async (config = {}) => {
+    const { openaiToken, openaiBaseUrl, openaiAuthHeader } = config;
+    const customEndpoint = isCustomOpenAiEndpoint(openaiBaseUrl);
+    if (!openaiToken && !customEndpoint) {
+        throw new Error("no OpenAI token configured");
+    }
+
+    // A single attempt: listing models should fall back quickly when offline
+    const response = await fetchWithRetry(
+        buildOpenAiUrl(openaiBaseUrl, "models"),
+        {
+            method: "GET",
+            headers: buildOpenAiHeaders(openaiToken, {
+                baseUrl: openaiBaseUrl,
+                authHeader: openaiAuthHeader,
+            }),
+        },
+        { ...getRetryOptions(config), maxAttempts: 1 }
+    );
+    if (!response.ok) {
+        throw createApiError(`models endpoint answered ${response.status}`, {
+            status: response.status,
+            body: await response.text(),
+        });
+    }
+
+    const data = await response.json();
+    const ids = (data?.data || []).map((model) => model?.id).filter(Boolean);
+    return customEndpoint
+        ? ids
+        : ids.filter((id) => isChatGPTModel(id) && !NON_CHAT_MODEL_PATTERN.test(id));
+};
+
+/**
+ * List the ChatGPT models the configured account (or custom endpoint) can use
+ * @param {object} config - Configuration object
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - Query the endpoint even when a cached list is fresh
+ * @returns {Promise<{ models: string[], source: string }>} Models and where they came from
+ */
+export const listChatGPTModels = (config = {}, { refresh = false } = {}) =>
+    listAvailableModels({
+        providerName: "ChatGPT",
+        cacheKey: getModelCacheKey("ChatGPT", config.openaiBaseUrl, config.openaiToken),
+        fetchModels: () => fetchChatGPTModels(config),
+        staticModels: CHATGPT_MODELS,
+        refresh,
+    });
+
 export const setChatGPTModel = async (modelName, isGlobal = false) => {
     if (!modelName || typeof modelName !== "string") {
         throw new Error("Model name is required");
     }
     const normalized = modelName.trim();
-    const valid = CHATGPT_MODELS.find((m) => m.toLowerCase() === normalized.toLowerCase());
-    if (!valid) {
-        throw new Error(
-            `Unsupported model '${modelName}'. Supported: ${CHATGPT_MODELS.join(", ")}`
-        );
-    }
 
     const configDir = isGlobal
         ? path.resolve(os.homedir(), ".gen-mr")
         : path.resolve(process.cwd(), ".gen-mr");
     const configPath = path.join(configDir, "config.json");
 
-    await fs.mkdir(configDir, { recursive: true });
-
     let config = {};
     try {
         const existing = await fs.readFile(configPath, "utf8");
@@ -141,7 +418,23 @@ export const setChatGPTModel = async (modelName, isGlobal = false) => {
         // ignore
     }
 
+    // Custom endpoints serve arbitrary model names, so skip the model list there;
+    // otherwise accept any model the account can access
+    const effectiveConfig = { ...(await getConfig().catch(() => ({}))), ...config };
+    const customEndpoint = isCustomOpenAiEndpoint(effectiveConfig.openaiBaseUrl);
+    let valid = normalized;
+    if (!customEndpoint) {
+        const { models } = await listChatGPTModels(effectiveConfig);
+        valid = findModel(models, normalized);
+        if (!valid) {
+            throw new Error(`Unsupported model '${modelName}'. Supported: ${models.join(", ")}`);
+        }
+    }
+
+    await fs.mkdir(configDir, { recursive: true });
+
     config.openaiModel = valid; // store canonical model name
+    config.aiProvider = "ChatGPT"; // selecting a ChatGPT model switches the provider
 
     await fs.writeFile(configPath, JSON.stringify(config, null, 2), "utf8");
     console.log(`🤖 Model set to '${valid}' in ${isGlobal ? "global" : "local"} config.`);
@@ -151,59 +444,162 @@ export const setChatGPTModel = async (modelName, isGlobal = false) => {
 export const showChatGPTModelsHelp = () => {
     console.log("\n🤖 ChatGPT Models");
     console.log("".padEnd(40, "="));
-    console.log("Use --use-model <model> to select a model from the list below:");
+    console.log("Use --use-model <model> to select a model, for example:");
     console.log("  " + CHATGPT_MODELS.join(", "));
+    console.log("Run --list-models ChatGPT to see every model your account can access.");
+    console.log("With a custom endpoint (openaiBaseUrl) any model name served there is accepted.");
     console.log("");
 };
 
 /**
- * Generate merge request title and description using ChatGPT
- * @param {string} openaiToken - OpenAI API token
+ * Convert an OpenAI usage block to { promptTokens, completionTokens }
+ * @param {object} usage - Usage block of a chat completion
+ * @returns {{ promptTokens: number, completionTokens: number }}
+ */
+const toUsage = (usage) => ({
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+});
+
+/**
+ * Read a streamed chat completion, forwarding each text delta to onToken
+ * @param {Response} response - Streaming fetch response
+ * @param {(token: string) => void} onToken - Callback for each text delta
+ * @param {(usage: object) => void} [onUsage] - Callback for the usage chunk (sent last when requested)
+ * @returns {Promise<string>} Full generated content
+ */
+const readChatCompletionStream = async (response, onToken, onUsage) => {
+    let content = "";
+    let done = false;
+    await readServerSentEvents(response.body, ({ data }) => {
+        if (done) return;
+        if (data === "[DONE]") {
+            done = true;
+            return;
+        }
+        const chunk = JSON.parse(data);
+        if (chunk.usage) {
+            onUsage?.(toUsage(chunk.usage));
+        }
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+            content += delta;
+            onToken(delta);
+        }
+    });
+    return content;
+};
+
+/**
+ * Generate merge request title and description using ChatGPT or an OpenAI-compatible endpoint
+ * (reasoning models get maxTokens as max_completion_tokens and no temperature or top_p)
+ * @param {string} openaiToken - OpenAI API token (optional for custom endpoints)
  * @param {string} prompt - The prompt to send to ChatGPT
  * @param {string} model - The ChatGPT model to use
- * @returns {Promise<string>} Generated merge request content
+ * @param {object} [options] - Endpoint and streaming settings
+ * @param {string} [options.baseUrl] - API base URL (defaults to api.openai.com)
+ * @param {string} [options.authHeader] - Auth header name override (e.g. api-key)
+ * @param {(token: string) => void} [options.onToken] - Enables streaming; called per text delta
+ * @param {object} [options.responseSchema] - JSON schema to request structured output with
+ * @param {object} [options.retry] - Retry settings for fetchWithRetry (maxAttempts, timeoutMs, onRetry)
+ * @param {(usage: { promptTokens: number, completionTokens: number }) => void} [options.onUsage]
+ *        Called with the token usage reported by the API
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Maximum number of tokens to generate
+ * @param {number} [options.topP] - Nucleus sampling (only sent when set)
+ * @param {string} [options.systemPrompt] - System prompt
+ * @param {{ role: "user"|"assistant", content: string }[]} [options.history] - Earlier turns of
+ *        the conversation, sent before the prompt
+ * @returns {Promise<string>} Generated merge request content (JSON text when a schema is given)
  */
 export const generateMergeRequestWithChatGPT = async (
     openaiToken,
     prompt,
-    model = "gpt-3.5-turbo"
+    model = "gpt-3.5-turbo",
+    {
+        baseUrl,
+        authHeader,
+        onToken,
+        responseSchema,
+        retry,
+        onUsage,
+        temperature = DEFAULT_TEMPERATURE,
+        maxTokens = DEFAULT_MAX_OUTPUT_TOKENS,
+        topP,
+        systemPrompt = DEFAULT_SYSTEM_PROMPT,
+        history = [],
+    } = {}
 ) => {
-    if (!openaiToken) {
+    const customEndpoint = isCustomOpenAiEndpoint(baseUrl);
+
+    if (!openaiToken && !customEndpoint) {
         throw new Error("OpenAI token is required");
     }
 
-    if (!CHATGPT_MODELS.includes(model)) {
-        throw new Error(`Unsupported model '${model}'. Supported: ${CHATGPT_MODELS.join(", ")}`);
-    }
+    const stream = typeof onToken === "function";
 
     try {
-        const response = await fetch("https://api.openai.com/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                Authorization: `Bearer ${openaiToken}`,
-                "Content-Type": "application/json",
+        const response = await fetchWithRetry(
+            buildOpenAiUrl(baseUrl, "chat/completions"),
+            {
+                method: "POST",
+                headers: buildOpenAiHeaders(openaiToken, { baseUrl, authHeader }),
+                body: JSON.stringify({
+                    model,
+                    messages: [
+                        {
+                            role: "system",
+                            content: systemPrompt,
+                        },
+                        ...history,
+                        {
+                            role: "user",
+                            content: prompt,
+                        },
+                    ],
+                    ...(isReasoningModel(model)
+                        ? { max_completion_tokens: maxTokens }
+                        : {
+                              max_tokens: maxTokens,
+                              temperature,
+                              ...(topP !== undefined ? { top_p: topP } : {}),
+                          }),
+                    ...(stream ? { stream: true } : {}),
+                    // Usage in streams is opt-in; custom servers may reject unknown options
+                    ...(stream && !customEndpoint
+                        ? { stream_options: { include_usage: true } }
+                        : {}),
+                    ...(responseSchema
+                        ? {
+                              response_format: {
+                                  type: "json_schema",
+                                  json_schema: {
+                                      name: "merge_request",
+                                      strict: true,
+                                      schema: responseSchema,
+                                  },
+                              },
+                          }
+                        : {}),
+                }),
             },
-            body: JSON.stringify({
-                model,
-                messages: [
-                    {
-                        role: "system",
-                        content:
-                            "You are a helpful assistant that generates professional merge request titles and descriptions based on git changes and context.",
-                    },
-                    {
-                        role: "user",
-                        content: prompt,
-                    },
-                ],
-                max_tokens: 1024,
-                temperature: 0.7,
-            }),
-        });
+            retry
+        );
 
         if (!response.ok) {
             const errorText = await response.text();
-            throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
+            throw createApiError(`OpenAI API error (${response.status}): ${errorText}`, {
+                status: response.status,
+                body: errorText,
+            });
+        }
+
+        if (stream) {
+            const content = await readChatCompletionStream(response, onToken, onUsage);
+            if (!content) {
+                throw new Error("No response generated from ChatGPT");
+            }
+            return content.trim();
         }
 
         const data = await response.json();
@@ -212,8 +608,79 @@ export const generateMergeRequestWithChatGPT = async (
             throw new Error("No response generated from ChatGPT");
         }
 
+        if (data.usage) {
+            onUsage?.(toUsage(data.usage));
+        }
+
         return data.choices[0].message.content.trim();
     } catch (error) {
-        throw new Error(`Failed to generate merge request with ChatGPT: ${error.message}`);
+        throw wrapApiError(
+            `Failed to generate merge request with ChatGPT: ${error.message}`,
+            error
+        );
     }
 };
+
+// Aliases that set up an OpenAI-compatible endpoint instead of an api.openai.com token
+const OPENAI_COMPATIBLE_ALIASES = [
+    "local",
+    "ollama",
+    "vllm",
+    "lmstudio",
+    "lm-studio",
+    "azure",
+    "azure-openai",
+    "openai-compatible",
+];
+
+/**
+ * ChatGPT provider descriptor, registered in ai/providers.mjs
+ */
+export const chatgptProvider = {
+    name: "ChatGPT",
+    aliases: [
+        "chatgpt",
+        "openai",
+        "gpt",
+        "gpt-3.5",
+        "gpt-4",
+        "gpt-4o",
+        ...OPENAI_COMPATIBLE_ALIASES,
+    ],
+    configureToken: (isGlobal, alias = "chatgpt") =>
+        OPENAI_COMPATIBLE_ALIASES.includes(String(alias).toLowerCase())
+            ? configureOpenAiCompatibleEndpoint(isGlobal)
+            : configureChatGPTToken(isGlobal),
+    listModels: async (config, options) => (await listChatGPTModels(config, options)).models,
+    ownsModel: isChatGPTModel,
+    setModel: setChatGPTModel,
+    showModelsHelp: showChatGPTModelsHelp,
+    // Custom endpoints may not implement response_format and older OpenAI models reject JSON
+    // schema mode; opt in with aiStructuredOutput: true
+    supportsStructuredOutput: (config, model) =>
+        config.aiStructuredOutput ??
+        (!isCustomOpenAiEndpoint(config.openaiBaseUrl) && supportsJsonSchemaOutput(model)),
+    // Different OpenAI-compatible servers may serve the same model name
+    getEndpoint: (config) => (config.openaiBaseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, ""),
+    hasCredentials: (config) =>
+        Boolean(config.openaiToken || isCustomOpenAiEndpoint(config.openaiBaseUrl)),
+    missingCredentialsMessage:
+        "OpenAI token not found in configuration. Please add 'openaiToken' to your .gen-mr/config.json file.",
+    getModel: (config) => config.openaiModel || "gpt-3.5-turbo",
+    generate: async (prompt, { config, model, onToken, responseSchema, onRetry, history }) => {
+        let usage;
+        const content = await generateMergeRequestWithChatGPT(config.openaiToken, prompt, model, {
+            baseUrl: config.openaiBaseUrl,
+            authHeader: config.openaiAuthHeader,
+            onToken,
+            responseSchema,
+            history,
+            retry: { ...getRetryOptions(config), onRetry },
+            ...(await getGenerationParams(config)),
+            onUsage: (reported) => {
+                usage = reported;
+            },
+        });
+        return { content, model, usage };
+    },
+};
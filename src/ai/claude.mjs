@@ -0,0 +1,419 @@
+// ai/claude.mjs
+// Handles Claude (Anthropic) token configuration, model selection and generation
+
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import readline from "readline";
+import { getConfig } from "../config/common.mjs";
+import { readServerSentEvents } from "./sse.mjs";
+import { httpFetch } from "../utils/http-client.mjs";
+import { fetchWithRetry, getRetryOptions } from "./retry.mjs";
+import { createApiError, wrapApiError } from "./errors.mjs";
+import { DEFAULT_MAX_OUTPUT_TOKENS } from "./tokens.mjs";
+import { findModel, getModelCacheKey, listAvailableModels } from "./model-catalog.mjs";
+import {
+    DEFAULT_SYSTEM_PROMPT,
+    DEFAULT_TEMPERATURE,
+    getGenerationParams,
+} from "./generation-params.mjs";
+
+const ANTHROPIC_API_URL = "https://api.anthropic.com/v1";
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// Tool used to obtain structured output: Claude is forced to "call" it with the schema as input
+const STRUCTURED_OUTPUT_TOOL = "submit_merge_request";
+
+// Built-in list, used when the models endpoint cannot be reached
+export const CLAUDE_MODELS = [
+    "claude-opus-4-1",
+    "claude-sonnet-4-5",
+    "claude-sonnet-4-0",
+    "claude-haiku-4-5",
+    "claude-3-7-sonnet-latest",
+    "claude-3-5-haiku-latest",
+];
+
+export const DEFAULT_CLAUDE_MODEL = "claude-sonnet-4-5";
+
+/**
+ * Check whether a model name belongs to the Claude family
+ * @param {string} modelName - Model name as typed by the user
+ * @returns {boolean} True if the model should be handled by the Claude provider
+ */
+export const isClaudeModel = (modelName) => {
+    const normalized = String(modelName || "")
+        .trim()
+        .toLowerCase();
+    return normalized.startsWith("claude");
+};
+
+export const configureClaudeToken = async (isGlobal = false) => {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+    });
+
+    console.log("\n🔗 Claude (Anthropic) API Token Setup");
+    console.log("".padEnd(40, "="));
+    console.log("To generate a key, visit the Anthropic console:");
+    console.log("👉 https://console.anthropic.com/settings/keys");
+    console.log("\n🔒 After creating the key, copy it and paste it below.");
+
+    return new Promise((resolve, reject) => {
+        rl.question("📋 Paste your Anthropic API key here: ", async (token) => {
+            const trimmed = (token || "").trim();
+            if (!trimmed) {
+                console.log("❌ No token provided. Exiting...");
+                rl.close();
+                reject(new Error("No token provided"));
+                return;
+            }
+
+            try {
+                // Validate token with a lightweight API call
+                console.log("🔍 Validating token with Anthropic...");
+                const response = await httpFetch(`${ANTHROPIC_API_URL}/models`, {
+                    method: "GET",
+                    headers: {
+                        "x-api-key": trimmed,
+                        "anthropic-version": ANTHROPIC_VERSION,
+                    },
+                });
+
+                if (!response.ok) {
+                    const body = await response.text();
+                    throw new Error(
+                        `Invalid token: ${response.status} ${response.statusText} - ${body}`
+                    );
+                }
+
+                console.log("✅ Token validated!");
+
+                // Save token to config
+                await saveAnthropicTokenToConfig(trimmed, isGlobal);
+                console.log(`💾 Token saved ${isGlobal ? "globally" : "locally"}!`);
+                console.log("🤖 Claude is now the active AI provider.");
+                console.log("🎉 You're all set to use AI features.\n");
+
+                rl.close();
+                resolve();
+            } catch (error) {
+                console.log(`❌ Error: ${error.message}`);
+                rl.close();
+                reject(error);
+            }
+        });
+    });
+};
+
+const saveAnthropicTokenToConfig = async (token, isGlobal) => {
+    const configDir = isGlobal
+        ? path.resolve(os.homedir(), ".gen-mr")
+        : path.resolve(process.cwd(), ".gen-mr");
+    const configPath = path.join(configDir, "config.json");
+
+    await fs.mkdir(configDir, { recursive: true });
+
+    let config = {};
+    try {
+        const existing = await fs.readFile(configPath, "utf8");
+        config = JSON.parse(existing);
+    } catch {
+        // ignore
+    }
+
+    config.anthropicToken = token;
+    config.aiProvider = "Claude";
+
+    await fs.writeFile(configPath, JSON.stringify(config, null, 2), "utf8");
+    console.log(`📁 Config saved to: ${configPath}`);
+};
+
+/**
+ * Query the Anthropic models endpoint
+ * @param {object} config - Configuration object
+ * @returns {Promise<string[]>} Model IDs available to the API key
+ */
+export const fetchClaudeModels = async (config = {}) => {
+    if (!config.anthropicToken) {
+        throw new Error("no Anthropic token configured");
+    }
+
+    // A single attempt: listing models should fall back quickly when offline
+    const response = await fetchWithRetry(
+        `${ANTHROPIC_API_URL}/models?limit=1000`,
+        {
+            method: "GET",
+            headers: {
+                "x-api-key": config.anthropicToken,
+                "anthropic-version": ANTHROPIC_VERSION,
+            },
+        },
+        { ...getRetryOptions(config), maxAttempts: 1 }
+    );
+    if (!response.ok) {
+        throw createApiError(`models endpoint answered ${response.status}`, {
+            status: response.status,
+            body: await response.text(),
+        });
+    }
+
+    const data = await response.json();
+    return (data?.data || []).map((model) => model?.id).filter(Boolean);
+};
+
+/**
+ * List the Claude models the configured API key can use
+ * @param {object} config - Configuration object
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - Query the endpoint even when a cached list is fresh
+ * @returns {Promise<{ models: string[], source: string }>} Models and where they came from
+ */
+export const listClaudeModels = (config = {}, { refresh = false } = {}) =>
+    listAvailableModels({
+        providerName: "Claude",
+        cacheKey: getModelCacheKey("Claude", ANTHROPIC_API_URL, config.anthropicToken),
+        fetchModels: () => fetchClaudeModels(config),
+        staticModels: CLAUDE_MODELS,
+        refresh,
+    });
+
+export const setClaudeModel = async (modelName, isGlobal = false) => {
+    if (!modelName || typeof modelName !== "string") {
+        throw new Error("Model name is required");
+    }
+    const normalized = modelName.trim();
+
+    const configDir = isGlobal
+        ? path.resolve(os.homedir(), ".gen-mr")
+        : path.resolve(process.cwd(), ".gen-mr");
+    const configPath = path.join(configDir, "config.json");
+
+    let config = {};
+    try {
+        const existing = await fs.readFile(configPath, "utf8");
+        config = JSON.parse(existing);
+    } catch {
+        // ignore
+    }
+
+    // Accept any model the API key can access (the built-in list when offline)
+    const effectiveConfig = { ...(await getConfig().catch(() => ({}))), ...config };
+    const { models } = await listClaudeModels(effectiveConfig);
+    const valid = findModel(models, normalized);
+    if (!valid) {
+        throw new Error(`Unsupported model '${modelName}'. Supported: ${models.join(", ")}`);
+    }
+
+    await fs.mkdir(configDir, { recursive: true });
+
+    config.claudeModel = valid; // store canonical model name
+    config.aiProvider = "Claude"; // selecting a Claude model switches the provider
+
+    await fs.writeFile(configPath, JSON.stringify(config, null, 2), "utf8");
+    console.log(`🤖 Model set to '${valid}' in ${isGlobal ? "global" : "local"} config.`);
+    console.log(`📁 Config saved to: ${configPath}`);
+};
+
+export const showClaudeModelsHelp = () => {
+    console.log("\n🤖 Claude Models");
+    console.log("".padEnd(40, "="));
+    console.log("Use --use-model <model> to select a model, for example:");
+    console.log("  " + CLAUDE_MODELS.join(", "));
+    console.log("Run --list-models Claude to see every model your API key can access.");
+    console.log("");
+};
+
+/**
+ * Read a streamed Messages API response, forwarding each text delta to onToken
+ * @param {Response} response - Streaming fetch response
+ * @param {(token: string) => void} onToken - Callback for each text delta
+ * @param {(usage: object) => void} [onUsage] - Callback for the token usage once the stream ends
+ * @returns {Promise<string>} Full generated content
+ */
+const readMessagesStream = async (response, onToken, onUsage) => {
+    let content = "";
+    // Input tokens arrive with message_start, output tokens with message_delta
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    await readServerSentEvents(response.body, ({ event, data }) => {
+        if (event === "error") {
+            const { error } = JSON.parse(data);
+            throw createApiError(`Anthropic stream error: ${error?.message || data}`, {
+                code: error?.type,
+            });
+        }
+        if (event === "message_start") {
+            usage.promptTokens = JSON.parse(data).message?.usage?.input_tokens || 0;
+            return;
+        }
+        if (event === "message_delta") {
+            usage.completionTokens = JSON.parse(data).usage?.output_tokens || 0;
+            return;
+        }
+        if (event !== "content_block_delta") return;
+        const { delta } = JSON.parse(data);
+        // Text answers arrive as text_delta, structured (tool) answers as input_json_delta
+        const text = delta?.type === "input_json_delta" ? delta.partial_json : delta?.text;
+        if (text) {
+            content += text;
+            onToken(text);
+        }
+    });
+    onUsage?.(usage);
+    return content;
+};
+
+/**
+ * Generate merge request title and description using Claude
+ * @param {string} anthropicToken - Anthropic API key
+ * @param {string} prompt - The prompt to send to Claude
+ * @param {string} model - The Claude model to use
+ * @param {object} [options] - Streaming settings
+ * @param {(token: string) => void} [options.onToken] - Enables streaming; called per text delta
+ * @param {object} [options.responseSchema] - JSON schema to request structured output with
+ * @param {object} [options.retry] - Retry settings for fetchWithRetry (maxAttempts, timeoutMs, onRetry)
+ * @param {(usage: { promptTokens: number, completionTokens: number }) => void} [options.onUsage]
+ *        Called with the token usage reported by the API
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Maximum number of tokens to generate
+ * @param {number} [options.topP] - Nucleus sampling; when set it is sent instead of temperature
+ * @param {string} [options.systemPrompt] - System prompt
+ * @param {{ role: "user"|"assistant", content: string }[]} [options.history] - Earlier turns of
+ *        the conversation, sent before the prompt
+ * @returns {Promise<string>} Generated merge request content (JSON text when a schema is given)
+ */
+export const generateMergeRequestWithClaude = async (
+    anthropicToken,
+    prompt,
+    model = DEFAULT_CLAUDE_MODEL,
+    {
+        onToken,
+        responseSchema,
+        retry,
+        onUsage,
+        temperature = DEFAULT_TEMPERATURE,
+        maxTokens = DEFAULT_MAX_OUTPUT_TOKENS,
+        topP,
+        systemPrompt = DEFAULT_SYSTEM_PROMPT,
+        history = [],
+    } = {}
+) => {
+    if (!anthropicToken) {
+        throw new Error("Anthropic token is required");
+    }
+
+    const stream = typeof onToken === "function";
+
+    try {
+        const response = await fetchWithRetry(
+            `${ANTHROPIC_API_URL}/messages`,
+            {
+                method: "POST",
+                headers: {
+                    "x-api-key": anthropicToken,
+                    "anthropic-version": ANTHROPIC_VERSION,
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({
+                    model,
+                    system: systemPrompt,
+                    messages: [
+                        ...history,
+                        {
+                            role: "user",
+                            content: prompt,
+                        },
+                    ],
+                    max_tokens: maxTokens,
+                    // Claude rejects requests that set both temperature and top_p
+                    ...(topP !== undefined ? { top_p: topP } : { temperature }),
+                    ...(stream ? { stream: true } : {}),
+                    ...(responseSchema
+                        ? {
+                              tools: [
+                                  {
+                                      name: STRUCTURED_OUTPUT_TOOL,
+                                      description: "Submit the generated merge request",
+                                      input_schema: responseSchema,
+                                  },
+                              ],
+                              tool_choice: { type: "tool", name: STRUCTURED_OUTPUT_TOOL },
+                          }
+                        : {}),
+                }),
+            },
+            retry
+        );
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw createApiError(`Anthropic API error (${response.status}): ${errorText}`, {
+                status: response.status,
+                body: errorText,
+            });
+        }
+
+        let text;
+        if (stream) {
+            text = await readMessagesStream(response, onToken, onUsage);
+        } else {
+            const data = await response.json();
+            if (data.usage) {
+                onUsage?.({
+                    promptTokens: data.usage.input_tokens || 0,
+                    completionTokens: data.usage.output_tokens || 0,
+                });
+            }
+
+            // Claude returns a list of content blocks; structured answers come as tool input
+            const toolUse = (data.content || []).find((block) => block.type === "tool_use");
+            text = toolUse
+                ? JSON.stringify(toolUse.input)
+                : (data.content || [])
+                      .filter((block) => block.type === "text")
+                      .map((block) => block.text)
+                      .join("");
+        }
+
+        if (!text) {
+            throw new Error("No response generated from Claude");
+        }
+
+        return text.trim();
+    } catch (error) {
+        throw wrapApiError(`Failed to generate merge request with Claude: ${error.message}`, error);
+    }
+};
+
+/**
+ * Claude provider descriptor, registered in ai/providers.mjs
+ */
+export const claudeProvider = {
+    name: "Claude",
+    aliases: ["claude", "anthropic"],
+    configureToken: (isGlobal) => configureClaudeToken(isGlobal),
+    listModels: async (config, options) => (await listClaudeModels(config, options)).models,
+    ownsModel: isClaudeModel,
+    setModel: setClaudeModel,
+    showModelsHelp: showClaudeModelsHelp,
+    supportsStructuredOutput: (config) => config.aiStructuredOutput ?? true,
+    hasCredentials: (config) => Boolean(config.anthropicToken),
+    missingCredentialsMessage:
+        "Anthropic token not found in configuration. Run '--create-ai-token Claude' or add 'anthropicToken' to your .gen-mr/config.json file.",
+    getModel: (config) => config.claudeModel || DEFAULT_CLAUDE_MODEL,
+    generate: async (prompt, { config, model, onToken, responseSchema, onRetry, history }) => {
+        let usage;
+        const content = await generateMergeRequestWithClaude(config.anthropicToken, prompt, model, {
+            onToken,
+            responseSchema,
+            history,
+            retry: { ...getRetryOptions(config), onRetry },
+            ...(await getGenerationParams(config)),
+            onUsage: (reported) => {
+                usage = reported;
+            },
+        });
+        return { content, model, usage };
+    },
+};
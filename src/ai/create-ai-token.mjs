@@ -1,16 +1,13 @@
 // Shared helper logic for --create-ai-token in gen-mr / gen-pr
-// Currently only ChatGPT (OpenAI) provider is supported.
+// Providers and their aliases come from the registry in ai/providers.mjs.
 // Exports: createAiToken({ llmRaw, isGlobal, toolName })
 
-import { configureChatGPTToken } from "./chatgpt.mjs";
-
-// Aliases mapping to ChatGPT provider
-const CHATGPT_ALIASES = new Set(["chatgpt", "openai", "gpt", "gpt-3.5", "gpt-4", "gpt-4o"]);
+import { findAiProvider, listAiProviders } from "./providers.mjs";
 
 /**
- * Core logic for creating AI token (ChatGPT only for now)
+ * Core logic for creating AI token
  * @param {object} params
- * @param {string} params.llmRaw Raw LLM argument from CLI (e.g. 'ChatGPT')
+ * @param {string} params.llmRaw Raw LLM argument from CLI (e.g. 'ChatGPT', 'Claude', 'Local')
  * @param {boolean} params.isGlobal Whether to store globally
  * @param {string} params.toolName Name of CLI tool for messages
  */
@@ -24,14 +21,16 @@ export async function createAiToken({ llmRaw, isGlobal, toolName }) {
     }
 
     try {
-        if (CHATGPT_ALIASES.has(llm)) {
-            await configureChatGPTToken(isGlobal);
-        } else {
-            console.log(`ℹ️  Try: ${toolName} --create-ai-token ChatGPT`);
+        const provider = findAiProvider(llm);
+        if (!provider) {
+            const names = listAiProviders().map((p) => p.name);
+            names.forEach((name) => console.log(`ℹ️  Try: ${toolName} --create-ai-token ${name}`));
+            console.log(`ℹ️  Try: ${toolName} --create-ai-token Local`);
             throw new Error(
-                `Unsupported LLM '${llmRaw}'. Only ChatGPT is implemented at the moment.`
+                `Unsupported LLM '${llmRaw}'. Supported providers: ${names.join(", ")}, Local.`
             );
         }
+        await provider.configureToken(isGlobal, llm);
     } catch (error) {
         throw new Error(`AI token configuration failed: ${error.message}`);
     }
@@ -0,0 +1,152 @@
+// ai/diff-summarizer.mjs
+// Map-reduce summarization of large diffs: the diff is split into chunks of whole files
+// (or hunks for very large files), each chunk is summarized by the model, and the
+// summaries replace the raw diff in the final merge request prompt.
+
+import { estimateTokens, getPromptTokenBudget } from "./tokens.mjs";
+import { splitDiffByFile, splitFileDiffIntoHunks } from "../utils/diff.mjs";
+import { mapWithConcurrency } from "../utils/concurrency.mjs";
+
+export const DIFF_MODES = ["truncate", "summarize", "auto"];
+export const DEFAULT_SUMMARY_CONCURRENCY = 3;
+
+// Keep chunk requests small and fast even for models with huge context windows
+const MAX_CHUNK_TOKENS = 8000;
+
+// Tokens reserved in each chunk request for the summarization instructions
+const CHUNK_INSTRUCTION_TOKENS = 300;
+
+/**
+ * Split lines into pieces that each fit the token limit (a single oversized line is kept whole)
+ * @param {string[]} lines - Lines to split
+ * @param {number} maxTokens - Token limit per piece
+ * @param {string} [model] - Model used for token estimation
+ * @returns {string[]} Pieces of joined lines
+ */
+const splitLinesByTokens = (lines, maxTokens, model) => {
+    const pieces = [];
+    let current = [];
+    let text = "";
+    lines.forEach((line) => {
+        if (current.length > 0 && estimateTokens(`${text}${line}\n`, model) > maxTokens) {
+            pieces.push(current.join("\n"));
+            current = [];
+            text = "";
+        }
+        current.push(line);
+        text += `${line}\n`;
+    });
+    if (current.length > 0) {
+        pieces.push(current.join("\n"));
+    }
+    return pieces;
+};
+
+/**
+ * Split one file's diff into parts that fit the token limit. Hunks are kept together where
+ * possible and every part repeats the file header so the model knows which file it is.
+ * @param {string} fileDiff - Diff of one file
+ * @param {number} maxTokens - Token limit per part
+ * @param {string} [model] - Model used for token estimation
+ * @returns {string[]} Diff parts
+ */
+const splitFileDiff = (fileDiff, maxTokens, model) => {
+    if (estimateTokens(fileDiff, model) <= maxTokens) {
+        return [fileDiff];
+    }
+
+    const { header, hunks } = splitFileDiffIntoHunks(fileDiff);
+    const room = Math.max(1, maxTokens - estimateTokens(header, model));
+    const pieces = hunks.flatMap((hunk) =>
+        estimateTokens(hunk, model) <= room
+            ? [hunk]
+            : splitLinesByTokens(hunk.split("\n"), room, model)
+    );
+
+    return splitLinesByTokens(pieces, room, model).map((piece) => `${header}\n${piece}`);
+};
+
+/**
+ * Split a diff into chunks for summarization. Small files are packed together;
+ * large files are split by hunk.
+ * @param {string} diff - Full git diff
+ * @param {number} maxTokens - Token limit per chunk
+ * @param {string} [model] - Model used for token estimation
+ * @returns {{ files: string[], text: string }[]} Chunks with the files they cover
+ */
+export const chunkDiff = (diff, maxTokens, model) => {
+    const chunks = [];
+    let current = null;
+
+    splitDiffByFile(diff).forEach(({ file, text }) => {
+        splitFileDiff(text, maxTokens, model).forEach((part) => {
+            const tokens = estimateTokens(part, model);
+            if (current && current.tokens + tokens <= maxTokens) {
+                if (!current.files.includes(file)) current.files.push(file);
+                current.text += `\n${part}`;
+                current.tokens += tokens;
+            } else {
+                current = { files: [file], text: part, tokens };
+                chunks.push(current);
+            }
+        });
+    });
+
+    return chunks.map(({ files, text }) => ({ files, text }));
+};
+
+/**
+ * Build the prompt asking the model to summarize one chunk of the diff
+ * @param {{ files: string[], text: string }} chunk - Diff chunk
+ * @param {number} index - Chunk index (0-based)
+ * @param {number} total - Number of chunks
+ * @returns {string} Summarization prompt
+ */
+export const buildChunkSummaryPrompt = (chunk, index, total) =>
+    `You are helping to write a merge request description. Below is part ${index + 1} of ${total} of the git diff.
+
+Summarize the changes for each file as markdown bullets in the form "- <file path>: <what changed>".
+Mention new or removed functions, behavior changes, configuration changes and anything that looks like a breaking change.
+Be concise (at most 3 bullets per file) and do not add an introduction or conclusion.
+
+\`\`\`diff
+${chunk.text}
+\`\`\``;
+
+/**
+ * Summarize a diff chunk by chunk with bounded concurrency (the "map" step).
+ * The joined summaries are used in place of the diff in the final prompt (the "reduce" step).
+ * @param {object} provider - AI provider descriptor
+ * @param {string} diff - Full git diff
+ * @param {object} params
+ * @param {object} params.config - Configuration object
+ * @param {string} params.model - Model to use
+ * @param {number} [params.concurrency] - Maximum number of chunk requests in flight
+ * @param {(info: object) => void} [params.onRetry] - Called when a request is retried
+ * @param {(done: number, total: number) => void} [params.onProgress] - Called as chunks complete
+ * @returns {Promise<{ summary: string, chunks: number }>} Combined summary and number of chunks
+ */
+export const summarizeDiff = async (
+    provider,
+    diff,
+    { config, model, concurrency = DEFAULT_SUMMARY_CONCURRENCY, onRetry, onProgress }
+) => {
+    const maxChunkTokens = Math.max(
+        500,
+        Math.min(MAX_CHUNK_TOKENS, getPromptTokenBudget(model, config) - CHUNK_INSTRUCTION_TOKENS)
+    );
+    const chunks = chunkDiff(diff, maxChunkTokens, model);
+
+    let done = 0;
+    const summaries = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+        const { content } = await provider.generate(
+            buildChunkSummaryPrompt(chunk, index, chunks.length),
+            { config, model, onRetry }
+        );
+        done++;
+        onProgress?.(done, chunks.length);
+        return content.trim();
+    });
+
+    return { summary: summaries.filter(Boolean).join("\n"), chunks: chunks.length };
+};
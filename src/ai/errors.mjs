@@ -0,0 +1,73 @@
+// ai/errors.mjs
+// Helpers that attach the HTTP status and API error code to errors, so callers
+// (e.g. the fallback model chain) can tell why an AI request failed
+
+// Errors after which another model or provider may still succeed
+const FALLBACK_CODES = [
+    "model_not_found", // OpenAI: model does not exist or is not available to the org
+    "not_found_error", // Anthropic: unknown model
+    "insufficient_quota", // OpenAI: quota/billing exhausted
+    "rate_limit_exceeded",
+    "rate_limit_error",
+    "context_length_exceeded",
+    "string_above_max_length",
+    "overloaded_error",
+    "api_error",
+    "timeout",
+    "network_error",
+];
+const FALLBACK_STATUSES = [404, 408, 413, 429, 500, 502, 503, 504, 529];
+
+/**
+ * Extract the error code from an API error body
+ * (OpenAI: { error: { code, type } }, Anthropic: { type: "error", error: { type } })
+ * @param {string} body - Response body text
+ * @returns {string|undefined} Error code
+ */
+const parseErrorCode = (body) => {
+    try {
+        const parsed = JSON.parse(body);
+        const error = parsed.error || parsed;
+        return error.code || error.type || undefined;
+    } catch {
+        return undefined;
+    }
+};
+
+/**
+ * Create an error for a failed API request
+ * @param {string} message - Error message
+ * @param {object} [details]
+ * @param {number} [details.status] - HTTP status
+ * @param {string} [details.code] - Error code (parsed from body when omitted)
+ * @param {string} [details.body] - Response body text
+ * @returns {Error} Error with status and code properties
+ */
+export const createApiError = (message, { status, code, body } = {}) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code || (body ? parseErrorCode(body) : undefined);
+    return error;
+};
+
+/**
+ * Wrap an error with a new message, keeping its status and code
+ * @param {string} message - New error message
+ * @param {Error} cause - Original error
+ * @returns {Error} Wrapped error
+ */
+export const wrapApiError = (message, cause) =>
+    createApiError(message, { status: cause?.status, code: cause?.code });
+
+/**
+ * Check whether an error is worth retrying with the next model of the fallback chain:
+ * unknown/unavailable model, quota or rate limits, context length exceeded, server errors
+ * and timeouts. Authentication and other request errors are not.
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True when the next model should be tried
+ */
+export const isFallbackError = (error) =>
+    FALLBACK_CODES.includes(error?.code) ||
+    FALLBACK_STATUSES.includes(error?.status) ||
+    (error?.status === 400 &&
+        /context length|context window|prompt is too long|too many tokens/i.test(error.message));
@@ -0,0 +1,79 @@
+// ai/generation-params.mjs
+// Sampling parameters and system prompt sent with every AI request
+
+import fs from "fs/promises";
+import path from "path";
+import { DEFAULT_MAX_OUTPUT_TOKENS } from "./tokens.mjs";
+
+export const DEFAULT_TEMPERATURE = 0.7;
+export const DEFAULT_SYSTEM_PROMPT =
+    "You are a helpful assistant that generates professional merge request titles and descriptions based on git changes and context.";
+
+// Upper bound for --candidates / config.aiCandidates
+export const MAX_CANDIDATES = 5;
+
+/**
+ * Parse and range-check a numeric parameter
+ * @param {any} value - Raw value (number or numeric string)
+ * @param {string} name - Name used in the error message
+ * @param {object} range
+ * @param {number} range.min - Smallest allowed value
+ * @param {number} range.max - Largest allowed value
+ * @param {boolean} [range.integer] - Whether only integers are allowed
+ * @returns {number|undefined} Parsed value, or undefined when not set
+ */
+export const parseNumericParam = (value, name, { min, max, integer = false }) => {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`Invalid ${name} '${value}'. Expected a number from ${min} to ${max}.`);
+    }
+    if (integer && !Number.isInteger(number)) {
+        throw new Error(`Invalid ${name} '${value}'. Expected a whole number.`);
+    }
+    return number;
+};
+
+/**
+ * Resolve the system prompt: config.aiSystemPrompt (inline text) or config.aiSystemPromptFile
+ * (path, relative to the current directory), falling back to the built-in prompt
+ * @param {object} [config] - Configuration object
+ * @returns {Promise<string>} System prompt
+ */
+export const getSystemPrompt = async (config = {}) => {
+    if (config.aiSystemPrompt) {
+        return String(config.aiSystemPrompt);
+    }
+    if (config.aiSystemPromptFile) {
+        const filePath = path.resolve(process.cwd(), String(config.aiSystemPromptFile));
+        try {
+            const content = (await fs.readFile(filePath, "utf8")).trim();
+            if (content) return content;
+        } catch (error) {
+            throw new Error(`Failed to read system prompt file '${filePath}': ${error.message}`);
+        }
+        throw new Error(`System prompt file '${filePath}' is empty`);
+    }
+    return DEFAULT_SYSTEM_PROMPT;
+};
+
+/**
+ * Resolve all generation parameters from the configuration
+ * @param {object} [config] - Configuration object
+ * @returns {Promise<{ temperature: number, maxTokens: number, topP?: number, systemPrompt: string }>}
+ */
+export const getGenerationParams = async (config = {}) => ({
+    temperature:
+        parseNumericParam(config.aiTemperature, "aiTemperature", { min: 0, max: 2 }) ??
+        DEFAULT_TEMPERATURE,
+    maxTokens:
+        parseNumericParam(config.aiMaxTokens, "aiMaxTokens", {
+            min: 1,
+            max: 1000000,
+            integer: true,
+        }) ?? DEFAULT_MAX_OUTPUT_TOKENS,
+    topP: parseNumericParam(config.aiTopP, "aiTopP", { min: 0, max: 1 }),
+    systemPrompt: await getSystemPrompt(config),
+});
@@ -0,0 +1,61 @@
+// ai/language.mjs
+// Output language of generated titles and descriptions (config.aiLanguage / --lang),
+// optionally followed by a translation (config.aiBilingual / --bilingual)
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language", fallback: "none" });
+
+/**
+ * Turn a language code ("de", "pt-BR") into its English name; other values ("German",
+ * "Swiss German") are used as given
+ * @param {string} value - Language code or name
+ * @returns {string|undefined} Language name, or undefined when empty
+ */
+export const resolveLanguageName = (value) => {
+    const language = String(value ?? "").trim();
+    if (!language) return undefined;
+    try {
+        return languageNames.of(language) || language;
+    } catch {
+        // Not a well-formed language tag, e.g. "Brazilian Portuguese"
+        return language;
+    }
+};
+
+/**
+ * Resolve the output languages from the configuration. English is the default, so nothing
+ * is returned unless another language or a bilingual description is requested.
+ * @param {object} [config] - Configuration object
+ * @returns {{ language: string, secondaryLanguage?: string }|undefined} Language names
+ */
+export const getOutputLanguage = (config = {}) => {
+    const language = resolveLanguageName(config.aiLanguage) || "English";
+    const secondary = resolveLanguageName(config.aiBilingual);
+    const secondaryLanguage = secondary && secondary !== language ? secondary : undefined;
+    if (language === "English" && !secondaryLanguage) return undefined;
+    return secondaryLanguage ? { language, secondaryLanguage } : { language };
+};
+
+/**
+ * Build the prompt instructions for the output language
+ * @param {{ language: string, secondaryLanguage?: string }} outputLanguage - From getOutputLanguage()
+ * @param {"text"|"json"} [responseFormat] - Response format of the prompt
+ * @returns {string} Instructions to append to the prompt
+ */
+export const buildLanguageInstructions = (
+    { language, secondaryLanguage },
+    responseFormat = "text"
+) => {
+    const lines = secondaryLanguage
+        ? [
+              `Write the title in ${language}.`,
+              `Write the description in ${language} first, then repeat it translated into ${secondaryLanguage} with the same sections, separated by a horizontal rule (---).`,
+          ]
+        : [`Write the title and description in ${language}.`];
+    lines.push(
+        "Keep code identifiers (function, class, variable and file names), commands, branch names and ticket IDs exactly as they appear in the changes; do not translate them."
+    );
+    if (responseFormat === "json") {
+        lines.push('The JSON field names and the "labels" stay in English.');
+    }
+    return `${lines.join("\n")}\n\n`;
+};
@@ -0,0 +1,136 @@
+// ai/model-catalog.mjs
+// Models available to the configured account, discovered from the provider's models
+// endpoint and cached in .gen-mr/models.json. The built-in model lists are only used
+// when the endpoint cannot be reached and nothing is cached.
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Discovered models are refreshed after a day
+export const MODEL_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Path of the discovered models cache
+ * @returns {string} Absolute path of .gen-mr/models.json in the current directory
+ */
+export const getModelCachePath = () => path.resolve(process.cwd(), ".gen-mr", "models.json");
+
+/**
+ * Cache key of a model list: the provider, endpoint and credentials determine which models
+ * are visible. Only a hash of the token is stored.
+ * @param {string} providerName - Provider name
+ * @param {string} [baseUrl] - API base URL
+ * @param {string} [token] - API token
+ * @returns {string} Cache key
+ */
+export const getModelCacheKey = (providerName, baseUrl, token) =>
+    `${providerName}:${crypto
+        .createHash("sha256")
+        .update(`${baseUrl || ""}\n${token || ""}`)
+        .digest("hex")
+        .slice(0, 16)}`;
+
+const readModelCache = async () => {
+    try {
+        return JSON.parse(await fs.readFile(getModelCachePath(), "utf8"));
+    } catch {
+        return {};
+    }
+};
+
+const writeModelCache = async (cache) => {
+    try {
+        const cachePath = getModelCachePath();
+        await fs.mkdir(path.dirname(cachePath), { recursive: true });
+        await fs.writeFile(cachePath, JSON.stringify(cache, null, 2), "utf8");
+    } catch {
+        // ignore
+    }
+};
+
+/**
+ * List the models available to the account: a fresh cached list, else the models endpoint,
+ * else a stale cached list, else the built-in list
+ * @param {object} params
+ * @param {string} params.providerName - Provider name (used in messages)
+ * @param {string} params.cacheKey - Key from getModelCacheKey()
+ * @param {() => Promise<string[]>} params.fetchModels - Queries the models endpoint
+ * @param {string[]} params.staticModels - Built-in list used offline
+ * @param {boolean} [params.refresh] - Ignore a fresh cached list and query the endpoint
+ * @returns {Promise<{ models: string[], source: "cache"|"api"|"stale-cache"|"static" }>}
+ */
+export const listAvailableModels = async ({
+    providerName,
+    cacheKey,
+    fetchModels,
+    staticModels,
+    refresh = false,
+}) => {
+    const cache = await readModelCache();
+    const cached = cache[cacheKey];
+    const age = cached ? Date.now() - new Date(cached.fetchedAt).getTime() : Infinity;
+
+    if (!refresh && cached && age < MODEL_CACHE_MAX_AGE_MS) {
+        return { models: cached.models, source: "cache" };
+    }
+
+    try {
+        const models = [...new Set(await fetchModels())].sort();
+        if (models.length === 0) {
+            throw new Error("the models endpoint returned no models");
+        }
+        await writeModelCache({
+            ...cache,
+            [cacheKey]: { models, fetchedAt: new Date().toISOString() },
+        });
+        return { models, source: "api" };
+    } catch (error) {
+        if (cached) {
+            console.warn(
+                `⚠️  Could not fetch ${providerName} models (${error.message}). Using the list cached on ${cached.fetchedAt.slice(0, 10)}.`
+            );
+            return { models: cached.models, source: "stale-cache" };
+        }
+        console.warn(
+            `⚠️  Could not fetch ${providerName} models (${error.message}). Using the built-in list.`
+        );
+        return { models: [...staticModels], source: "static" };
+    }
+};
+
+// Snapshot suffix of a dated model ID: Anthropic "-20250929", OpenAI "-2024-08-06"
+const SNAPSHOT_SUFFIX_PATTERN = /-(\d{8}|\d{4}-\d{2}-\d{2})$/;
+
+/**
+ * Reduce a model name to its alias: dated snapshot IDs such as "claude-sonnet-4-5-20250929"
+ * or "gpt-4o-2024-08-06" and aliases such as "claude-3-7-sonnet-latest" or
+ * "claude-sonnet-4-0" become the name of the model family they belong to
+ * @param {string} modelName - Model name or ID
+ * @returns {string} Lower-case alias
+ */
+export const getModelAlias = (modelName) =>
+    String(modelName || "")
+        .trim()
+        .toLowerCase()
+        .replace(SNAPSHOT_SUFFIX_PATTERN, "")
+        .replace(/-latest$/, "")
+        .replace(/-0$/, "");
+
+/**
+ * Find a model in a list, ignoring case. An alias is accepted when the list holds a dated
+ * snapshot of it (the models endpoints list "claude-sonnet-4-5-20250929", not
+ * "claude-sonnet-4-5").
+ * @param {string[]} models - Available models
+ * @param {string} modelName - Model name as typed by the user
+ * @returns {string|undefined} Canonical model name, or the alias as typed
+ */
+export const findModel = (models, modelName) => {
+    const normalized = String(modelName || "")
+        .trim()
+        .toLowerCase();
+    const exact = models.find((model) => model.toLowerCase() === normalized);
+    if (exact || !normalized || SNAPSHOT_SUFFIX_PATTERN.test(normalized)) return exact;
+    const alias = getModelAlias(normalized);
+    return models.some((model) => getModelAlias(model) === alias) ? normalized : undefined;
+};
@@ -0,0 +1,189 @@
+// ai/providers.mjs
+// Registry of AI providers. Each provider module exports a descriptor:
+//   {
+//     name,                       // canonical name stored in config.aiProvider
+//     aliases,                    // lower-case names accepted by --create-ai-token / aiProvider
+//     configureToken(isGlobal, alias),
+//     listModels(config, { refresh }), // models the account can access (cached, with a
+//                                 // built-in list as offline fallback)
+//     ownsModel(modelName),       // used to route --use-model
+//     setModel(modelName, isGlobal),
+//     showModelsHelp(),
+//     supportsStructuredOutput(config, model), // whether generate() honours responseSchema
+//     cacheable,                  // optional; false keeps responses out of the response cache
+//     getEndpoint(config),        // optional; API endpoint the requests go to, part of the
+//                                 // response cache key when a provider has configurable ones
+//     hasCredentials(config), missingCredentialsMessage,
+//     getModel(config),           // model configured for the provider
+//     generate(prompt, { config, model, onToken, responseSchema, onRetry, history })
+//         -> Promise<{ content, model, usage }>
+//                                 // onToken(text) enables streaming of the response,
+//                                 // history lists earlier { role, content } turns of the
+//                                 // conversation (sent before prompt),
+//                                 // responseSchema requests JSON output matching the schema,
+//                                 // onRetry(info) is called before a failed request is retried,
+//                                 // usage is { promptTokens, completionTokens } when reported
+//   }
+// Adding a provider means adding its module and listing the descriptor below.
+
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import { chatgptProvider } from "./chatgpt.mjs";
+import { claudeProvider } from "./claude.mjs";
+import { createReplayProvider, getReplaySettings, isReplayRequestedByEnv } from "./replay.mjs";
+
+export const DEFAULT_AI_PROVIDER = chatgptProvider.name;
+
+const AI_PROVIDERS = [
+    chatgptProvider,
+    claudeProvider,
+    // Looked up lazily: the registry is complete by the time a request is made
+    createReplayProvider((name) => getAiProvider(name), DEFAULT_AI_PROVIDER),
+];
+
+/**
+ * List all registered AI providers
+ * @returns {object[]} Provider descriptors in registration order
+ */
+export const listAiProviders = () => [...AI_PROVIDERS];
+
+/**
+ * Find a provider by its name or one of its aliases (case-insensitive)
+ * @param {string} nameOrAlias - Provider name or alias (e.g. 'ChatGPT', 'anthropic')
+ * @returns {object|null} Provider descriptor or null when unknown
+ */
+export const findAiProvider = (nameOrAlias) => {
+    const normalized = String(nameOrAlias || "")
+        .trim()
+        .toLowerCase();
+    if (!normalized) return null;
+    return (
+        AI_PROVIDERS.find(
+            (provider) =>
+                provider.name.toLowerCase() === normalized || provider.aliases.includes(normalized)
+        ) || null
+    );
+};
+
+/**
+ * Get a provider by name or alias, throwing when it is not registered
+ * @param {string} nameOrAlias - Provider name or alias
+ * @returns {object} Provider descriptor
+ */
+export const getAiProvider = (nameOrAlias) => {
+    const provider = findAiProvider(nameOrAlias);
+    if (!provider) {
+        throw new Error(
+            `Unsupported AI model '${nameOrAlias}'. Supported providers: ${AI_PROVIDERS.map((p) => p.name).join(", ")}`
+        );
+    }
+    return provider;
+};
+
+/**
+ * Resolve the name of the provider to use from configuration
+ * @param {object} config - Configuration object
+ * @returns {string} Provider name (Replay when GEN_MR_REPLAY is set, else config.aiProvider
+ *          or the default provider)
+ */
+export const resolveAiProviderName = (config = {}) =>
+    isReplayRequestedByEnv() ? "Replay" : config.aiProvider || DEFAULT_AI_PROVIDER;
+
+/**
+ * Check whether this run replays recorded AI responses. Such runs work offline: the
+ * repository host is not contacted and the remote is not fetched either.
+ * @param {object} config - Configuration object
+ * @returns {boolean} True for the Replay provider in "replay" mode
+ */
+export const isOfflineReplay = (config = {}) =>
+    findAiProvider(resolveAiProviderName(config))?.name === "Replay" &&
+    getReplaySettings(config).mode === "replay";
+
+/**
+ * Find the provider that should handle a model name. Falls back to the given
+ * provider (usually the active one) for models no provider claims, e.g. models
+ * served by a custom OpenAI-compatible endpoint.
+ * @param {string} modelName - Model name
+ * @param {string} [fallbackProviderName] - Provider to use when none claims the model
+ * @returns {object} Provider descriptor
+ */
+export const findProviderForModel = (modelName, fallbackProviderName = DEFAULT_AI_PROVIDER) =>
+    AI_PROVIDERS.find((provider) => provider.ownsModel(modelName)) ||
+    getAiProvider(fallbackProviderName);
+
+/**
+ * Resolve the ordered list of models to try: the active provider's model followed by
+ * config.aiFallbackModels. Entries are model names (routed like --use-model) or
+ * { provider, model } objects; a provider without a model uses its configured model.
+ * @param {object} config - Configuration object
+ * @param {string} [primaryProviderName] - Provider to start with (defaults to the configured one)
+ * @returns {{ provider: object, model: string }[]} Candidates without duplicates
+ */
+export const resolveModelChain = (
+    config = {},
+    primaryProviderName = resolveAiProviderName(config)
+) => {
+    const primary = getAiProvider(primaryProviderName);
+    const candidates = [{ provider: primary, model: primary.getModel(config) }];
+
+    (config.aiFallbackModels || []).forEach((entry) => {
+        const { provider: providerName, model } =
+            typeof entry === "string" ? { model: entry } : entry || {};
+        if (!providerName && !model) {
+            throw new Error(
+                `Invalid aiFallbackModels entry ${JSON.stringify(entry)}: expected a model name or { provider, model }`
+            );
+        }
+        const provider = providerName
+            ? getAiProvider(providerName)
+            : findProviderForModel(model, primary.name);
+        candidates.push({ provider, model: model || provider.getModel(config) });
+    });
+
+    return candidates.filter(
+        (candidate, index) =>
+            candidates.findIndex(
+                (other) => other.provider === candidate.provider && other.model === candidate.model
+            ) === index
+    );
+};
+
+/**
+ * Print model help for every registered provider
+ */
+export const showAiModelsHelp = () => {
+    AI_PROVIDERS.forEach((provider) => provider.showModelsHelp());
+};
+
+/**
+ * Store the default AI provider (config.aiProvider)
+ * @param {string} nameOrAlias - Provider name or alias
+ * @param {boolean} isGlobal - Whether to store in the global config
+ */
+export const setDefaultAiProvider = async (nameOrAlias, isGlobal = false) => {
+    const provider = getAiProvider(nameOrAlias);
+
+    const configDir = isGlobal
+        ? path.resolve(os.homedir(), ".gen-mr")
+        : path.resolve(process.cwd(), ".gen-mr");
+    const configPath = path.join(configDir, "config.json");
+
+    await fs.mkdir(configDir, { recursive: true });
+
+    let config = {};
+    try {
+        const existing = await fs.readFile(configPath, "utf8");
+        config = JSON.parse(existing);
+    } catch {
+        // ignore
+    }
+
+    config.aiProvider = provider.name;
+
+    await fs.writeFile(configPath, JSON.stringify(config, null, 2), "utf8");
+    console.log(
+        `🤖 AI provider set to '${provider.name}' in ${isGlobal ? "global" : "local"} config.`
+    );
+    console.log(`📁 Config saved to: ${configPath}`);
+};
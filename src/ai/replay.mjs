@@ -0,0 +1,177 @@
+// ai/replay.mjs
+// Record/replay provider: in "record" mode requests go to a real provider and every
+// prompt → response pair is saved as a fixture file; in "replay" mode responses are served
+// from those fixtures by prompt hash, without network access or credentials.
+// Select it with aiProvider: "Replay" or the GEN_MR_REPLAY environment variable.
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+export const REPLAY_MODES = ["replay", "record"];
+export const DEFAULT_FIXTURES_DIR = path.join(".gen-mr", "fixtures");
+
+/**
+ * Check whether the GEN_MR_REPLAY environment variable selects the replay provider
+ * @returns {boolean} True when GEN_MR_REPLAY is set to a mode
+ */
+export const isReplayRequestedByEnv = () =>
+    REPLAY_MODES.includes(
+        String(process.env.GEN_MR_REPLAY || "")
+            .trim()
+            .toLowerCase()
+    );
+
+/**
+ * Resolve replay settings. GEN_MR_REPLAY / GEN_MR_REPLAY_DIR take precedence over
+ * config.aiReplay ({ mode, dir, provider }).
+ * @param {object} [config] - Configuration object
+ * @returns {{ mode: string, dir: string, provider: string|undefined }} Settings; dir is absolute
+ */
+export const getReplaySettings = (config = {}) => {
+    const settings = config.aiReplay || {};
+    const mode = String(process.env.GEN_MR_REPLAY || settings.mode || "replay")
+        .trim()
+        .toLowerCase();
+    if (!REPLAY_MODES.includes(mode)) {
+        throw new Error(`Unsupported replay mode '${mode}'. Supported: ${REPLAY_MODES.join(", ")}`);
+    }
+    return {
+        mode,
+        dir: path.resolve(
+            process.cwd(),
+            process.env.GEN_MR_REPLAY_DIR || settings.dir || DEFAULT_FIXTURES_DIR
+        ),
+        provider: settings.provider,
+    };
+};
+
+/**
+ * Fixture key of a request: a hash of the prompt and of what shapes the answer
+ * (the structured output schema, the candidate index and earlier conversation turns),
+ * independent of the model
+ * @param {object} request
+ * @param {string} request.prompt - Prompt sent to the model
+ * @param {object} [request.responseSchema] - Structured output schema, if requested
+ * @param {number} [request.variant] - Candidate index when several variants are requested
+ * @param {object[]} [request.history] - Earlier conversation turns sent with the prompt
+ * @returns {string} Hex SHA-256 hash
+ */
+export const getFixtureKey = ({ prompt, responseSchema, variant, history }) =>
+    crypto
+        .createHash("sha256")
+        .update(
+            JSON.stringify({
+                prompt,
+                responseSchema: responseSchema || null,
+                ...(variant ? { variant } : {}),
+                ...(history?.length ? { history } : {}),
+            })
+        )
+        .digest("hex");
+
+/**
+ * Create the replay provider descriptor
+ * @param {(name: string) => object} getSourceProvider - Looks up the provider that is recorded
+ *        (config.aiReplay.provider, the default provider when not set)
+ * @param {string} defaultSourceProvider - Name of the provider recorded by default
+ * @returns {object} Provider descriptor (see ai/providers.mjs)
+ */
+export const createReplayProvider = (getSourceProvider, defaultSourceProvider) => {
+    const getSource = (config = {}) => {
+        const source = getSourceProvider(
+            getReplaySettings(config).provider || defaultSourceProvider
+        );
+        if (source.name === "Replay") {
+            throw new Error("aiReplay.provider must name a real provider, e.g. ChatGPT");
+        }
+        return source;
+    };
+
+    return {
+        name: "Replay",
+        aliases: ["replay", "record", "fixtures"],
+        // Every request must reach generate() so fixtures are recorded and replayed exactly
+        cacheable: false,
+        configureToken: async () => {
+            console.log("\n📼 Replay Provider");
+            console.log("".padEnd(40, "="));
+            console.log(
+                "The replay provider needs no token. Record fixtures with a real provider:"
+            );
+            console.log("  GEN_MR_REPLAY=record gen-pr feature/login main");
+            console.log("and replay them offline:");
+            console.log("  GEN_MR_REPLAY=replay gen-pr feature/login main");
+            console.log("");
+        },
+        listModels: async (config, options) => getSource(config).listModels(config, options),
+        ownsModel: () => false,
+        setModel: async () => {
+            throw new Error(
+                "The replay provider uses the model of the recorded provider. Select models there."
+            );
+        },
+        showModelsHelp: () => {
+            console.log("\n📼 Replay Models");
+            console.log("".padEnd(40, "="));
+            console.log("Replay uses the model configured for the recorded provider.");
+            console.log("");
+        },
+        // Prompts must be built exactly as when recording, so format and model follow the source
+        supportsStructuredOutput: (config, model) =>
+            Boolean(getSource(config).supportsStructuredOutput?.(config, model)),
+        hasCredentials: (config) =>
+            getReplaySettings(config).mode === "replay" || getSource(config).hasCredentials(config),
+        missingCredentialsMessage:
+            "Recording needs the credentials of the recorded provider (aiReplay.provider).",
+        getModel: (config) => getSource(config).getModel(config),
+        generate: async (prompt, options) => {
+            const { config, responseSchema, variant, history, onToken } = options;
+            const { mode, dir } = getReplaySettings(config);
+            const key = getFixtureKey({ prompt, responseSchema, variant, history });
+            const fixturePath = path.join(dir, `${key}.json`);
+
+            if (mode === "record") {
+                const source = getSource(config);
+                const response = await source.generate(prompt, options);
+                await fs.mkdir(dir, { recursive: true });
+                await fs.writeFile(
+                    fixturePath,
+                    JSON.stringify(
+                        {
+                            provider: source.name,
+                            model: response.model,
+                            prompt,
+                            ...(responseSchema ? { structured: true } : {}),
+                            ...(variant ? { variant } : {}),
+                            ...(history?.length ? { history } : {}),
+                            content: response.content,
+                            recordedAt: new Date().toISOString(),
+                        },
+                        null,
+                        2
+                    ),
+                    "utf8"
+                );
+                return response;
+            }
+
+            let fixture;
+            try {
+                fixture = JSON.parse(await fs.readFile(fixturePath, "utf8"));
+            } catch (error) {
+                throw new Error(
+                    error.code === "ENOENT"
+                        ? `No recorded response for this prompt (${fixturePath}). Record it first with GEN_MR_REPLAY=record.`
+                        : `Failed to read replay fixture ${fixturePath}: ${error.message}`
+                );
+            }
+            onToken?.(fixture.content);
+            return {
+                content: fixture.content,
+                model: fixture.model,
+                usage: { promptTokens: 0, completionTokens: 0 },
+            };
+        },
+    };
+};
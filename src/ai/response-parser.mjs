@@ -0,0 +1,201 @@
+// ai/response-parser.mjs
+// Parsing and validation of AI responses into merge request title/description/labels
+
+/**
+ * JSON schema requested from providers that support structured output.
+ * All fields are required so it is valid for OpenAI strict mode; labels may be empty.
+ */
+export const MERGE_REQUEST_RESPONSE_SCHEMA = {
+    type: "object",
+    properties: {
+        title: {
+            type: "string",
+            description: "Concise, descriptive merge request title in plain text (no markdown)",
+        },
+        description: {
+            type: "string",
+            description: "Detailed merge request description using markdown sections",
+        },
+        labels: {
+            type: "array",
+            items: { type: "string" },
+            description: "Short labels that categorize the change (may be empty)",
+        },
+    },
+    required: ["title", "description", "labels"],
+    additionalProperties: false,
+};
+
+/**
+ * Validate a parsed structured response
+ * @param {any} value - Parsed JSON value
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export const validateMergeRequestResponse = (value) => {
+    const errors = [];
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return ["response must be a JSON object"];
+    }
+    if (typeof value.title !== "string" || !value.title.trim()) {
+        errors.push("'title' must be a non-empty string");
+    } else if (value.title.includes("\n")) {
+        errors.push("'title' must be a single line");
+    }
+    if (typeof value.description !== "string" || !value.description.trim()) {
+        errors.push("'description' must be a non-empty string");
+    }
+    if (
+        value.labels !== undefined &&
+        (!Array.isArray(value.labels) || value.labels.some((label) => typeof label !== "string"))
+    ) {
+        errors.push("'labels' must be an array of strings");
+    }
+    return errors;
+};
+
+/**
+ * Parse a structured (JSON) AI response. Tolerates a surrounding ```json code fence.
+ * @param {string} text - Raw AI response
+ * @returns {{ title: string, description: string, labels: string[] }} Parsed result
+ * @throws {Error} If the response is not valid JSON or does not match the schema
+ */
+export const parseStructuredResponse = (text) => {
+    const raw = String(text || "").trim();
+    const fenced = raw.match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/i);
+    const jsonText = fenced ? fenced[1] : raw;
+
+    let value;
+    try {
+        value = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`response is not valid JSON (${error.message})`);
+    }
+
+    const errors = validateMergeRequestResponse(value);
+    if (errors.length > 0) {
+        throw new Error(errors.join("; "));
+    }
+
+    return {
+        title: value.title.trim(),
+        description: value.description.trim(),
+        labels: (value.labels || []).map((label) => label.trim()).filter(Boolean),
+    };
+};
+
+/**
+ * Parse a plain text AI response: first line is the title, the rest is the description
+ * @param {string} text - Raw AI response
+ * @returns {{ title: string, description: string, labels: string[] }} Parsed result
+ */
+export const parseTextResponse = (text) => {
+    const lines = String(text || "").split("\n");
+    const title = lines[0].trim();
+    const description = lines.slice(1).join("\n").trim();
+    return { title, description, labels: [] };
+};
+
+const JSON_ESCAPES = { b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+/**
+ * Read the top-level string fields of a JSON object that may still be arriving. A string that
+ * is cut off is returned up to its last complete character.
+ * @param {string} text - Start of a JSON object (a leading code fence is skipped)
+ * @returns {Record<string, string>} Top-level string values received so far
+ */
+const readPartialJsonStrings = (text) => {
+    const values = {};
+    let depth = 0;
+    let key = null;
+    let expectingValue = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            let value = "";
+            let j = i + 1;
+            let complete = false;
+            while (j < text.length) {
+                if (text[j] === '"') {
+                    complete = true;
+                    break;
+                }
+                if (text[j] !== "\\") {
+                    value += text[j];
+                    j += 1;
+                    continue;
+                }
+                const escape = text[j + 1];
+                if (escape === undefined || (escape === "u" && j + 6 > text.length)) break;
+                if (escape === "u") {
+                    value += String.fromCharCode(parseInt(text.slice(j + 2, j + 6), 16));
+                    j += 6;
+                } else {
+                    value += JSON_ESCAPES[escape] ?? escape;
+                    j += 2;
+                }
+            }
+            if (depth === 1 && expectingValue) {
+                values[key] = value;
+                expectingValue = false;
+            } else if (depth === 1) {
+                key = value;
+            }
+            if (!complete) break;
+            i = j;
+        } else if (char === "{" || char === "[") {
+            depth += 1;
+        } else if (char === "}" || char === "]") {
+            depth -= 1;
+        } else if (char === ":" && depth === 1) {
+            expectingValue = true;
+        } else if (char === "," && depth === 1) {
+            expectingValue = false;
+        }
+    }
+    return values;
+};
+
+/**
+ * Wrap a streaming callback for structured (JSON) responses: instead of the raw JSON, it
+ * receives the title and then the description (after a line break) as they arrive, like a
+ * streamed text response
+ * @param {(token: string) => void} onToken - Callback receiving the readable text
+ * @returns {(token: string) => void} Callback for the raw JSON deltas
+ */
+export const createStructuredStreamFilter = (onToken) => {
+    let raw = "";
+    let shown = "";
+    return (token) => {
+        raw += token;
+        const { title = "", description } = readPartialJsonStrings(raw);
+        const visible = description === undefined ? title : `${title}\n${description}`;
+        if (visible.length > shown.length && visible.startsWith(shown)) {
+            onToken(visible.slice(shown.length));
+            shown = visible;
+        }
+    };
+};
+
+/**
+ * Turn a parsed result back into response content, e.g. to replay it as an assistant turn
+ * of a conversation
+ * @param {{ title: string, description: string, labels?: string[] }} result - Parsed result
+ * @param {boolean} structured - Whether the response was a JSON object
+ * @returns {string} Response content in the requested format
+ */
+export const formatResponseContent = ({ title, description, labels = [] }, structured) =>
+    structured ? JSON.stringify({ title, description, labels }) : `${title}\n${description}`;
+
+/**
+ * Build the follow-up prompt asking the model to repair a non-conforming response
+ * @param {string} previousResponse - The response that failed validation
+ * @param {string} problem - Validation error message
+ * @returns {string} Repair prompt
+ */
+export const buildRepairPrompt = (previousResponse, problem) =>
+    `Your previous response did not match the required format: ${problem}.
+
+Previous response:
+${previousResponse}
+
+Return only a JSON object with the fields "title" (single line, plain text), "description" (markdown) and "labels" (array of strings, may be empty) that fixes these problems. Keep the content otherwise unchanged.`;
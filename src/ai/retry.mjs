@@ -0,0 +1,155 @@
+// ai/retry.mjs
+// Retry with exponential backoff and request timeouts for AI API calls
+
+import { setTimeout, clearTimeout } from "timers";
+import { setTimeout as sleep } from "timers/promises";
+import { createApiError } from "./errors.mjs";
+import { httpFetch } from "../utils/http-client.mjs";
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+export const DEFAULT_TIMEOUT_SECONDS = 120;
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+// 408 timeout, 409 conflict, 425 too early, 429 rate limit, 5xx server errors, 529 Anthropic overload
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+
+/**
+ * Check whether an HTTP status is worth retrying
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for rate limits and transient server errors
+ */
+export const isRetryableStatus = (status) => RETRYABLE_STATUSES.includes(status);
+
+/**
+ * Parse an OpenAI rate-limit reset duration such as "1s", "6m0s", "20ms" or "1h2m3.5s"
+ * @param {string} value - Header value
+ * @returns {number|null} Duration in milliseconds, or null when not parseable
+ */
+export const parseResetDuration = (value) => {
+    const text = String(value || "").trim();
+    const match = text.match(
+        /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/
+    );
+    if (!text || !match) return null;
+    const [, hours = 0, minutes = 0, seconds = 0, millis = 0] = match;
+    return Math.round(hours * 3600000 + minutes * 60000 + seconds * 1000 + Number(millis));
+};
+
+/**
+ * Determine how long the server asked us to wait before retrying
+ * (retry-after-ms, Retry-After in seconds or as an HTTP date, OpenAI x-ratelimit-reset-* headers)
+ * @param {Headers|undefined} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null when the server gave no hint
+ */
+export const getServerRetryDelay = (headers) => {
+    if (!headers || typeof headers.get !== "function") return null;
+
+    const retryAfterMs = Number.parseFloat(headers.get("retry-after-ms"));
+    if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) return retryAfterMs;
+
+    const retryAfter = headers.get("retry-after");
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    const resets = ["x-ratelimit-reset-requests", "x-ratelimit-reset-tokens"]
+        .map((name) => parseResetDuration(headers.get(name)))
+        .filter((delay) => delay !== null);
+    return resets.length > 0 ? Math.max(...resets) : null;
+};
+
+/**
+ * Compute the delay before the next attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Headers} [headers] - Response headers of the failed attempt
+ * @param {number} [baseDelayMs] - Base delay for exponential backoff
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, headers, baseDelayMs = BASE_DELAY_MS) => {
+    const serverDelay = getServerRetryDelay(headers);
+    if (serverDelay !== null) {
+        return Math.min(serverDelay, MAX_DELAY_MS);
+    }
+    // Exponential backoff with up to 25% jitter so parallel clients do not retry in lockstep
+    const backoff = baseDelayMs * 2 ** (attempt - 1);
+    return Math.min(backoff + Math.random() * backoff * 0.25, MAX_DELAY_MS);
+};
+
+/**
+ * Read retry settings from configuration
+ * @param {object} config - Configuration object
+ * @returns {{ maxAttempts: number, timeoutMs: number }} Retry settings
+ */
+export const getRetryOptions = (config = {}) => ({
+    maxAttempts: Math.max(1, Number(config.aiMaxAttempts) || DEFAULT_MAX_ATTEMPTS),
+    timeoutMs: (Number(config.aiTimeoutSeconds) || DEFAULT_TIMEOUT_SECONDS) * 1000,
+});
+
+/**
+ * fetch() with a request timeout and retries for rate limits, transient server errors,
+ * network failures and timeouts. Non-retryable responses (and the last failed attempt)
+ * are returned to the caller unchanged so its usual error handling applies.
+ * The timeout covers the wait for the response headers; streamed bodies are not cut off.
+ * @param {string} url - Request URL
+ * @param {object} init - fetch options
+ * @param {object} [options] - Retry settings
+ * @param {number} [options.maxAttempts] - Total number of attempts (default 3)
+ * @param {number} [options.timeoutMs] - Time to wait for a response per attempt
+ * @param {number} [options.baseDelayMs] - Base delay for exponential backoff
+ * @param {(info: { attempt: number, maxAttempts: number, delayMs: number, reason: string }) => void} [options.onRetry]
+ *        Called before waiting for the next attempt
+ * @returns {Promise<Response>} fetch response
+ */
+export const fetchWithRetry = async (
+    url,
+    init,
+    {
+        maxAttempts = DEFAULT_MAX_ATTEMPTS,
+        timeoutMs = DEFAULT_TIMEOUT_SECONDS * 1000,
+        baseDelayMs = BASE_DELAY_MS,
+        onRetry,
+    } = {}
+) => {
+    for (let attempt = 1; ; attempt++) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        let response;
+        let reason;
+        let code;
+        try {
+            response = await httpFetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                reason = `request timed out after ${Math.round(timeoutMs / 1000)}s`;
+                code = "timeout";
+            } else {
+                reason = `network error: ${error.cause?.message || error.message}`;
+                code = "network_error";
+            }
+            if (attempt >= maxAttempts) {
+                throw createApiError(reason.charAt(0).toUpperCase() + reason.slice(1), { code });
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (response) {
+            if (response.ok || !isRetryableStatus(response.status) || attempt >= maxAttempts) {
+                return response;
+            }
+            reason = `${response.status}${response.statusText ? ` ${response.statusText}` : ""}`;
+            // Drain the body so the connection can be reused
+            await response.text?.().catch(() => {});
+        }
+
+        const delayMs = getRetryDelay(attempt, response?.headers, baseDelayMs);
+        onRetry?.({ attempt: attempt + 1, maxAttempts, delayMs, reason });
+        await sleep(delayMs);
+    }
+};
@@ -0,0 +1,51 @@
+// ai/sse.mjs
+// Minimal server-sent events reader for streaming AI responses
+
+import { TextDecoder } from "util";
+
+/**
+ * Read a server-sent events stream and invoke a callback for every event
+ * @param {AsyncIterable<Uint8Array>} body - Response body (fetch Response.body)
+ * @param {(event: { event: string|undefined, data: string }) => void} onEvent - Event callback
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export const readServerSentEvents = async (body, onEvent) => {
+    if (!body) {
+        throw new Error("Streaming response has no body");
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    const flushEvent = (rawEvent) => {
+        let event;
+        const dataLines = [];
+        rawEvent.split("\n").forEach((line) => {
+            if (line.startsWith("event:")) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith("data:")) {
+                dataLines.push(line.slice(5).replace(/^ /, ""));
+            }
+        });
+        if (dataLines.length > 0) {
+            onEvent({ event, data: dataLines.join("\n") });
+        }
+    };
+
+    for await (const chunk of body) {
+        buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+        buffer = buffer.replace(/\r\n/g, "\n");
+
+        let separatorIndex = buffer.indexOf("\n\n");
+        while (separatorIndex !== -1) {
+            flushEvent(buffer.slice(0, separatorIndex));
+            buffer = buffer.slice(separatorIndex + 2);
+            separatorIndex = buffer.indexOf("\n\n");
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+        flushEvent(buffer);
+    }
+};
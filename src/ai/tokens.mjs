@@ -0,0 +1,87 @@
+// ai/tokens.mjs
+// Token estimation and context window sizes used to budget prompts per model
+
+// Tokens reserved for the model's answer unless config.aiMaxTokens is set
+export const DEFAULT_MAX_OUTPUT_TOKENS = 1024;
+
+// Context window used for models we know nothing about (e.g. local models)
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Ordered: the first matching prefix wins
+const CONTEXT_WINDOWS = [
+    [/^gpt-4\.1/i, 1047576],
+    [/^gpt-4o/i, 128000],
+    [/^gpt-4-turbo/i, 128000],
+    [/^gpt-4/i, 8192],
+    [/^gpt-3\.5-turbo/i, 16385],
+    [/^o\d/i, 200000],
+    [/^claude/i, 200000],
+];
+
+// Average characters per token for each tokenizer family. Diffs and code tokenize
+// worse than prose, so these are on the conservative side.
+const CHARS_PER_TOKEN = [
+    [/^(gpt-4o|gpt-4\.1|o\d)/i, 3.8], // o200k_base
+    [/^(gpt-4|gpt-3\.5)/i, 3.5], // cl100k_base
+    [/^claude/i, 3.2],
+];
+const DEFAULT_CHARS_PER_TOKEN = 3.2;
+
+// Share of the context window kept free to absorb estimation errors
+const SAFETY_MARGIN = 0.05;
+
+const lookup = (table, model, fallback) => {
+    const name = String(model || "").trim();
+    const entry = table.find(([pattern]) => pattern.test(name));
+    return entry ? entry[1] : fallback;
+};
+
+/**
+ * Estimate the number of tokens a text uses for a given model
+ * @param {string} text - Text to measure
+ * @param {string} [model] - Model name, selects the tokenizer family
+ * @returns {number} Estimated token count
+ */
+export const estimateTokens = (text, model) => {
+    if (!text) return 0;
+    return Math.ceil(text.length / lookup(CHARS_PER_TOKEN, model, DEFAULT_CHARS_PER_TOKEN));
+};
+
+/**
+ * Get the context window of a model
+ * @param {string} model - Model name
+ * @param {object} [config] - Configuration; aiContextWindow overrides the built-in table
+ * @returns {number} Context window in tokens
+ */
+export const getContextWindow = (model, config = {}) => {
+    const configured = Number(config.aiContextWindow);
+    if (Number.isFinite(configured) && configured > 0) {
+        return configured;
+    }
+    return lookup(CONTEXT_WINDOWS, model, DEFAULT_CONTEXT_WINDOW);
+};
+
+/**
+ * Number of tokens reserved for the model's answer (config.aiMaxTokens)
+ * @param {object} [config] - Configuration object
+ * @returns {number} Max output tokens
+ */
+export const getMaxOutputTokens = (config = {}) => {
+    const configured = Number(config.aiMaxTokens);
+    if (Number.isInteger(configured) && configured > 0) {
+        return configured;
+    }
+    return DEFAULT_MAX_OUTPUT_TOKENS;
+};
+
+/**
+ * Number of tokens the prompt may use: the context window minus the answer and a safety margin
+ * @param {string} model - Model name
+ * @param {object} [config] - Configuration object
+ * @returns {number} Prompt token budget
+ */
+export const getPromptTokenBudget = (model, config = {}) => {
+    const contextWindow = getContextWindow(model, config);
+    const reserved = getMaxOutputTokens(config) + Math.ceil(contextWindow * SAFETY_MARGIN);
+    return Math.max(0, contextWindow - reserved);
+};
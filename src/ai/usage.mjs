@@ -0,0 +1,208 @@
+// ai/usage.mjs
+// Token usage and cost estimation, and the local usage ledger (.gen-mr/usage.jsonl)
+
+import fs from "fs/promises";
+import path from "path";
+import { getModelAlias } from "./model-catalog.mjs";
+
+// USD per 1M tokens. Override or extend with config.aiPricing: { "<model>": { input, output } }
+export const MODEL_PRICING = {
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "gpt-4.1": { input: 2, output: 8 },
+    "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+    "gpt-4-turbo": { input: 10, output: 30 },
+    "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+    "claude-opus-4-1": { input: 15, output: 75 },
+    "claude-sonnet-4-5": { input: 3, output: 15 },
+    "claude-sonnet-4-0": { input: 3, output: 15 },
+    "claude-haiku-4-5": { input: 1, output: 5 },
+    "claude-3-7-sonnet-latest": { input: 3, output: 15 },
+    "claude-3-5-haiku-latest": { input: 0.8, output: 4 },
+};
+
+/**
+ * Empty usage totals
+ * @returns {{ promptTokens: number, completionTokens: number, requests: number }}
+ */
+export const emptyUsage = () => ({ promptTokens: 0, completionTokens: 0, requests: 0 });
+
+/**
+ * Add the usage of one request to running totals
+ * @param {object} total - Totals from emptyUsage()/addUsage()
+ * @param {{ promptTokens?: number, completionTokens?: number }} usage - Usage of one request
+ * @returns {object} New totals
+ */
+export const addUsage = (total, usage) => ({
+    promptTokens: total.promptTokens + (usage.promptTokens || 0),
+    completionTokens: total.completionTokens + (usage.completionTokens || 0),
+    requests: total.requests + 1,
+});
+
+const findPricing = (prices = {}, model) => {
+    if (prices[model]) return prices[model];
+    const alias = getModelAlias(model);
+    const name = Object.keys(prices).find((priced) => getModelAlias(priced) === alias);
+    return name ? prices[name] : null;
+};
+
+/**
+ * Get the price of a model. Dated snapshots (e.g. "claude-sonnet-4-5-20250929",
+ * "gpt-4o-2024-08-06") are priced like their alias.
+ * @param {string} model - Model name
+ * @param {object} [config] - Configuration; aiPricing entries take precedence
+ * @returns {{ input: number, output: number }|null} USD per 1M tokens, or null when unknown
+ */
+export const getModelPricing = (model, config = {}) =>
+    findPricing(config.aiPricing, model) || findPricing(MODEL_PRICING, model);
+
+/**
+ * Estimate the cost of token usage
+ * @param {{ promptTokens: number, completionTokens: number }} usage - Token counts
+ * @param {string} model - Model name
+ * @param {object} [config] - Configuration object
+ * @returns {number|null} Cost in USD, or null when the model has no known price
+ */
+export const estimateCost = (usage, model, config = {}) => {
+    const pricing = getModelPricing(model, config);
+    if (!pricing) return null;
+    return (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1e6;
+};
+
+/**
+ * Format a cost in USD
+ * @param {number|null} cost - Cost in USD
+ * @returns {string} e.g. "$0.0123", or "cost unknown"
+ */
+export const formatCost = (cost) =>
+    cost === null || cost === undefined ? "cost unknown" : `$${cost.toFixed(4)}`;
+
+/**
+ * Format usage for display next to the generation summary
+ * @param {{ promptTokens: number, completionTokens: number, cost: number|null }} usage - Usage
+ * @returns {string} e.g. "1,234 prompt + 256 completion tokens, est. $0.0057"
+ */
+export const formatUsage = ({ promptTokens, completionTokens, cost }) => {
+    const costText =
+        cost === null || cost === undefined ? "cost unknown" : `est. ${formatCost(cost)}`;
+    return `${promptTokens.toLocaleString("en-US")} prompt + ${completionTokens.toLocaleString("en-US")} completion tokens, ${costText}`;
+};
+
+/**
+ * Path of the local usage ledger
+ * @returns {string} Absolute path of .gen-mr/usage.jsonl in the current directory
+ */
+export const getUsageLedgerPath = () => path.resolve(process.cwd(), ".gen-mr", "usage.jsonl");
+
+/**
+ * Append a generation to the usage ledger. Failures are ignored: the ledger is best-effort.
+ * @param {object} entry - { provider, model, kind, promptTokens, completionTokens, requests, cost }
+ * @returns {Promise<void>}
+ */
+export const recordUsage = async (entry) => {
+    try {
+        const ledgerPath = getUsageLedgerPath();
+        await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+        const line = JSON.stringify({ date: new Date().toISOString(), ...entry });
+        await fs.appendFile(ledgerPath, `${line}\n`, "utf8");
+    } catch {
+        // ignore
+    }
+};
+
+/**
+ * Read ledger entries
+ * @param {object} [options]
+ * @param {Date} [options.since] - Only entries at or after this date
+ * @returns {Promise<object[]>} Ledger entries (malformed lines are skipped)
+ */
+export const readUsageLedger = async ({ since } = {}) => {
+    let data;
+    try {
+        data = await fs.readFile(getUsageLedgerPath(), "utf8");
+    } catch {
+        return [];
+    }
+    return data
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter((entry) => entry && (!since || new Date(entry.date) >= since));
+};
+
+/**
+ * Print cumulative usage from the ledger, per provider/model and in total
+ * @param {object} [options]
+ * @param {string} [options.since] - Start date (YYYY-MM-DD or any Date-parsable string)
+ * @returns {Promise<void>}
+ */
+export const showUsageReport = async ({ since } = {}) => {
+    let sinceDate;
+    if (since !== undefined && since !== true) {
+        sinceDate = new Date(String(since));
+        if (Number.isNaN(sinceDate.getTime())) {
+            throw new Error(`Invalid --since date '${since}'. Use YYYY-MM-DD.`);
+        }
+    }
+
+    const entries = await readUsageLedger({ since: sinceDate });
+
+    console.log("\n📊 AI Usage");
+    console.log("".padEnd(40, "="));
+    console.log(`Ledger: ${getUsageLedgerPath()}`);
+    if (sinceDate) {
+        console.log(`Since:  ${sinceDate.toISOString().slice(0, 10)}`);
+    }
+
+    if (entries.length === 0) {
+        console.log("\nNo usage recorded yet.\n");
+        return;
+    }
+
+    const byModel = new Map();
+    entries.forEach((entry) => {
+        const key = `${entry.provider} (${entry.model})`;
+        const row = byModel.get(key) || {
+            generations: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            cost: 0,
+            unpriced: false,
+        };
+        row.generations += 1;
+        row.promptTokens += entry.promptTokens || 0;
+        row.completionTokens += entry.completionTokens || 0;
+        if (typeof entry.cost === "number") {
+            row.cost += entry.cost;
+        } else {
+            row.unpriced = true;
+        }
+        byModel.set(key, row);
+    });
+
+    console.log("");
+    let totalCost = 0;
+    let totalPrompt = 0;
+    let totalCompletion = 0;
+    byModel.forEach((row, key) => {
+        console.log(`  • ${key}: ${row.generations} generation(s)`);
+        console.log(
+            `      ${formatUsage({ ...row, cost: row.unpriced && row.cost === 0 ? null : row.cost })}`
+        );
+        totalCost += row.cost;
+        totalPrompt += row.promptTokens;
+        totalCompletion += row.completionTokens;
+    });
+
+    console.log("");
+    console.log(
+        `Total: ${entries.length} generation(s), ${formatUsage({ promptTokens: totalPrompt, completionTokens: totalCompletion, cost: totalCost })}`
+    );
+    console.log("");
+};
@@ -1,11 +1,21 @@
 // common-cli-flags.mjs
-// Shared handler for CLI flags: --create-ai-token, --use-model, --show-config
+// Shared handler for CLI flags: --create-ai-token, --use-model, --use-provider, --show-config,
+// --list-models, --clear-cache, --usage
 // Allows callers (gen-pr / gen-mr) to supply an ordered subset of flags to
 // preserve original precedence relative to other tool-specific flags.
 
 import { createAiToken } from "../ai/create-ai-token.mjs";
-import { setChatGPTModel, CHATGPT_MODELS } from "../ai/chatgpt.mjs";
-import { showCurrentConfig } from "../config/common.mjs";
+import { clearAiCache, getCacheDir } from "../ai/cache.mjs";
+import { showUsageReport } from "../ai/usage.mjs";
+import { DIFF_MODES } from "../ai/diff-summarizer.mjs";
+import { MAX_CANDIDATES, parseNumericParam } from "../ai/generation-params.mjs";
+import {
+    findProviderForModel,
+    getAiProvider,
+    resolveAiProviderName,
+    setDefaultAiProvider,
+} from "../ai/providers.mjs";
+import { getConfig, showCurrentConfig } from "../config/common.mjs";
 import { configureEditor } from "../config/editor-config.mjs";
 import { configureGithubToken, configureGitlabToken } from "../config/token-config.mjs";
 
@@ -24,7 +34,17 @@ export async function handleCommonCliFlags({ argv, toolName, include }) {
     const flagsOrder =
         include && include.length > 0
             ? include
-            : ["create-token", "create-ai-token", "configure-editor", "use-model", "show-config"];
+            : [
+                  "create-token",
+                  "create-ai-token",
+                  "configure-editor",
+                  "use-model",
+                  "use-provider",
+                  "list-models",
+                  "show-config",
+                  "clear-cache",
+                  "usage",
+              ];
 
     const isGlobal = argv.global || argv.g;
 
@@ -58,17 +78,55 @@ export async function handleCommonCliFlags({ argv, toolName, include }) {
         }
 
         if (flag === "use-model" && argv["use-model"]) {
-            const modelRaw = argv["use-model"]; // e.g. gpt-4o
+            const modelRaw = argv["use-model"]; // e.g. gpt-4o or claude-sonnet-4-5
+            // Models no provider claims (e.g. on a local endpoint) go to the active provider
+            const config = await getConfig().catch(() => ({}));
+            const provider = findProviderForModel(String(modelRaw), resolveAiProviderName(config));
             try {
-                await setChatGPTModel(String(modelRaw), isGlobal);
+                await provider.setModel(String(modelRaw), isGlobal);
             } catch (error) {
                 // Mirror previous behaviour: print supported models then throw
-                console.log("ℹ️  Supported models:", CHATGPT_MODELS.join(", "));
+                const models = await provider.listModels(config);
+                console.log("ℹ️  Supported models:", models.join(", "));
                 throw new Error(`Failed to set model: ${error.message}`);
             }
             return true;
         }
 
+        if (flag === "use-provider" && argv["use-provider"]) {
+            try {
+                await setDefaultAiProvider(String(argv["use-provider"]), isGlobal);
+            } catch (error) {
+                throw new Error(`Failed to set AI provider: ${error.message}`);
+            }
+            return true;
+        }
+
+        if (flag === "list-models" && argv["list-models"]) {
+            try {
+                // --list-models [provider]: defaults to the active provider
+                const config = await getConfig().catch(() => ({}));
+                const provider = getAiProvider(
+                    argv["list-models"] === true
+                        ? resolveAiProviderName(config)
+                        : String(argv["list-models"])
+                );
+                const models = await provider.listModels(config, { refresh: true });
+                const current = provider.getModel(config);
+                console.log(`\n🤖 ${provider.name} models available to your account`);
+                console.log("".padEnd(40, "="));
+                models.forEach((model) => {
+                    console.log(`  ${model === current ? "•" : " "} ${model}`);
+                });
+                console.log(
+                    `\nCurrent model: ${current}. Select another with --use-model <model>.`
+                );
+            } catch (error) {
+                throw new Error(`Failed to list models: ${error.message}`);
+            }
+            return true;
+        }
+
         if (flag === "show-config" && argv["show-config"]) {
             try {
                 await showCurrentConfig(isGlobal, toolName);
@@ -77,7 +135,131 @@ export async function handleCommonCliFlags({ argv, toolName, include }) {
             }
             return true;
         }
+
+        if (flag === "clear-cache" && argv["clear-cache"]) {
+            try {
+                const removed = await clearAiCache();
+                console.log(`🧹 Removed ${removed} cached AI response(s) from ${getCacheDir()}`);
+            } catch (error) {
+                throw new Error(`Failed to clear cache: ${error.message}`);
+            }
+            return true;
+        }
+
+        if (flag === "usage" && argv.usage) {
+            try {
+                await showUsageReport({ since: argv.since });
+            } catch (error) {
+                throw new Error(`Failed to show usage: ${error.message}`);
+            }
+            return true;
+        }
     }
 
     return false;
 }
+
+/**
+ * Read a CLI option that needs a value (a bare flag would otherwise swallow nothing or
+ * be mistaken for `true`)
+ *
+ * @param {object} argv Parsed minimist argv object
+ * @param {string} flag Option name without dashes
+ * @returns {string} Trimmed option value
+ */
+function requireFlagValue(argv, flag) {
+    const value = argv[flag] === true ? "" : String(argv[flag]).trim();
+    if (!value) {
+        throw new Error(`--${flag} requires a value`);
+    }
+    return value;
+}
+
+/**
+ * Translate per-run CLI options into configuration overrides.
+ * Values given on the command line take precedence over config files.
+ *
+ * @param {object} argv Parsed minimist argv object
+ * @returns {object} Partial configuration to merge over the loaded config
+ */
+export function getCliConfigOverrides(argv) {
+    const overrides = {};
+
+    // --stream / --no-stream
+    if (argv.stream !== undefined) {
+        overrides.aiStream = Boolean(argv.stream);
+    }
+
+    // --cache / --no-cache
+    if (argv.cache !== undefined) {
+        overrides.aiCache = Boolean(argv.cache);
+    }
+
+    // --diff-mode truncate|summarize|auto
+    if (argv["diff-mode"] !== undefined) {
+        const mode = String(argv["diff-mode"]).trim().toLowerCase();
+        if (!DIFF_MODES.includes(mode)) {
+            throw new Error(
+                `Unsupported diff mode '${argv["diff-mode"]}'. Supported: ${DIFF_MODES.join(", ")}`
+            );
+        }
+        overrides.aiDiffMode = mode;
+    }
+
+    // --temperature, --max-tokens, --top-p
+    const temperature = parseNumericParam(argv.temperature, "--temperature", { min: 0, max: 2 });
+    if (temperature !== undefined) {
+        overrides.aiTemperature = temperature;
+    }
+    const maxTokens = parseNumericParam(argv["max-tokens"], "--max-tokens", {
+        min: 1,
+        max: 1000000,
+        integer: true,
+    });
+    if (maxTokens !== undefined) {
+        overrides.aiMaxTokens = maxTokens;
+    }
+    const topP = parseNumericParam(argv["top-p"], "--top-p", { min: 0, max: 1 });
+    if (topP !== undefined) {
+        overrides.aiTopP = topP;
+    }
+
+    // --candidates N: generate several variants to pick from
+    const candidates = parseNumericParam(argv.candidates, "--candidates", {
+        min: 1,
+        max: MAX_CANDIDATES,
+        integer: true,
+    });
+    if (candidates !== undefined) {
+        overrides.aiCandidates = candidates;
+    }
+
+    // --lang <language> / --bilingual <language>: output language and translation
+    if (argv.lang !== undefined) {
+        overrides.aiLanguage = requireFlagValue(argv, "lang");
+    }
+    if (argv.bilingual !== undefined) {
+        overrides.aiBilingual = requireFlagValue(argv, "bilingual");
+    }
+
+    // --template <name>: prompt template from .gen-mr/templates/<name>.md
+    if (argv.template !== undefined) {
+        overrides.aiPromptTemplate = requireFlagValue(argv, "template");
+    }
+
+    // --system-prompt <text> / --system-prompt-file <path> (either replaces the configured one)
+    ["system-prompt", "system-prompt-file"].forEach((flag) => {
+        if (argv[flag] !== undefined && (argv[flag] === true || argv[flag] === "")) {
+            throw new Error(`--${flag} requires a value`);
+        }
+    });
+    if (argv["system-prompt"] !== undefined) {
+        overrides.aiSystemPrompt = String(argv["system-prompt"]);
+        overrides.aiSystemPromptFile = undefined;
+    } else if (argv["system-prompt-file"] !== undefined) {
+        overrides.aiSystemPromptFile = String(argv["system-prompt-file"]);
+        overrides.aiSystemPrompt = undefined;
+    }
+
+    return overrides;
+}
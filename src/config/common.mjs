@@ -228,7 +228,7 @@ export const showCurrentConfig = async (isGlobal = false, toolName = "gen-pr") =
 
             const providerName = toolName === "gen-mr" ? "GitLab" : "GitHub";
             console.log(`   • ${providerName} token: ${toolName} --create-token`);
-            console.log(`   • AI token: ${toolName} --create-ai-token ChatGPT`);
+            console.log(`   • AI token: ${toolName} --create-ai-token ChatGPT (or Claude)`);
             console.log(`   • Editor: ${toolName} --configure-editor`);
             console.log(`   • AI model: ${toolName} --use-model gpt-4o`);
         }
@@ -277,6 +277,179 @@ const displayConfigContents = (config, toolName = "gen-pr") => {
         console.log(`     • OpenAI Model: ${config.openaiModel}`);
     }
 
+    // OpenAI-compatible endpoint
+    if (config.openaiBaseUrl) {
+        console.log(`     • OpenAI Endpoint: ${config.openaiBaseUrl}`);
+        if (!config.openaiToken) {
+            console.log("     • OpenAI Endpoint Auth: none");
+        }
+    }
+
+    if (config.openaiAuthHeader) {
+        console.log(`     • OpenAI Auth Header: ${config.openaiAuthHeader}`);
+    }
+
+    // Anthropic Token
+    if (config.anthropicToken) {
+        const masked = `${config.anthropicToken.substring(0, 4)}${"*".repeat(Math.max(0, config.anthropicToken.length - 8))}${config.anthropicToken.substring(config.anthropicToken.length - 4)}`;
+        console.log(`     • Anthropic Token: ${masked}`);
+    }
+
+    // Claude Model
+    if (config.claudeModel) {
+        console.log(`     • Claude Model: ${config.claudeModel}`);
+    }
+
+    // Active AI provider
+    if (config.aiProvider) {
+        console.log(`     • AI Provider: ${config.aiProvider}`);
+    }
+
+    // Streaming of AI output
+    if (config.aiStream !== undefined) {
+        console.log(`     • Stream AI Output: ${config.aiStream === false ? "off" : "on"}`);
+    }
+
+    // Structured (JSON) AI output
+    if (config.aiStructuredOutput !== undefined) {
+        console.log(
+            `     • Structured AI Output: ${config.aiStructuredOutput === false ? "off" : "on"}`
+        );
+    }
+    if (config.aiRepairAttempts !== undefined) {
+        console.log(`     • AI Repair Attempts: ${config.aiRepairAttempts}`);
+    }
+
+    // Retry and timeout of AI requests
+    if (config.aiMaxAttempts !== undefined) {
+        console.log(`     • AI Max Attempts: ${config.aiMaxAttempts}`);
+    }
+    if (config.aiTimeoutSeconds !== undefined) {
+        console.log(`     • AI Request Timeout: ${config.aiTimeoutSeconds}s`);
+    }
+
+    // Generation parameters
+    if (config.aiTemperature !== undefined) {
+        console.log(`     • AI Temperature: ${config.aiTemperature}`);
+    }
+    if (config.aiMaxTokens !== undefined) {
+        console.log(`     • AI Max Output Tokens: ${config.aiMaxTokens}`);
+    }
+    if (config.aiTopP !== undefined) {
+        console.log(`     • AI Top P: ${config.aiTopP}`);
+    }
+    if (config.aiSystemPrompt) {
+        const preview = String(config.aiSystemPrompt).replace(/\s+/g, " ");
+        console.log(
+            `     • AI System Prompt: ${preview.length > 60 ? `${preview.slice(0, 57)}...` : preview}`
+        );
+    }
+    if (config.aiSystemPromptFile) {
+        console.log(`     • AI System Prompt File: ${config.aiSystemPromptFile}`);
+    }
+
+    // Candidate variants per generation
+    if (config.aiCandidates !== undefined) {
+        console.log(`     • AI Candidates: ${config.aiCandidates}`);
+    }
+
+    // Record/replay fixtures
+    if (config.aiReplay && typeof config.aiReplay === "object") {
+        const { mode = "replay", dir = ".gen-mr/fixtures", provider } = config.aiReplay;
+        console.log(
+            `     • AI Replay: ${mode} (${dir}${provider ? `, recording ${provider}` : ""})`
+        );
+    }
+
+    // HTTP client (proxy, TLS, timeouts)
+    if (config.http && typeof config.http === "object") {
+        const { proxy, noProxy, caFile, certFile, timeoutSeconds } = config.http;
+        const parts = [
+            proxy && `proxy ${proxy.replace(/\/\/[^@/]*@/, "//***@")}`,
+            noProxy && `no proxy for ${noProxy}`,
+            caFile && `CA bundle ${caFile}`,
+            certFile && `client certificate ${certFile}`,
+            timeoutSeconds && `timeout ${timeoutSeconds}s`,
+        ].filter(Boolean);
+        if (parts.length > 0) {
+            console.log(`     • HTTP: ${parts.join(", ")}`);
+        }
+    }
+
+    // Output language
+    if (config.aiLanguage || config.aiBilingual) {
+        const bilingual = config.aiBilingual ? ` (bilingual with ${config.aiBilingual})` : "";
+        console.log(`     • AI Output Language: ${config.aiLanguage || "en"}${bilingual}`);
+    }
+
+    // Prompt template
+    if (config.aiPromptTemplate) {
+        console.log(`     • AI Prompt Template: ${config.aiPromptTemplate}`);
+    }
+    if (config.descriptionTemplate !== undefined) {
+        const template =
+            config.descriptionTemplate === false ? "disabled" : config.descriptionTemplate;
+        console.log(`     • Description Template: ${template}`);
+    }
+
+    // Secret redaction
+    if (config.aiRedaction === false) {
+        console.log("     • AI Secret Redaction: disabled");
+    }
+    if (Array.isArray(config.aiRedactPatterns) && config.aiRedactPatterns.length > 0) {
+        const patterns = config.aiRedactPatterns.map((entry) =>
+            typeof entry === "string" ? entry : entry.name || entry.pattern
+        );
+        console.log(`     • AI Redact Patterns: ${patterns.join(", ")}`);
+    }
+
+    // Fallback model chain
+    if (Array.isArray(config.aiFallbackModels) && config.aiFallbackModels.length > 0) {
+        const fallbacks = config.aiFallbackModels.map((entry) =>
+            typeof entry === "string"
+                ? entry
+                : [entry?.provider, entry?.model].filter(Boolean).join(":")
+        );
+        console.log(`     • AI Fallback Models: ${fallbacks.join(" → ")}`);
+    }
+
+    // Response cache
+    if (config.aiCache !== undefined) {
+        console.log(`     • AI Response Cache: ${config.aiCache === false ? "off" : "on"}`);
+    }
+
+    // Custom model prices for cost estimates
+    if (config.aiPricing && typeof config.aiPricing === "object") {
+        console.log(`     • AI Pricing Overrides: ${Object.keys(config.aiPricing).join(", ")}`);
+    }
+
+    // Large diff handling
+    if (config.aiDiffMode !== undefined) {
+        console.log(`     • Diff Mode: ${config.aiDiffMode}`);
+    }
+    if (config.aiConcurrency !== undefined) {
+        console.log(`     • AI Concurrency: ${config.aiConcurrency}`);
+    }
+    if (Array.isArray(config.diffExclude) && config.diffExclude.length > 0) {
+        console.log(`     • Diff Exclude: ${config.diffExclude.join(", ")}`);
+    }
+    if (config.diffExcludeDefaults === false) {
+        console.log("     • Default Diff Excludes: off");
+    }
+
+    // Commit bodies and trailers in the prompt
+    if (config.aiCommitBodyLimit !== undefined) {
+        const limit = Number(config.aiCommitBodyLimit);
+        console.log(
+            `     • AI Commit Body Limit: ${limit > 0 ? `${limit} characters` : "subjects only"}`
+        );
+    }
+
+    // Context window override for prompt budgeting
+    if (config.aiContextWindow !== undefined) {
+        console.log(`     • AI Context Window: ${config.aiContextWindow} tokens`);
+    }
+
     // Editor Command
     if (config.editorCommand) {
         console.log(`     • Editor Command: ${config.editorCommand}`);
@@ -289,6 +462,39 @@ const displayConfigContents = (config, toolName = "gen-pr") => {
         "gitlabHost",
         "openaiToken",
         "openaiModel",
+        "openaiBaseUrl",
+        "openaiAuthHeader",
+        "anthropicToken",
+        "claudeModel",
+        "aiProvider",
+        "aiStream",
+        "aiStructuredOutput",
+        "aiRepairAttempts",
+        "aiMaxAttempts",
+        "aiTimeoutSeconds",
+        "aiContextWindow",
+        "aiCommitBodyLimit",
+        "aiDiffMode",
+        "aiConcurrency",
+        "diffExclude",
+        "diffExcludeDefaults",
+        "aiCache",
+        "aiPricing",
+        "aiFallbackModels",
+        "aiTemperature",
+        "aiMaxTokens",
+        "aiTopP",
+        "aiSystemPrompt",
+        "aiSystemPromptFile",
+        "aiCandidates",
+        "aiReplay",
+        "aiLanguage",
+        "aiBilingual",
+        "aiPromptTemplate",
+        "descriptionTemplate",
+        "aiRedaction",
+        "aiRedactPatterns",
+        "http",
         "editorCommand",
     ];
     const unknownKeys = keys.filter((key) => !knownKeys.includes(key));
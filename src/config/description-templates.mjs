@@ -0,0 +1,120 @@
+// description-templates.mjs
+// The repository's own pull/merge request description templates (GitHub
+// pull_request_template.md and PULL_REQUEST_TEMPLATE/, GitLab .gitlab/merge_request_templates/).
+// The chosen template is given to the AI so the description follows it.
+
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Where each platform looks for templates. Names are matched case-insensitively, like GitHub
+ * does. Single files come first; directories hold several templates to choose from.
+ */
+export const DESCRIPTION_TEMPLATE_LOCATIONS = {
+    github: {
+        files: [
+            ".github/pull_request_template.md",
+            "pull_request_template.md",
+            "docs/pull_request_template.md",
+        ],
+        dirs: [
+            ".github/PULL_REQUEST_TEMPLATE",
+            "PULL_REQUEST_TEMPLATE",
+            "docs/PULL_REQUEST_TEMPLATE",
+        ],
+    },
+    gitlab: {
+        files: [],
+        dirs: [".gitlab/merge_request_templates"],
+    },
+};
+
+/**
+ * Resolve a repository-relative path case-insensitively
+ * @param {string} rootDir - Repository root
+ * @param {string} relativePath - Path with "/" separators
+ * @param {"file"|"dir"} type - Expected entry type
+ * @returns {Promise<string|null>} Actual relative path, or null when it does not exist
+ */
+const findEntry = async (rootDir, relativePath, type) => {
+    let current = "";
+    const parts = relativePath.split("/");
+    for (const [index, part] of parts.entries()) {
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(rootDir, current), { withFileTypes: true });
+        } catch {
+            return null;
+        }
+        const wantsDir = index < parts.length - 1 || type === "dir";
+        const entry = entries.find(
+            (candidate) =>
+                candidate.name.toLowerCase() === part.toLowerCase() &&
+                (wantsDir ? candidate.isDirectory() : candidate.isFile())
+        );
+        if (!entry) return null;
+        current = current ? `${current}/${entry.name}` : entry.name;
+    }
+    return current;
+};
+
+/**
+ * Find the description templates of a repository
+ * @param {"github"|"gitlab"} [platform] - Platform whose locations are searched (all when omitted)
+ * @param {string} [rootDir] - Repository root (the current directory by default)
+ * @returns {Promise<{ name: string, path: string, content: string }[]>} Templates with their
+ *          repository-relative path; directory templates are sorted by name, GitLab's
+ *          "Default" template first
+ */
+export const findDescriptionTemplates = async (platform, rootDir = process.cwd()) => {
+    const platforms = platform ? [platform] : Object.keys(DESCRIPTION_TEMPLATE_LOCATIONS);
+    const found = [];
+    const add = async (relativePath) => {
+        if (found.some((template) => template.path === relativePath)) return;
+        const content = await fs.readFile(path.join(rootDir, relativePath), "utf8");
+        if (!content.trim()) return;
+        found.push({ name: path.basename(relativePath, ".md"), path: relativePath, content });
+    };
+
+    for (const name of platforms) {
+        const { files, dirs } = DESCRIPTION_TEMPLATE_LOCATIONS[name] || { files: [], dirs: [] };
+        for (const file of files) {
+            const relativePath = await findEntry(rootDir, file, "file");
+            if (relativePath) await add(relativePath);
+        }
+        for (const dir of dirs) {
+            const relativeDir = await findEntry(rootDir, dir, "dir");
+            if (!relativeDir) continue;
+            const entries = await fs.readdir(path.join(rootDir, relativeDir), {
+                withFileTypes: true,
+            });
+            const names = entries
+                .filter((entry) => entry.isFile() && entry.name.toLowerCase().endsWith(".md"))
+                .map((entry) => entry.name)
+                .sort((a, b) => {
+                    const aDefault = a.toLowerCase() === "default.md";
+                    const bDefault = b.toLowerCase() === "default.md";
+                    return aDefault === bDefault ? a.localeCompare(b) : aDefault ? -1 : 1;
+                });
+            for (const fileName of names) {
+                await add(`${relativeDir}/${fileName}`);
+            }
+        }
+    }
+    return found;
+};
+
+/**
+ * Find the template named in config.descriptionTemplate (by name or path, case-insensitive)
+ * @param {{ name: string, path: string }[]} templates - Templates from findDescriptionTemplates()
+ * @param {string} wanted - Configured name
+ * @returns {object|undefined} Matching template
+ */
+export const findDescriptionTemplateByName = (templates, wanted) => {
+    const key = String(wanted).trim().toLowerCase();
+    return templates.find(
+        (template) =>
+            template.path.toLowerCase() === key ||
+            template.name.toLowerCase() === key.replace(/\.md$/, "")
+    );
+};
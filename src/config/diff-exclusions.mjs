@@ -0,0 +1,162 @@
+// diff-exclusions.mjs
+// Files whose changes are noise for the AI (lockfiles, minified bundles, snapshots, generated
+// and vendored code). Their diffs are left out of the prompt; the files are still named with
+// their line counts so the AI knows they changed.
+
+import fs from "fs/promises";
+import path from "path";
+import { globToRegExp } from "../utils/glob.mjs";
+import { splitDiffByFile, splitFileDiffIntoHunks } from "../utils/diff.mjs";
+
+export const GITATTRIBUTES_FILE = ".gitattributes";
+
+/**
+ * Globs excluded unless config.diffExcludeDefaults is false
+ */
+export const DEFAULT_DIFF_EXCLUDES = [
+    // Lockfiles
+    "package-lock.json",
+    "npm-shrinkwrap.json",
+    "yarn.lock",
+    "pnpm-lock.yaml",
+    "bun.lockb",
+    "composer.lock",
+    "Gemfile.lock",
+    "Cargo.lock",
+    "poetry.lock",
+    "Pipfile.lock",
+    "go.sum",
+    // Minified bundles and source maps
+    "*.min.js",
+    "*.min.css",
+    "*.map",
+    // Test snapshots
+    "*.snap",
+    "__snapshots__/",
+    // Vendored dependencies
+    "vendor/",
+    "node_modules/",
+];
+
+// Files listed by name in the prompt; the rest are counted
+const MAX_LISTED_EXCLUDED_FILES = 20;
+
+/**
+ * Read the exclusion rules of a .gitattributes file: `linguist-generated`, `linguist-vendored`,
+ * `-diff` and `binary` exclude a pattern, `linguist-generated=false` and
+ * `linguist-vendored=false` (or `-linguist-…`) include it again
+ * @param {string} text - Content of .gitattributes
+ * @returns {{ glob: string, exclude: boolean }[]} Rules in file order
+ */
+export const parseGitAttributes = (text) => {
+    const rules = [];
+    String(text || "")
+        .split("\n")
+        .forEach((line) => {
+            const [pattern, ...attributes] = line.trim().split(/\s+/);
+            if (!pattern || pattern.startsWith("#") || pattern.startsWith("[attr]")) return;
+            attributes.forEach((attribute) => {
+                const [name, value] = attribute.replace(/^-/, "").split("=");
+                const unset = attribute.startsWith("-") || value === "false";
+                if (name === "linguist-generated" || name === "linguist-vendored") {
+                    rules.push({ glob: pattern, exclude: !unset });
+                } else if ((name === "diff" && unset) || attribute === "binary") {
+                    rules.push({ glob: pattern, exclude: true });
+                }
+            });
+        });
+    return rules;
+};
+
+/**
+ * Load the diff exclusion rules: the defaults, then the repository's .gitattributes, then
+ * config.diffExclude (a "!glob" entry includes matching files again). The last matching
+ * rule decides.
+ * @param {object} config - Configuration object
+ * @param {string[]} [config.diffExclude] - Extra globs to exclude
+ * @param {boolean} [config.diffExcludeDefaults] - Set to false to drop DEFAULT_DIFF_EXCLUDES
+ * @returns {Promise<{ rules: { glob: string, exclude: boolean, regExp: RegExp }[] }>} Rules
+ * @throws {Error} When config.diffExclude is not a list of globs
+ */
+export const loadDiffExclusions = async (config = {}) => {
+    const { diffExclude = [], diffExcludeDefaults = true } = config;
+    if (!Array.isArray(diffExclude) || diffExclude.some((glob) => typeof glob !== "string")) {
+        throw new Error('Invalid configuration: "diffExclude" must be a list of globs');
+    }
+
+    let attributes = "";
+    try {
+        attributes = await fs.readFile(path.resolve(process.cwd(), GITATTRIBUTES_FILE), "utf8");
+    } catch {
+        // no .gitattributes
+    }
+
+    const rules = [
+        ...(diffExcludeDefaults === false ? [] : DEFAULT_DIFF_EXCLUDES).map((glob) => ({
+            glob,
+            exclude: true,
+        })),
+        ...parseGitAttributes(attributes),
+        ...diffExclude.map((glob) =>
+            glob.startsWith("!") ? { glob: glob.slice(1), exclude: false } : { glob, exclude: true }
+        ),
+    ];
+    return { rules: rules.map((rule) => ({ ...rule, regExp: globToRegExp(rule.glob) })) };
+};
+
+/**
+ * Check whether a file's diff is left out of the prompt
+ * @param {object} exclusions - Rules from loadDiffExclusions()
+ * @param {string} filePath - Repository-relative path
+ * @returns {boolean} True when the last matching rule excludes the file
+ */
+export const isDiffExcluded = (exclusions, filePath) => {
+    const rule = exclusions.rules.findLast(({ regExp }) => regExp.test(filePath));
+    return Boolean(rule?.exclude);
+};
+
+/**
+ * Remove the diffs of excluded files, counting their changed lines
+ * @param {object} exclusions - Rules from loadDiffExclusions()
+ * @param {string} diff - Output of `git diff`
+ * @returns {{ diff: string, excluded: { file: string, added: number, removed: number, binary: boolean }[] }}
+ *          Remaining diff and the excluded files
+ */
+export const filterDiffByExclusions = (exclusions, diff) => {
+    const kept = [];
+    const excluded = [];
+    splitDiffByFile(diff).forEach(({ file, text }) => {
+        if (!file || !isDiffExcluded(exclusions, file)) {
+            kept.push(text);
+            return;
+        }
+        const { header, hunks } = splitFileDiffIntoHunks(text);
+        const lines = hunks.join("\n").split("\n");
+        excluded.push({
+            file,
+            added: lines.filter((line) => line.startsWith("+")).length,
+            removed: lines.filter((line) => line.startsWith("-")).length,
+            binary: /^Binary files /m.test(header),
+        });
+    });
+    return { diff: kept.join("\n"), excluded };
+};
+
+/**
+ * Describe the excluded files for the prompt
+ * @param {{ file: string, added: number, removed: number, binary: boolean }[]} excluded - Files
+ *        from filterDiffByExclusions()
+ * @returns {string} Note listing the files with their line counts ("" when there are none)
+ */
+export const formatExcludedFiles = (excluded) => {
+    if (excluded.length === 0) return "";
+    const lines = excluded
+        .slice(0, MAX_LISTED_EXCLUDED_FILES)
+        .map(({ file, added, removed, binary }) =>
+            binary ? `- ${file} (binary)` : `- ${file} (+${added}/-${removed} lines)`
+        );
+    if (excluded.length > MAX_LISTED_EXCLUDED_FILES) {
+        lines.push(`- ... (${excluded.length - MAX_LISTED_EXCLUDED_FILES} more files)`);
+    }
+    return `Changed but left out of the diff (lockfiles, generated or vendored files):\n${lines.join("\n")}`;
+};
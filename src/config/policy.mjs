@@ -0,0 +1,138 @@
+// policy.mjs
+// Path policy (.gen-mr/policy.json): glob allow/deny lists deciding which files may be
+// sent to the AI. Denied files are removed from the diff, the changed files list and the
+// commit context, or make generation fail altogether.
+
+import fs from "fs/promises";
+import path from "path";
+import { matchesAnyGlob } from "../utils/glob.mjs";
+import { splitDiffByFile } from "../utils/diff.mjs";
+
+export const POLICY_FILE = path.join(".gen-mr", "policy.json");
+export const POLICY_MODES = ["filter", "fail"];
+export const DENIED_FILES_DISPLAY = ["list", "hide"];
+
+const toGlobList = (value, key, policyPath) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some((glob) => typeof glob !== "string")) {
+        throw new Error(`Invalid policy file ${policyPath}: "${key}" must be a list of globs`);
+    }
+    return value;
+};
+
+/**
+ * Load the path policy of the current repository
+ * @returns {Promise<{ allow: string[], deny: string[], deniedFiles: "list"|"hide", mode: "filter"|"fail", path: string }|null>}
+ *          Normalized policy, or null when the repository has no policy file
+ * @throws {Error} When the policy file cannot be parsed or has invalid values
+ */
+export const loadPathPolicy = async () => {
+    const policyPath = path.resolve(process.cwd(), POLICY_FILE);
+    let raw;
+    try {
+        raw = await fs.readFile(policyPath, "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw new Error(`Failed to read policy file ${policyPath}: ${error.message}`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid policy file ${policyPath}: ${error.message}`);
+    }
+
+    const { deniedFiles = "list", mode = "filter" } = data;
+    if (!DENIED_FILES_DISPLAY.includes(deniedFiles)) {
+        throw new Error(
+            `Invalid policy file ${policyPath}: "deniedFiles" must be one of ${DENIED_FILES_DISPLAY.join(", ")}`
+        );
+    }
+    if (!POLICY_MODES.includes(mode)) {
+        throw new Error(
+            `Invalid policy file ${policyPath}: "mode" must be one of ${POLICY_MODES.join(", ")}`
+        );
+    }
+
+    return {
+        allow: toGlobList(data.allow, "allow", policyPath),
+        deny: toGlobList(data.deny, "deny", policyPath),
+        deniedFiles,
+        mode,
+        path: policyPath,
+    };
+};
+
+/**
+ * Check whether a file may be sent: it must match the allow list (when one is set)
+ * and must not match the deny list
+ * @param {object} policy - Policy from loadPathPolicy()
+ * @param {string} filePath - Repository-relative path
+ * @returns {boolean} True when the file may be sent
+ */
+export const isPathAllowed = (policy, filePath) =>
+    (policy.allow.length === 0 || matchesAnyGlob(filePath, policy.allow)) &&
+    !matchesAnyGlob(filePath, policy.deny);
+
+/**
+ * Split paths into allowed and withheld ones
+ * @param {object} policy - Policy from loadPathPolicy()
+ * @param {string[]} files - Repository-relative paths
+ * @returns {{ allowed: string[], withheld: string[] }}
+ */
+export const splitFilesByPolicy = (policy, files) => ({
+    allowed: files.filter((file) => isPathAllowed(policy, file)),
+    withheld: files.filter((file) => !isPathAllowed(policy, file)),
+});
+
+/**
+ * Remove the diffs of withheld files. Renames and copies are removed when either path is withheld,
+ * and so is any part whose file header cannot be read.
+ * @param {object} policy - Policy from loadPathPolicy()
+ * @param {string} diff - Output of `git diff`
+ * @returns {string} Diff of allowed files only
+ */
+export const filterDiffByPolicy = (policy, diff) =>
+    splitDiffByFile(diff)
+        .filter(
+            ({ file, oldFile }) =>
+                file && oldFile && isPathAllowed(policy, oldFile) && isPathAllowed(policy, file)
+        )
+        .map(({ text }) => text)
+        .join("\n");
+
+/**
+ * Check whether a commit may be sent: it must touch at least one allowed file (commits without
+ * files are allowed)
+ * @param {object} policy - Policy from loadPathPolicy()
+ * @param {{ files: string[] }} commit - Commit with its changed files
+ * @returns {boolean} True when the commit may be sent
+ */
+export const isCommitAllowed = (policy, { files }) =>
+    files.length === 0 || files.some((file) => isPathAllowed(policy, file));
+
+/**
+ * Apply the policy to the changed files before anything is sent: in "fail" mode withheld
+ * files abort generation, otherwise the number of withheld files is reported
+ * @param {object} policy - Policy from loadPathPolicy()
+ * @param {string[]} files - Changed files of the branch
+ * @returns {string[]} Withheld files
+ * @throws {Error} In "fail" mode when any changed file is withheld
+ */
+export const enforcePathPolicy = (policy, files) => {
+    const { withheld } = splitFilesByPolicy(policy, files);
+    if (withheld.length === 0) return withheld;
+
+    if (policy.mode === "fail") {
+        const listed = withheld.slice(0, 10).join(", ");
+        const more = withheld.length > 10 ? ` and ${withheld.length - 10} more` : "";
+        throw new Error(
+            `The path policy (${POLICY_FILE}) does not allow sending ${listed}${more} to the AI. Remove these changes from the branch or update the policy.`
+        );
+    }
+    console.log(
+        `🛡️  Path policy: ${withheld.length} file(s) withheld from the AI${policy.deniedFiles === "list" ? " (listed by name only)" : ""}`
+    );
+    return withheld;
+};
@@ -0,0 +1,134 @@
+// templates.mjs
+// Prompt templates (.gen-mr/templates/<name>.md): the text of the merge request prompt with
+// {{placeholders}} for the git context. Selected with config.aiPromptTemplate or --template;
+// the built-in default is used when none is configured.
+
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+
+export const TEMPLATES_DIR = path.join(".gen-mr", "templates");
+export const DEFAULT_TEMPLATE_NAME = "default";
+
+/**
+ * Placeholders a template may use. The git context sections (commits, changedFiles, diff)
+ * are only gathered when the template contains their placeholder.
+ */
+export const TEMPLATE_PLACEHOLDERS = {
+    sourceBranch: "Source branch name",
+    targetBranch: "Target branch name",
+    jiraTickets: "Comma-separated JIRA ticket IDs",
+    userInstructions: "Previous version and instructions given when regenerating",
+    commits: "Commit messages section",
+    changedFiles: "Changed files section",
+    diff: "Code changes section (or its summary)",
+    descriptionTemplate: "The repository's pull/merge request template, when one is used",
+};
+
+export const DEFAULT_PROMPT_TEMPLATE = `Generate a professional merge request title and description for merging '{{sourceBranch}}' into '{{targetBranch}}'.
+
+{{userInstructions}}
+
+Related JIRA tickets: {{jiraTickets}}
+
+{{commits}}
+
+{{changedFiles}}
+
+{{diff}}
+
+{{descriptionTemplate}}
+
+Please provide:
+1. A concise, descriptive title for the merge request. In title do not use markdown
+2. A detailed description that includes:
+   - Summary of changes
+   - Purpose/motivation for the changes
+   - Any breaking changes or important notes
+   - List of affected files
+      - List of updated files (if any)
+      - List of added files (if any)
+      - List of deleted files (if any)
+   - Testing considerations (if applicable)
+
+Description, should use markdown formatting.
+Every part should be clearly defined and separated.
+Use markdown headers for each section.`;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * List the placeholders used by a template
+ * @param {string} template - Template text
+ * @returns {Set<string>} Placeholder names
+ */
+export const getTemplatePlaceholders = (template) =>
+    new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name));
+
+/**
+ * Fill in a template. A line whose placeholders are all empty is left out, and the blank
+ * lines around it collapse into one, so optional context disappears without a trace.
+ * Values are inserted as they are (multi-line values included).
+ * @param {string} template - Template text
+ * @param {Record<string, string>} values - Placeholder values; missing ones count as empty
+ * @returns {string} Rendered text without leading or trailing blank lines
+ */
+export const renderPromptTemplate = (template, values) => {
+    const valueOf = (name) => String(values[name] ?? "");
+    const lines = [];
+    template.split("\n").forEach((line) => {
+        const names = [...line.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name);
+        if (names.length > 0 && names.every((name) => !valueOf(name).trim())) return;
+        if (!line.trim() && (lines.length === 0 || !lines[lines.length - 1].trim())) return;
+        lines.push(line.replace(PLACEHOLDER_PATTERN, (match, name) => valueOf(name)));
+    });
+    while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+    return lines.join("\n");
+};
+
+/**
+ * Load the prompt template to use: .gen-mr/templates/<name>.md of the repository, then of the
+ * home directory. Without a name, a "default" template in those directories replaces the
+ * built-in one.
+ * @param {string} [name] - Template name (config.aiPromptTemplate / --template)
+ * @returns {Promise<{ name: string, text: string, path?: string }>} Template; path is unset
+ *          for the built-in default
+ * @throws {Error} When a named template is missing or uses unknown placeholders
+ */
+export const loadPromptTemplate = async (name) => {
+    const templateName = String(name || DEFAULT_TEMPLATE_NAME)
+        .trim()
+        .replace(/\.md$/, "");
+    if (!/^[\w.-]+$/.test(templateName)) {
+        throw new Error(`Invalid prompt template name '${name}'`);
+    }
+
+    const candidates = [process.cwd(), os.homedir()].map((dir) =>
+        path.resolve(dir, TEMPLATES_DIR, `${templateName}.md`)
+    );
+    for (const templatePath of candidates) {
+        let text;
+        try {
+            text = await fs.readFile(templatePath, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") continue;
+            throw new Error(`Failed to read prompt template ${templatePath}: ${error.message}`);
+        }
+        const unknown = [...getTemplatePlaceholders(text)].filter(
+            (placeholder) => !(placeholder in TEMPLATE_PLACEHOLDERS)
+        );
+        if (unknown.length > 0) {
+            throw new Error(
+                `Unknown placeholder(s) in prompt template ${templatePath}: ${unknown.map((p) => `{{${p}}}`).join(", ")}. Supported: ${Object.keys(TEMPLATE_PLACEHOLDERS).join(", ")}`
+            );
+        }
+        return { name: templateName, text: text.trimEnd(), path: templatePath };
+    }
+
+    if (templateName !== DEFAULT_TEMPLATE_NAME) {
+        throw new Error(
+            `Prompt template '${templateName}' not found (looked for ${candidates.join(" and ")})`
+        );
+    }
+    return { name: templateName, text: DEFAULT_PROMPT_TEMPLATE };
+};
@@ -5,6 +5,7 @@ import fs from "fs/promises";
 import path from "path";
 import os from "os";
 import readline from "readline";
+import { httpFetch } from "../utils/http-client.mjs";
 
 const GITHUB_TOKEN_URL =
     "https://github.com/settings/tokens/new?scopes=repo&description=gen-pr-cli-tool";
@@ -39,7 +40,7 @@ export const configureGithubToken = async (isGlobal = false) => {
             try {
                 // Validate token by making a simple API call
                 console.log("🔍 Validating token...");
-                const response = await fetch("https://api.github.com/user", {
+                const response = await httpFetch("https://api.github.com/user", {
                     headers: {
                         Authorization: `token ${token.trim()}`,
                         "User-Agent": "gen-pr-cli",
@@ -107,7 +108,7 @@ export const configureGitlabToken = async (isGlobal = false) => {
             try {
                 // Validate token by making a simple API call
                 console.log("🔍 Validating token...");
-                const response = await fetch(`https://${gitlabHost}/api/v4/user`, {
+                const response = await httpFetch(`https://${gitlabHost}/api/v4/user`, {
                     headers: {
                         Authorization: `Bearer ${token.trim()}`,
                         "User-Agent": "gen-mr-cli",
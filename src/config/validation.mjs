@@ -2,6 +2,7 @@
 // Configuration and repository validation functionality
 
 import { getConfig } from "./common.mjs";
+import { getAiProvider, isOfflineReplay, resolveAiProviderName } from "../ai/providers.mjs";
 import {
     getRepositoryFromRemote,
     getUpstreamRef,
@@ -69,6 +70,18 @@ export const validateArguments = async ({ positionalArgs, showUsage }) => {
     return { sourceBranch, targetBranch, jiraTickets };
 };
 
+/**
+ * Ensure the credentials for the active AI provider (config.aiProvider) are present
+ * @param {object} config - Loaded configuration
+ * @throws {Error} If the provider is unknown or its credentials are missing
+ */
+const validateAiTokenConfig = (config) => {
+    const provider = getAiProvider(resolveAiProviderName(config));
+    if (!provider.hasCredentials(config)) {
+        throw new Error(provider.missingCredentialsMessage);
+    }
+};
+
 /**
  * Validate configuration and repository setup for PR generation
  * @returns {Promise<object>} Configuration and repository information
@@ -85,19 +98,16 @@ export const validateGitHubConfigAndRepository = async (remoteName) => {
         );
     }
 
-    const { githubToken, openaiToken } = config;
+    const { githubToken } = config;
 
-    if (!githubToken) {
+    // Offline replay runs do not talk to GitHub
+    if (!githubToken && !isOfflineReplay(config)) {
         throw new Error(
             "GitHub token not found in configuration. Run 'gen-pr --create-token' to set up your GitHub token."
         );
     }
 
-    if (!openaiToken) {
-        throw new Error(
-            "OpenAI token not found in configuration. Please add 'openaiToken' to your .gen-mr/config.json file."
-        );
-    }
+    validateAiTokenConfig(config);
 
     // Detect repository type from git remote
     let repoInfo;
@@ -149,25 +159,24 @@ export const validateGitLabConfigAndRepository = async (remoteName) => {
         );
     }
 
-    const { gitlabToken, gitlabHost, openaiToken } = config;
+    const { gitlabToken, gitlabHost } = config;
+
+    // Offline replay runs do not talk to GitLab
+    const offline = isOfflineReplay(config);
 
-    if (!gitlabToken) {
+    if (!gitlabToken && !offline) {
         throw new Error(
             "GitLab token not found in configuration. Run 'gen-mr --create-token' to set up your GitLab token."
         );
     }
 
-    if (!gitlabHost) {
+    if (!gitlabHost && !offline) {
         throw new Error(
             "GitLab host not found in configuration. Run 'gen-mr --create-token' to set up your GitLab host."
         );
     }
 
-    if (!openaiToken) {
-        throw new Error(
-            "OpenAI token not found in configuration. Please add 'openaiToken' to your .gen-mr/config.json file."
-        );
-    }
+    validateAiTokenConfig(config);
 
     // Detect repository type from git remote
     let repoInfo;
@@ -220,10 +229,17 @@ export const validateGitLabConfigAndRepository = async (remoteName) => {
  *
  * @param {string} localBranch
  * @param {string} defaultRemoteName
+ * @param {object} [options]
+ * @param {boolean} [options.offline] - Compare with the last fetched remote state instead of
+ *        fetching (offline replay runs)
  * @returns {Promise<{ githubRemoteBranch: string, upstreamRef: string, upstreamRemote: string, commitSha: string }>}
  * @throws {Error} if branch has no upstream, has unpushed commits, or is out of sync
  */
-export const validateBranchSyncAndGetRemote = async (localBranch, defaultRemoteName) => {
+export const validateBranchSyncAndGetRemote = async (
+    localBranch,
+    defaultRemoteName,
+    { offline = false } = {}
+) => {
     if (!localBranch) {
         throw new Error("Local branch name is required");
     }
@@ -239,7 +255,9 @@ export const validateBranchSyncAndGetRemote = async (localBranch, defaultRemoteN
     const upstreamBranchName = upstreamRef.slice(upstreamRemote.length + 1); // remove 'remote/' prefix
 
     // Ensure we compare against latest remote state
-    await fetchRemote(upstreamRemote);
+    if (!offline) {
+        await fetchRemote(upstreamRemote);
+    }
 
     // Compare commit counts between upstream and local
     const { behind, ahead } = await getAheadBehind(upstreamRef, localBranch);
@@ -283,6 +301,7 @@ export const validateBranchSyncAndGetRemote = async (localBranch, defaultRemoteN
  * @param {any} params.options Parsed minimist result (options)
  * @param {object} params.args Named args { sourceBranch, targetBranch, jiraTickets }
  * @param {Function} params.showUsage Function to print usage help
+ * @param {boolean} [params.offline] Skip fetching the remote (offline replay runs)
  * @returns {Promise<{
  *   sourceBranch: string,
  *   targetBranch: string,
@@ -294,7 +313,11 @@ export const validateBranchSyncAndGetRemote = async (localBranch, defaultRemoteN
  *   upstreamRemoteName: string | undefined,
  * }>} Aggregated validated data
  */
-export const validatePRInputAndBranches = async ({ args /* already validated */, remoteName }) => {
+export const validatePRInputAndBranches = async ({
+    args /* already validated */,
+    remoteName,
+    offline = false,
+}) => {
     // Arguments are assumed validated & present (sourceBranch, targetBranch[, jiraTickets])
     const { sourceBranch, targetBranch } = args;
 
@@ -308,8 +331,8 @@ export const validatePRInputAndBranches = async ({ args /* already validated */,
         },
         { githubRemoteBranch: remoteTargetBranch, commitSha: targetSha },
     ] = await Promise.all([
-        validateBranchSyncAndGetRemote(sourceBranch, remoteName),
-        validateBranchSyncAndGetRemote(targetBranch, remoteName),
+        validateBranchSyncAndGetRemote(sourceBranch, remoteName, { offline }),
+        validateBranchSyncAndGetRemote(targetBranch, remoteName, { offline }),
     ]);
 
     if (sourceSha === targetSha) {
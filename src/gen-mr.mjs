@@ -3,12 +3,16 @@
 // CLI tool for creating GitLab merge requests with AI-generated name/description
 
 import minimist from "minimist";
-import { showAiTokenConfigHelp, showChatGPTModelsHelp } from "./ai/chatgpt.mjs";
+import { showAiTokenConfigHelp } from "./ai/chatgpt.mjs";
+import { isOfflineReplay, showAiModelsHelp } from "./ai/providers.mjs";
 import { showEditorConfigHelp } from "./config/editor-config.mjs";
 import { executePRWorkflow } from "./workflow.mjs";
 import { createGitlabProvider } from "./repo-providers/gitlab-provider.mjs";
+import { createOfflineRepoProvider } from "./repo-providers/offline-provider.mjs";
 import { validateArguments, validateGitLabConfigAndRepository } from "./config/validation.mjs";
-import { handleCommonCliFlags } from "./cli/common-cli-flags.mjs";
+import { handleCommonCliFlags, getCliConfigOverrides } from "./cli/common-cli-flags.mjs";
+import { getConfig } from "./config/common.mjs";
+import { configureHttpClient } from "./utils/http-client.mjs";
 
 const argv = minimist(process.argv.slice(2), {
     alias: { g: "global" },
@@ -25,6 +29,8 @@ const showUsage = () => {
     console.log("  gen-mr <targetBranch> [jiraTickets]  # uses current branch as source");
     console.log("  gen-mr --create-ai-token <LLM> [--global | -g]");
     console.log("  gen-mr --use-model <model> [--global | -g]");
+    console.log("  gen-mr --use-provider <provider> [--global | -g]");
+    console.log("  gen-mr --list-models [provider]");
     console.log("  gen-mr --configure-editor [--global | -g]");
     console.log("  gen-mr --show-config [--global | -g]");
     console.log("  gen-mr --help");
@@ -35,10 +41,13 @@ const showUsage = () => {
     console.log("  jiraTickets            Comma-separated JIRA ticket IDs (optional)");
     console.log("");
     console.log("Options:");
-    console.log("  --create-ai-token      Configure AI provider token (e.g., ChatGPT)");
+    console.log("  --create-ai-token      Configure AI provider token (ChatGPT, Claude or Local)");
     console.log("                         Use with --global to save globally");
-    console.log("  --use-model            Select AI model (ChatGPT models only for now)");
+    console.log("  --use-model            Select AI model (ChatGPT or Claude models)");
     console.log("                         Use with --global to save globally");
+    console.log("  --use-provider         Select the default AI provider (ChatGPT or Claude)");
+    console.log("                         Use with --global to save globally");
+    console.log("  --list-models          List the models your AI account can access");
     console.log("  --configure-editor     Configure editor command for advanced editing");
     console.log("                         Use with --global to save globally");
     console.log("  --show-config          Display current configuration");
@@ -46,6 +55,23 @@ const showUsage = () => {
     console.log(
         "  --remote <name>        Use a specific git remote instead of 'origin' (optional)"
     );
+    console.log("  --no-stream            Wait for the full AI response instead of streaming it");
+    console.log("  --diff-mode <mode>     How to fit large diffs: truncate (default), summarize");
+    console.log("                         (summarize each file, then combine) or auto");
+    console.log("  --candidates <n>       Generate n variants (up to 5) and pick or merge one");
+    console.log("  --lang <language>      Write the title and description in this language");
+    console.log("                         (e.g. de, fr, pt-BR; default English)");
+    console.log("  --bilingual <language> Add a translation of the description (e.g. en)");
+    console.log("  --template <name>      Use the prompt template .gen-mr/templates/<name>.md");
+    console.log("  --temperature <n>      Sampling temperature (0-2, default 0.7)");
+    console.log("  --max-tokens <n>       Maximum length of the AI answer (default 1024)");
+    console.log("  --top-p <n>            Nucleus sampling (0-1)");
+    console.log("  --system-prompt <text> Replace the system prompt sent to the AI");
+    console.log("  --system-prompt-file <path>");
+    console.log("                         Read the system prompt from a file");
+    console.log("  --no-cache             Ignore cached AI responses and generate a new one");
+    console.log("  --clear-cache          Remove cached AI responses (./.gen-mr/cache)");
+    console.log("  --usage [--since DATE] Show token usage and estimated cost (e.g. 2026-10-01)");
     console.log("  --help                 Show this help message");
     console.log("");
     console.log("Examples:");
@@ -54,13 +80,18 @@ const showUsage = () => {
     console.log("  gen-mr --create-ai-token ChatGPT");
     console.log("  gen-mr --create-ai-token ChatGPT --global");
     console.log("  gen-mr --use-model gpt-4o");
+    console.log("  gen-mr --create-ai-token Claude");
+    console.log("  gen-mr --use-model claude-sonnet-4-5");
+    console.log("  gen-mr --create-ai-token Local");
+    console.log("  gen-mr --use-provider Claude");
+    console.log("  gen-mr --list-models Claude");
     console.log("  gen-mr --configure-editor");
     console.log("  gen-mr --configure-editor --global");
     console.log("  gen-mr --show-config");
     console.log("  gen-mr --show-config --global");
     console.log("");
     showAiTokenConfigHelp();
-    showChatGPTModelsHelp();
+    showAiModelsHelp();
     showEditorConfigHelp();
 };
 
@@ -71,6 +102,9 @@ const main = async () => {
         return; // success path
     }
 
+    // Proxy, CA and timeout settings apply to every request, including token checks
+    await configureHttpClient(await getConfig().catch(() => ({})));
+
     // Handle all shared CLI flags
     if (await handleCommonCliFlags({ argv, toolName: "gen-mr" })) {
         return;
@@ -88,16 +122,19 @@ const main = async () => {
     let gitlabRepo;
     try {
         const validationResult = await validateGitLabConfigAndRepository(remoteName);
-        config = validationResult.config;
+        config = { ...validationResult.config, ...getCliConfigOverrides(argv) };
         gitlabRepo = validationResult.gitlabRepo;
     } catch (error) {
         throw new Error(error.message);
     }
 
-    const repoProvider = createGitlabProvider({
-        gitlabToken: config.gitlabToken,
-        gitlabHost: config.gitlabHost,
-    });
+    // Offline replay runs never contact GitLab
+    const repoProvider = isOfflineReplay(config)
+        ? createOfflineRepoProvider("gitlab")
+        : createGitlabProvider({
+              gitlabToken: config.gitlabToken,
+              gitlabHost: config.gitlabHost,
+          });
     await executePRWorkflow({ args, remoteName, config, repository: gitlabRepo, repoProvider });
 };
 
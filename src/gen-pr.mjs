@@ -5,11 +5,15 @@
 import minimist from "minimist";
 import { showTokenConfigHelp } from "./config/token-config.mjs";
 import { showEditorConfigHelp } from "./config/editor-config.mjs";
-import { showAiTokenConfigHelp, showChatGPTModelsHelp } from "./ai/chatgpt.mjs";
+import { showAiTokenConfigHelp } from "./ai/chatgpt.mjs";
+import { isOfflineReplay, showAiModelsHelp } from "./ai/providers.mjs";
 import { executePRWorkflow } from "./workflow.mjs";
 import { createGithubProvider } from "./repo-providers/github-provider.mjs";
+import { createOfflineRepoProvider } from "./repo-providers/offline-provider.mjs";
 import { validateArguments, validateGitHubConfigAndRepository } from "./config/validation.mjs";
-import { handleCommonCliFlags } from "./cli/common-cli-flags.mjs";
+import { handleCommonCliFlags, getCliConfigOverrides } from "./cli/common-cli-flags.mjs";
+import { getConfig } from "./config/common.mjs";
+import { configureHttpClient } from "./utils/http-client.mjs";
 
 const argv = minimist(process.argv.slice(2), {
     alias: {
@@ -29,6 +33,8 @@ const showUsage = () => {
     console.log("  gen-pr --create-token [--global | -g]");
     console.log("  gen-pr --create-ai-token <LLM> [--global | -g]");
     console.log("  gen-pr --use-model <model> [--global | -g]");
+    console.log("  gen-pr --use-provider <provider> [--global | -g]");
+    console.log("  gen-pr --list-models [provider]");
     console.log("  gen-pr --configure-editor [--global | -g]");
     console.log("  gen-pr --show-config [--global | -g]");
     console.log("  gen-pr --help");
@@ -47,10 +53,13 @@ const showUsage = () => {
     console.log("Options:");
     console.log("  --create-token         Configure GitHub Personal Access Token");
     console.log("  --global, -g           Save token globally (use with --create-token)");
-    console.log("  --create-ai-token      Configure AI provider token (e.g., ChatGPT)");
+    console.log("  --create-ai-token      Configure AI provider token (ChatGPT, Claude or Local)");
     console.log("                         Use with --global to save globally");
-    console.log("  --use-model            Select AI model (ChatGPT models only for now)");
+    console.log("  --use-model            Select AI model (ChatGPT or Claude models)");
     console.log("                         Use with --global to save globally");
+    console.log("  --use-provider         Select the default AI provider (ChatGPT or Claude)");
+    console.log("                         Use with --global to save globally");
+    console.log("  --list-models          List the models your AI account can access");
     console.log("  --configure-editor     Configure editor command for advanced editing");
     console.log("                         Use with --global to save globally");
     console.log("  --show-config          Display current configuration");
@@ -58,6 +67,23 @@ const showUsage = () => {
     console.log(
         "  --remote <name>        Use a specific git remote instead of 'origin' (optional)"
     );
+    console.log("  --no-stream            Wait for the full AI response instead of streaming it");
+    console.log("  --diff-mode <mode>     How to fit large diffs: truncate (default), summarize");
+    console.log("                         (summarize each file, then combine) or auto");
+    console.log("  --candidates <n>       Generate n variants (up to 5) and pick or merge one");
+    console.log("  --lang <language>      Write the title and description in this language");
+    console.log("                         (e.g. de, fr, pt-BR; default English)");
+    console.log("  --bilingual <language> Add a translation of the description (e.g. en)");
+    console.log("  --template <name>      Use the prompt template .gen-mr/templates/<name>.md");
+    console.log("  --temperature <n>      Sampling temperature (0-2, default 0.7)");
+    console.log("  --max-tokens <n>       Maximum length of the AI answer (default 1024)");
+    console.log("  --top-p <n>            Nucleus sampling (0-1)");
+    console.log("  --system-prompt <text> Replace the system prompt sent to the AI");
+    console.log("  --system-prompt-file <path>");
+    console.log("                         Read the system prompt from a file");
+    console.log("  --no-cache             Ignore cached AI responses and generate a new one");
+    console.log("  --clear-cache          Remove cached AI responses (./.gen-mr/cache)");
+    console.log("  --usage [--since DATE] Show token usage and estimated cost (e.g. 2026-10-01)");
     console.log("  --help                 Show this help message");
     console.log("");
     console.log("Examples:");
@@ -68,6 +94,11 @@ const showUsage = () => {
     console.log("  gen-pr --create-ai-token ChatGPT");
     console.log("  gen-pr --create-ai-token ChatGPT --global");
     console.log("  gen-pr --use-model gpt-4o");
+    console.log("  gen-pr --create-ai-token Claude");
+    console.log("  gen-pr --use-model claude-sonnet-4-5");
+    console.log("  gen-pr --create-ai-token Local");
+    console.log("  gen-pr --use-provider Claude");
+    console.log("  gen-pr --list-models Claude");
     console.log("  gen-pr --configure-editor");
     console.log("  gen-pr --configure-editor --global");
     console.log("  gen-pr --show-config");
@@ -75,7 +106,7 @@ const showUsage = () => {
     console.log("");
     showTokenConfigHelp();
     showAiTokenConfigHelp();
-    showChatGPTModelsHelp();
+    showAiModelsHelp();
     showEditorConfigHelp();
 };
 
@@ -86,6 +117,9 @@ const main = async () => {
         return; // success path
     }
 
+    // Proxy, CA and timeout settings apply to every request, including token checks
+    await configureHttpClient(await getConfig().catch(() => ({})));
+
     // Handle all shared CLI flags
     if (await handleCommonCliFlags({ argv, toolName: "gen-pr" })) {
         return;
@@ -103,13 +137,16 @@ const main = async () => {
     let githubRepo;
     try {
         const validationResult = await validateGitHubConfigAndRepository(remoteName);
-        config = validationResult.config;
+        config = { ...validationResult.config, ...getCliConfigOverrides(argv) };
         githubRepo = validationResult.githubRepo;
     } catch (error) {
         throw new Error(error.message);
     }
 
-    const repoProvider = createGithubProvider({ githubToken: config.githubToken });
+    // Offline replay runs never contact GitHub
+    const repoProvider = isOfflineReplay(config)
+        ? createOfflineRepoProvider("github")
+        : createGithubProvider({ githubToken: config.githubToken });
     await executePRWorkflow({ args, remoteName, config, repository: githubRepo, repoProvider });
 };
 
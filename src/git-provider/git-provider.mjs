@@ -3,9 +3,14 @@
 
 import { exec } from "child_process";
 import { promisify } from "util";
+import { unquoteGitPath } from "../utils/diff.mjs";
 
 const execAsync = promisify(exec);
 
+// Print paths as they are instead of octal-escaping non-ASCII characters; paths with quotes,
+// backslashes or control characters are still quoted and go through unquoteGitPath
+const GIT_PATH_OPTIONS = "-c core.quotePath=false";
+
 /**
  * Get current git branch name
  * @returns {Promise<string>} Current branch name
@@ -27,33 +32,126 @@ export const getCurrentBranch = async () => {
  */
 export const getGitDiff = async (sourceBranch, targetBranch) => {
     try {
-        const { stdout } = await execAsync(`git diff ${targetBranch}...${sourceBranch}`);
+        const { stdout } = await execAsync(
+            `git ${GIT_PATH_OPTIONS} diff ${targetBranch}...${sourceBranch}`
+        );
         return stdout.trim();
     } catch (error) {
         throw new Error(`Failed to get git diff: ${error.message}`);
     }
 };
 
+// A trailer line ("Fixes: #12", "Co-authored-by: Name <mail>", "BREAKING CHANGE: ...")
+const TRAILER_PATTERN = /^([A-Za-z0-9][A-Za-z0-9-]*|BREAKING CHANGE): ?(.*)$/;
+
+/**
+ * Split the trailers off a commit message body. Like git, only the last paragraph counts,
+ * and only when all of its lines are trailers (indented lines continue the previous value).
+ * @param {string} message - Commit message body (without the subject)
+ * @returns {{ body: string, trailers: { key: string, value: string }[] }} Body without the
+ *          trailer paragraph, and the trailers in order
+ */
+export const parseCommitTrailers = (message) => {
+    const text = String(message || "").trim();
+    const paragraphs = text.split(/\n\s*\n/);
+    const lines = paragraphs[paragraphs.length - 1].split("\n");
+    const trailers = [];
+    const isTrailerParagraph =
+        text.length > 0 &&
+        lines.every((line, index) => {
+            const match = line.match(TRAILER_PATTERN);
+            if (match) {
+                trailers.push({ key: match[1], value: match[2].trim() });
+                return true;
+            }
+            if (index > 0 && /^\s/.test(line)) {
+                trailers[trailers.length - 1].value += ` ${line.trim()}`;
+                return true;
+            }
+            return false;
+        });
+    if (!isTrailerParagraph) return { body: text, trailers: [] };
+    return { body: paragraphs.slice(0, -1).join("\n\n").trim(), trailers };
+};
+
+/**
+ * Read the commits between two branches (see getCommits); errors are not wrapped
+ * @param {string} sourceBranch - Source branch name
+ * @param {string} targetBranch - Target branch name
+ * @returns {Promise<object[]>} Commits, newest first
+ */
+const readCommits = async (sourceBranch, targetBranch) => {
+    const { stdout } = await execAsync(
+        `git ${GIT_PATH_OPTIONS} log ${targetBranch}..${sourceBranch} --name-only --pretty=format:"%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%s%x1f%b%x1f"`
+    );
+    return stdout
+        .split("\x1e")
+        .filter((entry) => entry.trim().length > 0)
+        .map((entry) => {
+            const [hash, name, email, date, subject, message, files = ""] = entry.split("\x1f");
+            return {
+                hash,
+                subject,
+                ...parseCommitTrailers(message),
+                author: { name, email },
+                date,
+                files: files
+                    .split("\n")
+                    .filter((line) => line.length > 0)
+                    .map(unquoteGitPath),
+            };
+        });
+};
+
+/**
+ * Get the commits between two branches with their full message, author, date, trailers and
+ * changed files
+ * @param {string} sourceBranch - Source branch name
+ * @param {string} targetBranch - Target branch name
+ * @returns {Promise<{ hash: string, subject: string, body: string, author: { name: string, email: string }, date: string, trailers: { key: string, value: string }[], files: string[] }[]>}
+ *          Commits, newest first; date is the author date in ISO 8601 format
+ */
+export const getCommits = async (sourceBranch, targetBranch) => {
+    try {
+        return await readCommits(sourceBranch, targetBranch);
+    } catch (error) {
+        throw new Error(`Failed to get commits: ${error.message}`);
+    }
+};
+
 /**
  * Get commit messages between two branches
  * @param {string} sourceBranch - Source branch name
  * @param {string} targetBranch - Target branch name
- * @returns {Promise<string[]>} Array of commit messages
+ * @returns {Promise<string[]>} Array of commit messages (subjects), newest first
  */
 export const getCommitMessages = async (sourceBranch, targetBranch) => {
     try {
-        const { stdout } = await execAsync(
-            `git log ${targetBranch}..${sourceBranch} --pretty=format:"%s"`
-        );
-        return stdout
-            .trim()
-            .split("\n")
-            .filter((line) => line.length > 0);
+        return (await readCommits(sourceBranch, targetBranch))
+            .map(({ subject }) => subject)
+            .filter((subject) => subject.length > 0);
     } catch (error) {
         throw new Error(`Failed to get commit messages: ${error.message}`);
     }
 };
 
+/**
+ * Get commits between two branches together with the files each commit changed
+ * @param {string} sourceBranch - Source branch name
+ * @param {string} targetBranch - Target branch name
+ * @returns {Promise<{ message: string, files: string[] }[]>} Commits, newest first
+ */
+export const getCommitsWithFiles = async (sourceBranch, targetBranch) => {
+    try {
+        return (await readCommits(sourceBranch, targetBranch)).map(({ subject, files }) => ({
+            message: subject,
+            files,
+        }));
+    } catch (error) {
+        throw new Error(`Failed to get commits with files: ${error.message}`);
+    }
+};
+
 /**
  * Get changed files between two branches
  * @param {string} sourceBranch - Source branch name
@@ -63,12 +161,13 @@ export const getCommitMessages = async (sourceBranch, targetBranch) => {
 export const getChangedFiles = async (sourceBranch, targetBranch) => {
     try {
         const { stdout } = await execAsync(
-            `git diff --name-only ${targetBranch}...${sourceBranch}`
+            `git ${GIT_PATH_OPTIONS} diff --name-only ${targetBranch}...${sourceBranch}`
         );
         return stdout
             .trim()
             .split("\n")
-            .filter((line) => line.length > 0);
+            .filter((line) => line.length > 0)
+            .map(unquoteGitPath);
     } catch (error) {
         throw new Error(`Failed to get changed files: ${error.message}`);
     }
@@ -84,7 +183,7 @@ export const getChangedFilesByType = async (sourceBranch, targetBranch) => {
     try {
         // Use a single git diff invocation for efficiency
         const { stdout } = await execAsync(
-            `git diff --name-status ${targetBranch}...${sourceBranch}`
+            `git ${GIT_PATH_OPTIONS} diff --name-status ${targetBranch}...${sourceBranch}`
         );
 
         const added = [];
@@ -108,7 +207,7 @@ export const getChangedFilesByType = async (sourceBranch, targetBranch) => {
                 const statusType = status[0]; // First letter denotes primary change type
 
                 // Determine the filename to record (for renames/copies take the last path)
-                const filePath = parts[parts.length - 1];
+                const filePath = unquoteGitPath(parts[parts.length - 1]);
 
                 switch (statusType) {
                     case "A":
@@ -155,6 +254,19 @@ export const getRepoInfo = async () => {
     }
 };
 
+/**
+ * Get the root directory of the current repository's working tree
+ * @returns {Promise<string>} Absolute path of the repository root
+ */
+export const getRepositoryRoot = async () => {
+    try {
+        const { stdout } = await execAsync("git rev-parse --show-toplevel");
+        return stdout.trim();
+    } catch (error) {
+        throw new Error(`Failed to get repository root: ${error.message}`);
+    }
+};
+
 /**
  * Get the origin remote URL
  * @returns {Promise<string>} Origin remote URL
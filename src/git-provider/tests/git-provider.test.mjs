@@ -173,7 +173,7 @@ describe("git-provider", () => {
         test("returns trimmed diff", async () => {
             execMock.mockImplementation((cmd, optionsOrCb, maybeCb) => {
                 const cb = typeof optionsOrCb === "function" ? optionsOrCb : maybeCb;
-                expect(cmd).toBe("git diff main...feature");
+                expect(cmd).toBe("git -c core.quotePath=false diff main...feature");
                 cb(null, "some diff output\n", "");
             });
             const out = await gitUtils.getGitDiff("feature", "main");
@@ -190,11 +190,15 @@ describe("git-provider", () => {
 
     describe("getCommitMessages", () => {
         test("returns non-empty lines", async () => {
-            execMock.mockImplementation(callWith("feat: one\n\nfix: two\n"));
+            execMock.mockImplementation(
+                callWith(
+                    "\x1ea1\x1fA\x1fa@x\x1fd\x1ffeat: one\x1f\x1f\n\x1ea2\x1fA\x1fa@x\x1fd\x1ffix: two\x1f\x1f"
+                )
+            );
             const msgs = await gitUtils.getCommitMessages("feature", "main");
             expect(msgs).toEqual(["feat: one", "fix: two"]);
             expect(execMock).toHaveBeenCalled();
-            expect(execMock.mock.calls[0][0]).toBe('git log main..feature --pretty=format:"%s"');
+            expect(execMock.mock.calls[0][0]).toContain("log main..feature");
         });
 
         test("throws on exec error", async () => {
@@ -205,12 +209,117 @@ describe("git-provider", () => {
         });
     });
 
+    describe("getCommitsWithFiles", () => {
+        test("returns each commit with its changed files", async () => {
+            execMock.mockImplementation(
+                callWith(
+                    "\x1ea1\x1fA\x1fa@x\x1fd\x1ffeat: one\x1f\x1f\nsrc/a.js\nsecrets/key.pem\n\n\x1ea2\x1fA\x1fa@x\x1fd\x1fmerge branch\x1f\x1f"
+                )
+            );
+            const commits = await gitUtils.getCommitsWithFiles("feature", "main");
+            expect(commits).toEqual([
+                { message: "feat: one", files: ["src/a.js", "secrets/key.pem"] },
+                { message: "merge branch", files: [] },
+            ]);
+        });
+    });
+
+    describe("getCommits", () => {
+        test("returns subject, body, author, date, trailers and files", async () => {
+            execMock.mockImplementation(
+                callWith(
+                    [
+                        "\x1eabc123\x1fJane Doe\x1fjane@example.com\x1f2024-05-01T10:00:00+02:00\x1ffeat: sso login\x1f",
+                        "Users asked for single sign-on.",
+                        "",
+                        "Co-authored-by: Bob <bob@example.com>",
+                        "Fixes: #12",
+                        "\x1f",
+                        "src/login.js",
+                        "",
+                        "\x1edef456\x1fBob\x1fbob@example.com\x1f2024-05-02T09:00:00+02:00\x1fchore: tidy\x1f\x1f",
+                    ].join("\n")
+                )
+            );
+
+            const commits = await gitUtils.getCommits("feature", "main");
+
+            expect(commits).toEqual([
+                {
+                    hash: "abc123",
+                    subject: "feat: sso login",
+                    body: "Users asked for single sign-on.",
+                    trailers: [
+                        { key: "Co-authored-by", value: "Bob <bob@example.com>" },
+                        { key: "Fixes", value: "#12" },
+                    ],
+                    author: { name: "Jane Doe", email: "jane@example.com" },
+                    date: "2024-05-01T10:00:00+02:00",
+                    files: ["src/login.js"],
+                },
+                {
+                    hash: "def456",
+                    subject: "chore: tidy",
+                    body: "",
+                    trailers: [],
+                    author: { name: "Bob", email: "bob@example.com" },
+                    date: "2024-05-02T09:00:00+02:00",
+                    files: [],
+                },
+            ]);
+            expect(execMock.mock.calls[0][0]).toBe(
+                'git -c core.quotePath=false log main..feature --name-only --pretty=format:"%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%s%x1f%b%x1f"'
+            );
+        });
+
+        test("throws on exec error", async () => {
+            execMock.mockImplementation(callError("log failed"));
+            await expect(gitUtils.getCommits("a", "b")).rejects.toThrow(
+                "Failed to get commits: log failed"
+            );
+        });
+    });
+
+    describe("parseCommitTrailers", () => {
+        test("splits the trailer paragraph off the body", () => {
+            expect(
+                gitUtils.parseCommitTrailers(
+                    "Why.\n\nDetails.\n\nBREAKING CHANGE: the config moved\n  to .gen-mr/\nSigned-off-by: Jane <j@x>\n"
+                )
+            ).toEqual({
+                body: "Why.\n\nDetails.",
+                trailers: [
+                    { key: "BREAKING CHANGE", value: "the config moved to .gen-mr/" },
+                    { key: "Signed-off-by", value: "Jane <j@x>" },
+                ],
+            });
+        });
+
+        test("keeps a last paragraph that is not only trailers in the body", () => {
+            expect(gitUtils.parseCommitTrailers("Note: see below\nplain text")).toEqual({
+                body: "Note: see below\nplain text",
+                trailers: [],
+            });
+            expect(gitUtils.parseCommitTrailers("")).toEqual({ body: "", trailers: [] });
+        });
+    });
+
     describe("getChangedFiles", () => {
         test("returns file list without empties", async () => {
             execMock.mockImplementation(callWith("a.js\n\nb.md\n"));
             const files = await gitUtils.getChangedFiles("feature", "main");
             expect(files).toEqual(["a.js", "b.md"]);
-            expect(execMock.mock.calls[0][0]).toBe("git diff --name-only main...feature");
+            expect(execMock.mock.calls[0][0]).toBe(
+                "git -c core.quotePath=false diff --name-only main...feature"
+            );
+        });
+
+        test("decodes quoted paths", async () => {
+            execMock.mockImplementation(
+                callWith('"secrets/\\303\\274 key.txt"\n"tab\\there.txt"\nplain ü.txt\n')
+            );
+            const files = await gitUtils.getChangedFiles("feature", "main");
+            expect(files).toEqual(["secrets/ü key.txt", "tab\there.txt", "plain ü.txt"]);
         });
 
         test("throws on exec error", async () => {
@@ -246,6 +355,21 @@ describe("git-provider", () => {
         });
     });
 
+    describe("getRepositoryRoot", () => {
+        test("returns the working tree root", async () => {
+            execMock.mockImplementation(callWith("/Users/u/work/repo\n"));
+            expect(await gitUtils.getRepositoryRoot()).toBe("/Users/u/work/repo");
+            expect(execMock.mock.calls[0][0]).toBe("git rev-parse --show-toplevel");
+        });
+
+        test("throws on error", async () => {
+            execMock.mockImplementation(callError("not a git repository"));
+            await expect(gitUtils.getRepositoryRoot()).rejects.toThrow(
+                "Failed to get repository root: not a git repository"
+            );
+        });
+    });
+
     describe("getOriginRemote", () => {
         test("returns origin remote", async () => {
             execMock.mockImplementation(callWith("https://github.com/owner/repo.git\n"));
@@ -1,19 +1,443 @@
 // merge-request-generator.mjs
 // Main functionality to generate merge request names and descriptions using specified AI models
 
-import { generateMergeRequestWithChatGPT } from "./ai/chatgpt.mjs";
-import { generateMergeRequestPrompt } from "./prompt-generator.mjs";
-import { validateGitContext } from "./git-provider/git-provider.mjs";
+import { getAiProvider, resolveAiProviderName, resolveModelChain } from "./ai/providers.mjs";
+import { isFallbackError } from "./ai/errors.mjs";
+import { MAX_CANDIDATES } from "./ai/generation-params.mjs";
+import {
+    MERGE_REQUEST_RESPONSE_SCHEMA,
+    parseStructuredResponse,
+    parseTextResponse,
+    buildRepairPrompt,
+    formatResponseContent,
+    createStructuredStreamFilter,
+} from "./ai/response-parser.mjs";
+import { estimateTokens, getPromptTokenBudget } from "./ai/tokens.mjs";
+import { getOutputLanguage } from "./ai/language.mjs";
+import { generateWithCache } from "./ai/cache.mjs";
+import { addUsage, emptyUsage, estimateCost, recordUsage } from "./ai/usage.mjs";
+import { summarizeDiff, DEFAULT_SUMMARY_CONCURRENCY } from "./ai/diff-summarizer.mjs";
+import {
+    generateMergeRequestPromptWithReport,
+    generateFollowUpPrompt,
+} from "./prompt-generator.mjs";
+import { validateGitContext, getGitDiff, getChangedFiles } from "./git-provider/git-provider.mjs";
+import { loadPathPolicy, enforcePathPolicy, filterDiffByPolicy } from "./config/policy.mjs";
+import { loadPromptTemplate } from "./config/templates.mjs";
+import {
+    loadDiffExclusions,
+    filterDiffByExclusions,
+    formatExcludedFiles,
+} from "./config/diff-exclusions.mjs";
 import { formatSourceBranchDisplay } from "./utils/branch-format.mjs";
+import { mapWithConcurrency } from "./utils/concurrency.mjs";
+import { getRedactionOptions, redactSecrets, formatRedactionSummary } from "./utils/secrets.mjs";
 
 /**
- * Generate merge request title and description using the specified AI model
+ * Request content from a provider and parse it into title, description and labels.
+ * Providers with structured output are asked for JSON matching the response schema;
+ * non-conforming answers get a repair request (config.aiRepairAttempts, default 1)
+ * before falling back to the "first line is the title" heuristic.
+ * @param {object} provider - AI provider descriptor
+ * @param {string} prompt - Prompt to send
+ * @param {object} params
+ * @param {object} params.config - Configuration object
+ * @param {string} params.model - Model to use
+ * @param {boolean} params.structured - Whether to request structured output
+ * @param {(token: string) => void} [params.onToken] - Streaming callback
+ * @param {(info: object) => void} [params.onRetry] - Called when a request is retried
+ * @param {object[]} [params.history] - Earlier conversation turns (not resent with repairs)
+ * @returns {Promise<{ title: string, description: string, labels: string[], model: string, cached?: boolean }>}
+ */
+const generateParsedResult = async (
+    provider,
+    prompt,
+    { config, model, structured, onToken, onRetry, history }
+) => {
+    if (!structured) {
+        const response = await provider.generate(prompt, {
+            config,
+            model,
+            onToken,
+            onRetry,
+            history,
+        });
+        return {
+            ...parseTextResponse(response.content),
+            model: response.model,
+            cached: response.cached,
+        };
+    }
+
+    const responseSchema = MERGE_REQUEST_RESPONSE_SCHEMA;
+    const response = await provider.generate(prompt, {
+        config,
+        model,
+        // Stream the title and description, not the JSON around them
+        onToken: onToken && createStructuredStreamFilter(onToken),
+        onRetry,
+        responseSchema,
+        history,
+    });
+    const maxRepairs = config.aiRepairAttempts ?? 1;
+    let content = response.content;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return {
+                ...parseStructuredResponse(content),
+                model: response.model,
+                cached: response.cached,
+            };
+        } catch (error) {
+            if (attempt >= maxRepairs) {
+                console.warn(
+                    `⚠️  AI response did not match the expected format (${error.message}). Falling back to plain text parsing.`
+                );
+                return {
+                    ...parseTextResponse(content),
+                    model: response.model,
+                    cached: response.cached,
+                };
+            }
+            console.warn(
+                `⚠️  AI response did not match the expected format (${error.message}). Asking the model to repair it...`
+            );
+            const repaired = await provider.generate(buildRepairPrompt(content, error.message), {
+                config,
+                model,
+                onRetry,
+                responseSchema,
+            });
+            content = repaired.content;
+        }
+    }
+};
+
+/**
+ * Tell the user which parts of the git context did not fit the prompt budget
+ * @param {object} report - Report from generateMergeRequestPromptWithReport
+ * @param {string} model - Model the prompt was budgeted for
+ */
+const reportDroppedContext = ({ tokenBudget, dropped }, model) => {
+    const parts = [
+        dropped.commits > 0 && `${dropped.commits} commit message(s)`,
+        dropped.files > 0 && `${dropped.files} changed file name(s)`,
+        dropped.diffLines > 0 && `${dropped.diffLines} diff line(s)`,
+        dropped.summaryLines > 0 && `${dropped.summaryLines} diff summary line(s)`,
+    ].filter(Boolean);
+    if (parts.length === 0) return;
+    console.log(
+        `✂️  Prompt trimmed to fit the ${model} context (~${tokenBudget} tokens): omitted ${parts.join(", ")}.`
+    );
+};
+
+/**
+ * Fit a conversation into the prompt budget by leaving out the oldest exchanges after the
+ * first prompt (which holds the git context). The latest answer is always kept.
+ * @param {object[]} history - Earlier turns, alternating user and assistant
+ * @param {string} prompt - Follow-up prompt
+ * @param {number} tokenBudget - Maximum number of prompt tokens
+ * @param {string} model - Model the conversation is sent to
+ * @returns {{ history: object[], omitted: number }} Turns to send and omitted exchanges
+ */
+const fitConversation = (history, prompt, tokenBudget, model) => {
+    const turns = [...history];
+    const size = () =>
+        estimateTokens([...turns.map(({ content }) => content), prompt].join("\n"), model);
+    let omitted = 0;
+    while (turns.length > 2 && size() > tokenBudget) {
+        turns.splice(1, 2);
+        omitted += 1;
+    }
+    return { history: turns, omitted };
+};
+
+/**
+ * The user's version of the last answer when they edited it before regenerating
+ * @param {object[]} history - Conversation turns
+ * @param {{ title: string, description: string }} [previousResult] - Current merge request
+ * @returns {{ title: string, description: string }|null} Edited version, or null if unchanged
+ */
+const getEditedResult = (history, previousResult) => {
+    const lastAnswer = history.findLast(({ role }) => role === "assistant")?.result;
+    if (!previousResult || !lastAnswer) return null;
+    const { title, description } = previousResult;
+    return title !== lastAnswer.title || description !== lastAnswer.description
+        ? { title, description }
+        : null;
+};
+
+/**
+ * Summarize the branch diff chunk by chunk (map-reduce mode)
+ * @param {object} provider - AI provider descriptor
+ * @param {string} sourceBranch - Source branch name
+ * @param {string} targetBranch - Target branch name
+ * @param {object} params
+ * @param {object} params.config - Configuration object
+ * @param {string} params.model - Model to use
+ * @param {(info: object) => void} [params.onRetry] - Called when a request is retried
+ * @param {object} [params.policy] - Path policy removing withheld files from the diff
+ * @param {object} [params.diffExclusions] - Rules for files that are listed instead of summarized
+ * @returns {Promise<string|undefined>} Combined summary, or undefined when there is no diff
+ */
+const summarizeBranchDiff = async (
+    provider,
+    sourceBranch,
+    targetBranch,
+    { config, model, onRetry, policy, diffExclusions }
+) => {
+    const fullDiff = await getGitDiff(sourceBranch, targetBranch);
+    const allowed = policy ? filterDiffByPolicy(policy, fullDiff) : fullDiff;
+    const { diff, excluded } = diffExclusions
+        ? filterDiffByExclusions(diffExclusions, allowed)
+        : { diff: allowed, excluded: [] };
+    const excludedNote = formatExcludedFiles(excluded);
+    if (!diff) return excludedNote || undefined;
+
+    const concurrency = Number(config.aiConcurrency) || DEFAULT_SUMMARY_CONCURRENCY;
+    console.log(
+        `🧩 Summarizing the diff file by file (up to ${concurrency} requests at a time)...`
+    );
+    const { summary, chunks } = await summarizeDiff(provider, diff, {
+        config,
+        model,
+        concurrency,
+        onRetry,
+        onProgress: (done, total) => console.log(`   • Summarized chunk ${done}/${total}`),
+    });
+    console.log(`✅ Diff summarized in ${chunks} chunk(s)`);
+    return excludedNote ? `${summary}\n\n${excludedNote}` : summary;
+};
+
+/**
+ * Build the prompt for one model and generate the merge request with it. With a conversation
+ * history the prompt is a follow-up carrying only the user's instructions.
+ * @param {object} provider - AI provider descriptor
+ * @param {string} model - Model to use
+ * @param {object} context
+ * @param {object} context.config - Configuration object
+ * @param {string} context.sourceBranch - Source branch name
+ * @param {string} context.targetBranch - Target branch name
+ * @param {string} context.jiraTickets - Comma-separated JIRA ticket IDs
+ * @param {object} context.promptOptions - Prompt options
+ * @param {(token: string) => void} [context.onToken] - Streaming callback
+ * @param {(info: object) => void} [context.onRetry] - Called when a request is retried
+ * @param {boolean} context.useCache - Read responses from the cache
+ * @param {number} context.candidates - Number of variants to generate
+ * @param {(usage: object) => void} context.onUsage - Receives usage totals, also when generation fails
+ * @param {object[]} [context.history] - Conversation so far (see generateMergeRequest)
+ * @returns {Promise<{ results: object[], prompt: string, report?: object, conversation: object[], structured: boolean }>}
+ */
+const generateWithModel = async (
+    provider,
+    model,
+    {
+        config,
+        sourceBranch,
+        targetBranch,
+        jiraTickets,
+        promptOptions,
+        onToken,
+        onRetry,
+        useCache,
+        candidates,
+        onUsage,
+        history = [],
+    }
+) => {
+    // All requests go through the response cache; fresh responses are stored even when
+    // reading from the cache is disabled. Token usage is summed over all requests
+    // (diff summaries, repairs) that make up this generation.
+    // Secrets are replaced with placeholders before anything leaves the machine (or is
+    // written to the cache), in the prompt and in earlier conversation turns; each distinct
+    // summary is printed once. Placeholders are numbered per conversation: replaying the
+    // whole history first gives every secret the number it had when it was first sent.
+    let usage = emptyUsage();
+    onUsage(usage);
+    const redaction = { ...getRedactionOptions(config), placeholders: new Map() };
+    if (redaction.enabled) {
+        history.forEach(({ content }) => redactSecrets(content, redaction));
+    }
+    const reportedRedactions = new Set();
+    const redact = (text) => {
+        if (!redaction.enabled) return text;
+        const { text: redacted, findings } = redactSecrets(text, redaction);
+        const summary = formatRedactionSummary(findings);
+        if (summary && !reportedRedactions.has(summary)) {
+            reportedRedactions.add(summary);
+            console.log(`🔒 Redacted before sending to ${provider.name}: ${summary}`);
+        }
+        return redacted;
+    };
+    const generator = {
+        ...provider,
+        generate: async (rawPrompt, generateOptions) => {
+            const prompt = redact(rawPrompt);
+            const turns = generateOptions.history?.map(({ role, content }) => ({
+                role,
+                content: redact(content),
+            }));
+            const response = await generateWithCache(
+                provider,
+                prompt,
+                { ...generateOptions, history: turns },
+                { useCache }
+            );
+            if (!response.cached) {
+                usage = addUsage(usage, response.usage || {});
+                onUsage(usage);
+            }
+            return response;
+        },
+    };
+
+    // Providers that support it return JSON; others fall back to title-on-first-line text
+    const structured = Boolean(provider.supportsStructuredOutput?.(config, model));
+    const concurrency = Number(config.aiConcurrency) || DEFAULT_SUMMARY_CONCURRENCY;
+
+    // Generate content using the specified AI provider. Candidates share the prompt and are
+    // cached separately; their output is not streamed since they are generated in parallel.
+    const generateCandidates = (prompt, turns) =>
+        mapWithConcurrency(
+            Array.from({ length: candidates }, (_, variant) => variant),
+            concurrency,
+            (variant) =>
+                generateParsedResult(
+                    variant === 0
+                        ? generator
+                        : {
+                              ...generator,
+                              generate: (variantPrompt, generateOptions) =>
+                                  generator.generate(variantPrompt, {
+                                      ...generateOptions,
+                                      variant,
+                                  }),
+                          },
+                    prompt,
+                    {
+                        config,
+                        model,
+                        structured,
+                        onToken: candidates > 1 ? undefined : onToken,
+                        onRetry,
+                        history: turns,
+                    }
+                )
+        );
+
+    // The conversation continued by a later regeneration; assistant turns keep the parsed
+    // result to notice edits made in between
+    const toConversation = (turns, prompt, [result]) => [
+        ...turns,
+        { role: "user", content: prompt },
+        {
+            role: "assistant",
+            content: formatResponseContent(result, structured),
+            result: { title: result.title, description: result.description },
+        },
+    ];
+
+    if (history.length > 0) {
+        // Follow-up in a conversation: the git context is already in the first turn
+        const prompt = generateFollowUpPrompt({
+            additionalInstructions: promptOptions.additionalInstructions,
+            editedResult: getEditedResult(history, promptOptions.previousResult),
+            outputLanguage: getOutputLanguage(config),
+            responseFormat: structured ? "json" : "text",
+        });
+        const tokenBudget = getPromptTokenBudget(model, config);
+        const fitted = fitConversation(history, prompt, tokenBudget, model);
+        if (fitted.omitted > 0) {
+            console.log(
+                `✂️  Conversation trimmed to fit the ${model} context (~${tokenBudget} tokens): omitted ${fitted.omitted} earlier exchange(s).`
+            );
+        }
+        const results = await generateCandidates(prompt, fitted.history);
+        return {
+            results,
+            prompt,
+            conversation: toConversation(history, prompt, results),
+            structured,
+        };
+    }
+
+    // Generate comprehensive prompt with git context, sized to the model's context window
+    const buildPrompt = (diffSummary) =>
+        generateMergeRequestPromptWithReport(sourceBranch, targetBranch, jiraTickets, {
+            tokenBudget: getPromptTokenBudget(model, config),
+            commitBodyLimit: config.aiCommitBodyLimit,
+            ...promptOptions,
+            model,
+            diffSummary,
+            outputLanguage: getOutputLanguage(config),
+            responseFormat: structured ? "json" : "text",
+        });
+
+    // Diff mode: "truncate" (default) cuts the diff to fit, "summarize" always replaces it
+    // with per-file summaries, "auto" summarizes only when the diff had to be cut
+    const diffMode = config.aiDiffMode || "truncate";
+    const summarizeOptions = {
+        config,
+        model,
+        onRetry,
+        policy: promptOptions.policy,
+        diffExclusions: promptOptions.diffExclusions,
+    };
+    const includeDiff = promptOptions.includeGitDiff !== false;
+
+    let diffSummary;
+    if (includeDiff && diffMode === "summarize") {
+        diffSummary = await summarizeBranchDiff(
+            generator,
+            sourceBranch,
+            targetBranch,
+            summarizeOptions
+        );
+    }
+    let { prompt, report } = await buildPrompt(diffSummary);
+    if (includeDiff && diffMode === "auto" && report.dropped.diffLines > 0) {
+        diffSummary = await summarizeBranchDiff(
+            generator,
+            sourceBranch,
+            targetBranch,
+            summarizeOptions
+        );
+        ({ prompt, report } = await buildPrompt(diffSummary));
+    }
+    reportDroppedContext(report, model);
+
+    const results = await generateCandidates(prompt);
+
+    return {
+        results,
+        prompt,
+        report,
+        conversation: toConversation([], prompt, results),
+        structured,
+    };
+};
+
+/**
+ * Generate merge request title and description using the specified AI model.
+ * When the model fails with an error another model may not have (unknown model, quota,
+ * rate limit, context length, outage), the models in config.aiFallbackModels are tried in order.
  * @param {object} config - Configuration object containing tokens and settings
  * @param {string} sourceBranch - Source branch name
  * @param {string} targetBranch - Target branch name
  * @param {string} jiraTickets - Comma-separated JIRA ticket IDs
  * @param {object} options - Additional options for generation
- * @returns {Promise<object>} Generated title and description
+ * @param {(token: string) => void} [options.onToken] - Stream the AI response as it arrives (for
+ *        structured output, the title and description instead of the raw JSON)
+ * @param {(info: object) => void} [options.onRetry] - Called before a failed AI request is retried
+ * @param {boolean} [options.useCache] - Set to false to skip cached responses (also config.aiCache)
+ * @param {number} [options.candidates] - Number of variants to generate (also config.aiCandidates);
+ *        with more than one, the result lists them in `candidates` and holds the first one
+ * @param {object[]} [options.history] - Conversation of an earlier generation (its result's
+ *        `conversation`); when given, the model gets the conversation plus a follow-up prompt
+ *        with promptOptions.additionalInstructions instead of a freshly built prompt
+ * @returns {Promise<object>} Generated title and description, and the `conversation` to continue
+ *          (`structured` tells whether its answers are JSON)
  */
 export const generateMergeRequest = async (
     config,
@@ -22,7 +446,19 @@ export const generateMergeRequest = async (
     jiraTickets = "",
     options = {}
 ) => {
-    const { aiModel = "ChatGPT", promptOptions = {} } = options;
+    const {
+        aiModel = resolveAiProviderName(config),
+        promptOptions = {},
+        onToken,
+        onRetry,
+        useCache = config.aiCache !== false,
+        history = [],
+    } = options;
+    const candidateCount = Math.min(
+        MAX_CANDIDATES,
+        Math.max(1, Math.floor(Number(options.candidates ?? config.aiCandidates) || 1))
+    );
+    const [primary, ...fallbacks] = resolveModelChain(config, aiModel);
 
     // Validate git context first
     try {
@@ -31,44 +467,121 @@ export const generateMergeRequest = async (
         throw new Error(`Git validation failed: ${error.message}`);
     }
 
-    // Generate comprehensive prompt with git context
-    const prompt = await generateMergeRequestPrompt(
-        sourceBranch,
-        targetBranch,
-        jiraTickets,
-        promptOptions
-    );
+    // Path policy (.gen-mr/policy.json): fails here in "fail" mode, otherwise the prompt
+    // builder leaves withheld files out
+    const policy = await loadPathPolicy();
+    if (policy) {
+        enforcePathPolicy(policy, await getChangedFiles(sourceBranch, targetBranch));
+    }
 
-    // Generate content using the specified AI model
-    let aiResponse;
-    const model = config.openaiModel || "gpt-3.5-turbo";
-    const normalizedModel = aiModel.toLowerCase();
-
-    if (
-        normalizedModel === "chatgpt" ||
-        normalizedModel === "openai" ||
-        normalizedModel === "gpt"
-    ) {
-        if (!config.openaiToken) {
-            throw new Error("OpenAI token is required for ChatGPT model");
-        }
-        aiResponse = await generateMergeRequestWithChatGPT(config.openaiToken, prompt, model);
-    } else {
-        throw new Error(`Unsupported AI model '${aiModel}'. Currently only ChatGPT is supported.`);
+    // Lockfiles, generated and vendored files: named in the prompt instead of their diff
+    const diffExclusions = await loadDiffExclusions(config);
+
+    // Prompt template (config.aiPromptTemplate / --template), checked before any request
+    const template = await loadPromptTemplate(config.aiPromptTemplate);
+    if (template.path) {
+        console.log(`📝 Using prompt template '${template.name}' (${template.path})`);
     }
 
-    // Parse the AI response to extract title and description
-    const lines = aiResponse.split("\n");
-    const title = lines[0].trim();
-    const description = lines.slice(1).join("\n").trim();
+    if (!primary.provider.hasCredentials(config)) {
+        throw new Error(primary.provider.missingCredentialsMessage);
+    }
 
-    return {
-        title,
-        description,
-        aiModel,
-        model,
-        prompt: promptOptions.includePrompt ? prompt : undefined,
-    };
+    const candidates = [
+        primary,
+        ...fallbacks.filter(({ provider, model }) => {
+            if (provider.hasCredentials(config)) return true;
+            console.warn(
+                `⚠️  Skipping fallback ${provider.name} (${model}): ${provider.missingCredentialsMessage}`
+            );
+            return false;
+        }),
+    ];
+    const kind = promptOptions.previousResult ? "regenerate" : "generate";
+
+    for (let index = 0; ; index++) {
+        const { provider, model } = candidates[index];
+        let usage = emptyUsage();
+        // Failed attempts are recorded too: their requests were billed
+        const recordAttempt = async (resultModel) => {
+            const cost = estimateCost(usage, model, config);
+            if (usage.requests > 0) {
+                await recordUsage({
+                    provider: provider.name,
+                    model: resultModel,
+                    kind,
+                    ...usage,
+                    cost,
+                });
+            }
+            return cost;
+        };
+
+        let generated;
+        try {
+            generated = await generateWithModel(provider, model, {
+                config,
+                sourceBranch,
+                targetBranch,
+                jiraTickets,
+                promptOptions: {
+                    ...promptOptions,
+                    ...(policy ? { policy } : {}),
+                    diffExclusions,
+                    template: template.text,
+                },
+                onToken,
+                onRetry,
+                useCache,
+                candidates: candidateCount,
+                history,
+                onUsage: (totals) => {
+                    usage = totals;
+                },
+            });
+        } catch (error) {
+            await recordAttempt(model);
+            const next = candidates[index + 1];
+            if (!next || !isFallbackError(error)) {
+                throw error;
+            }
+            console.warn(`⚠️  ${provider.name} (${model}) failed: ${error.message}`);
+            console.log(`↪️  Falling back to ${next.provider.name} (${next.model})...`);
+            continue;
+        }
+
+        const { results, prompt, report, conversation, structured } = generated;
+        const [result] = results;
+        if (results.every((candidate) => candidate.cached)) {
+            console.log(
+                "⚡ Using a cached AI response (run with --no-cache to generate a new one)"
+            );
+        }
+        const cost = await recordAttempt(result.model);
+
+        return {
+            title: result.title,
+            description: result.description,
+            labels: result.labels,
+            aiModel: provider.name,
+            model: result.model,
+            prompt: promptOptions.includePrompt ? prompt : undefined,
+            promptReport: report,
+            conversation,
+            structured,
+            cached: Boolean(result.cached),
+            usage: { ...usage, cost },
+            candidates:
+                results.length > 1
+                    ? results.map(({ title, description, labels, model: candidateModel }) => ({
+                          title,
+                          description,
+                          labels,
+                          model: candidateModel,
+                      }))
+                    : undefined,
+        };
+    }
 };
 
 /**
@@ -139,7 +652,6 @@ export const getDefaultPromptOptions = (userOptions = {}) => {
         includeGitDiff: true,
         includeCommitMessages: true,
         includeChangedFiles: true,
-        maxDiffLines: 100,
         includePrompt: false,
         ...userOptions,
     };
@@ -165,7 +677,8 @@ export const validateMergeRequestParams = (sourceBranch, targetBranch, config) =
         throw new Error("Configuration object is required");
     }
 
-    if (!config.openaiToken) {
-        throw new Error("OpenAI token is required in configuration");
+    const provider = getAiProvider(resolveAiProviderName(config));
+    if (!provider.hasCredentials(config)) {
+        throw new Error(`${provider.name} credentials are required in configuration`);
     }
 };
@@ -3,21 +3,40 @@
 
 import {
     getGitDiff,
-    getCommitMessages,
+    getCommits,
     getChangedFiles,
     getChangedFilesByType,
 } from "./git-provider/git-provider.mjs";
+import { estimateTokens } from "./ai/tokens.mjs";
+import { buildLanguageInstructions } from "./ai/language.mjs";
+import { filterDiffByPolicy, isCommitAllowed, splitFilesByPolicy } from "./config/policy.mjs";
+import { filterDiffByExclusions, formatExcludedFiles } from "./config/diff-exclusions.mjs";
+import { splitDiffByFile } from "./utils/diff.mjs";
+import { fitDiffToBudget } from "./utils/diff-budget.mjs";
+import {
+    DEFAULT_PROMPT_TEMPLATE,
+    getTemplatePlaceholders,
+    renderPromptTemplate,
+} from "./config/templates.mjs";
+
+// Last line of the prompt, per response format
+const RESPONSE_FORMAT_INSTRUCTIONS = {
+    json: 'Return the result as a JSON object with the fields "title" (plain text, single line), "description" (markdown) and "labels" (array of short labels categorizing the change, may be empty).',
+    text: "Format the response with the title on the first line, followed by the description on subsequent lines.",
+};
 
 /**
- * Build the changed files section string listing Modified / Added / Deleted groups.
+ * Build the changed files section string listing Modified / Added / Deleted groups
+ * (and files withheld by the path policy, listed by name only).
  * Always prefixes with two leading newlines and the header 'Changed files:'.
  * Returns a string starting with a newline so it can be concatenated directly.
  * @param {string[]} added
  * @param {string[]} modified
  * @param {string[]} deleted
+ * @param {string[]} [withheld]
  * @returns {string}
  */
-const buildChangedFilesSection = (added, modified, deleted) => {
+const buildChangedFilesSection = (added, modified, deleted, withheld = []) => {
     const section = [];
     section.push("\n\nChanged files:");
     if (modified && modified.length) {
@@ -32,18 +51,294 @@ const buildChangedFilesSection = (added, modified, deleted) => {
         section.push("Deleted:");
         section.push(...deleted.map((f) => `- ${f}`));
     }
+    if (withheld.length) {
+        section.push("Withheld by path policy (content not shared):");
+        section.push(...withheld.map((f) => `- ${f}`));
+    }
     return `\n${section.join("\n")}`;
 };
 
+// Characters of body and trailers shown per commit unless options.commitBodyLimit is set
+const DEFAULT_COMMIT_BODY_LIMIT = 500;
+
+// Share of the token budget each section gets before unused budget is redistributed
+const SECTION_SHARES = { commits: 0.2, files: 0.2, diff: 0.6 };
+
+// Tokens kept free in a truncated section for its header and "omitted" note
+const SECTION_OVERHEAD_TOKENS = 40;
+
+/**
+ * Count how many leading lines fit into a token limit
+ * @param {string[]} lines - Lines to measure
+ * @param {number} limit - Token limit
+ * @param {string} [model] - Model used for token estimation
+ * @returns {number} Number of lines that fit
+ */
+const countFittingLines = (lines, limit, model) => {
+    let text = "";
+    for (let i = 0; i < lines.length; i++) {
+        text += `${lines[i]}\n`;
+        if (estimateTokens(text, model) > limit) return i;
+    }
+    return lines.length;
+};
+
 /**
- * Generate a comprehensive prompt for AI to create merge request title and description
+ * Split the available tokens between the commits, changed files and diff sections.
+ * Each section first gets up to its share; budget a section does not need then goes
+ * to the sections that still need more (diff first, then commits, then changed files).
+ * @param {number} available - Tokens available for the sections
+ * @param {{ commits: number, files: number, diff: number }} needs - Tokens each section needs in full
+ * @returns {{ commits: number, files: number, diff: number }} Tokens allocated per section
+ */
+const allocateSectionBudgets = (available, needs) => {
+    const allocation = {};
+    let left = available;
+    Object.entries(SECTION_SHARES).forEach(([name, share]) => {
+        allocation[name] = Math.min(needs[name], Math.floor(available * share));
+        left -= allocation[name];
+    });
+    ["diff", "commits", "files"].forEach((name) => {
+        const extra = Math.min(needs[name] - allocation[name], left);
+        allocation[name] += extra;
+        left -= extra;
+    });
+    return allocation;
+};
+
+/**
+ * Format one commit for the prompt: its subject with author and date, followed by its body
+ * and trailers (indented) up to bodyLimit characters. Trailers come first when cutting, since
+ * they carry issue references, co-authors and breaking changes.
+ * @param {object} commit - Commit from getCommits()
+ * @param {number} bodyLimit - Characters of body and trailers to show (0 for the subject only)
+ * @returns {string} Commit entry, one or more lines
+ */
+const formatCommit = ({ subject, body = "", author, date, trailers = [] }, bodyLimit) => {
+    const byline = [author?.name, date?.slice(0, 10)].filter(Boolean).join(", ");
+    const lines = [`- ${subject}${byline ? ` (${byline})` : ""}`];
+    if (bodyLimit <= 0) return lines[0];
+
+    let room = bodyLimit;
+    const trailerLines = [];
+    trailers.forEach(({ key, value }) => {
+        const line = `${key}: ${value}`;
+        if (line.length > room) return;
+        trailerLines.push(line);
+        room -= line.length;
+    });
+    let text = body.replace(/\n\s*\n/g, "\n").trim();
+    if (text.length > room) {
+        text = room > 20 ? `${text.slice(0, room).trimEnd()} ...` : "";
+    }
+    [...(text ? text.split("\n") : []), ...trailerLines].forEach((line) => {
+        lines.push(`  ${line}`);
+    });
+    return lines.join("\n");
+};
+
+/**
+ * Build the commit messages section, keeping as many commits as fit the token limit
+ * @param {object[]} commits - Commits from getCommits()
+ * @param {number} [limit] - Token limit (no limit when omitted)
+ * @param {string} [model] - Model used for token estimation
+ * @param {number} [bodyLimit] - Characters of body and trailers shown per commit
+ * @returns {{ text: string, dropped: number }} Section text and number of omitted commits
+ */
+const buildCommitsSection = (commits, limit, model, bodyLimit = DEFAULT_COMMIT_BODY_LIMIT) => {
+    const lines = commits.map((commit) => formatCommit(commit, bodyLimit));
+    const kept =
+        limit === undefined
+            ? lines.length
+            : countFittingLines(lines, limit - SECTION_OVERHEAD_TOKENS, model);
+    const dropped = lines.length - kept;
+    let text = `\n\nCommit messages:\n${lines.slice(0, kept).join("\n")}`;
+    if (dropped > 0) {
+        text += `${kept > 0 ? "\n" : ""}- ... (${dropped} more commits omitted)`;
+    }
+    return { text, dropped };
+};
+
+/**
+ * Build the changed files section, keeping as many files as fit the token limit
+ * (modified first, then added, then deleted, then withheld)
+ * @param {{ added: string[], modified: string[], deleted: string[], withheld: string[] }} files - Files by change type
+ * @param {number} [limit] - Token limit (no limit when omitted)
+ * @param {string} [model] - Model used for token estimation
+ * @returns {{ text: string, dropped: number }} Section text and number of omitted files
+ */
+const buildLimitedChangedFilesSection = (
+    { added, modified, deleted, withheld = [] },
+    limit,
+    model
+) => {
+    const ordered = [...modified, ...added, ...deleted, ...withheld];
+    const kept =
+        limit === undefined
+            ? ordered.length
+            : countFittingLines(
+                  ordered.map((f) => `- ${f}`),
+                  limit - SECTION_OVERHEAD_TOKENS,
+                  model
+              );
+    const dropped = ordered.length - kept;
+    const keptModified = modified.slice(0, kept);
+    const keptAdded = added.slice(0, Math.max(0, kept - modified.length));
+    const keptDeleted = deleted.slice(0, Math.max(0, kept - modified.length - added.length));
+    const keptWithheld = withheld.slice(
+        0,
+        Math.max(0, kept - modified.length - added.length - deleted.length)
+    );
+    let text = buildChangedFilesSection(keptAdded, keptModified, keptDeleted, keptWithheld);
+    if (dropped > 0) {
+        text += `\n... (${dropped} more files not listed)`;
+    }
+    return { text, dropped };
+};
+
+/**
+ * Build the diff section. Without a token limit the diff is cut at maxDiffLines; with one it
+ * keeps as much as fits (and at most maxDiffLines when given). A diff that does not fit is cut
+ * file by file (see fitDiffToBudget) so every file keeps its share and its hunk headers; text
+ * without git's file headers is cut after its first lines. The note on excluded files always
+ * follows the diff.
+ * @param {string} diff - Full git diff
+ * @param {object} params
+ * @param {number} [params.maxDiffLines] - Line limit
+ * @param {number} [params.limit] - Token limit
+ * @param {string} [params.model] - Model used for token estimation
+ * @param {string} [params.excludedNote] - Files left out of the diff (see formatExcludedFiles)
+ * @returns {{ text: string, dropped: number }} Section text and number of omitted diff lines
+ */
+const buildDiffSection = (diff, { maxDiffLines, limit, model, excludedNote = "" }) => {
+    const allLines = diff ? diff.split("\n") : [];
+    const note = excludedNote ? `\n${excludedNote}` : "";
+
+    if (allLines.length === 0) {
+        return { text: `\n\nCode changes: only excluded files changed.${note}`, dropped: 0 };
+    }
+
+    const perFile = splitDiffByFile(diff).every(({ file }) => file);
+    const lineTokens = (line) => estimateTokens(`${line}\n`, model);
+
+    if (limit === undefined) {
+        if (!perFile || allLines.length <= maxDiffLines) {
+            const diffLines = allLines.slice(0, maxDiffLines);
+            let text = `\n\nCode changes (showing first ${maxDiffLines} lines):\n\`\`\`diff\n${diffLines.join("\n")}\n\`\`\``;
+            if (allLines.length > maxDiffLines) {
+                text += "\n... (diff truncated for brevity)";
+            }
+            return {
+                text: `${text}${note}`,
+                dropped: Math.max(0, allLines.length - maxDiffLines),
+            };
+        }
+        const fitted = fitDiffToBudget(diff, { limit: maxDiffLines });
+        return {
+            text: `\n\nCode changes (showing ${fitted.shownLines} of ${allLines.length} lines, omitted hunks summarized as +added/-removed lines):\n\`\`\`diff\n${fitted.text}\n\`\`\`\n... (diff truncated for brevity)${note}`,
+            dropped: allLines.length - fitted.shownLines,
+        };
+    }
+
+    const tokenLimit = limit - SECTION_OVERHEAD_TOKENS - (note ? estimateTokens(note, model) : 0);
+    let shown;
+    let kept;
+    if (perFile) {
+        // With a line limit as well, each line costs its share of whichever limit it uses up more
+        const fitted =
+            maxDiffLines === undefined
+                ? fitDiffToBudget(diff, { limit: tokenLimit, lineCost: lineTokens })
+                : fitDiffToBudget(diff, {
+                      limit: 1,
+                      lineCost: (line) => Math.max(1 / maxDiffLines, lineTokens(line) / tokenLimit),
+                  });
+        shown = fitted.text;
+        kept = fitted.shownLines;
+    } else {
+        const candidates = maxDiffLines === undefined ? allLines : allLines.slice(0, maxDiffLines);
+        kept = countFittingLines(candidates, tokenLimit, model);
+        shown = candidates.slice(0, kept).join("\n");
+    }
+    const dropped = allLines.length - kept;
+
+    if (kept === 0) {
+        return {
+            text: `\n\nCode changes: omitted (the diff does not fit the model's context window).${note}`,
+            dropped,
+        };
+    }
+    if (dropped === 0) {
+        return { text: `\n\nCode changes:\n\`\`\`diff\n${shown}\n\`\`\`${note}`, dropped };
+    }
+    const showing = perFile
+        ? `showing ${kept} of ${allLines.length} lines, omitted hunks summarized as +added/-removed lines`
+        : `showing first ${kept} of ${allLines.length} lines`;
+    return {
+        text: `\n\nCode changes (${showing}):\n\`\`\`diff\n${shown}\n\`\`\`\n... (diff truncated to fit the model's context window)${note}`,
+        dropped,
+    };
+};
+
+/**
+ * Build the section that replaces the diff with its per-file summary (map-reduce mode)
+ * @param {string} summary - Combined chunk summaries
+ * @param {number} [limit] - Token limit (no limit when omitted)
+ * @param {string} [model] - Model used for token estimation
+ * @returns {{ text: string, dropped: number }} Section text and number of omitted summary lines
+ */
+const buildDiffSummarySection = (summary, limit, model) => {
+    const lines = summary.split("\n");
+    const kept =
+        limit === undefined
+            ? lines.length
+            : countFittingLines(lines, limit - SECTION_OVERHEAD_TOKENS, model);
+    const dropped = lines.length - kept;
+    let text = `\n\nSummary of code changes (the diff was summarized file by file):\n${lines.slice(0, kept).join("\n")}`;
+    if (dropped > 0) {
+        text += `\n... (${dropped} more summary lines omitted)`;
+    }
+    return { text, dropped };
+};
+
+/**
+ * Build the section asking the AI to follow the repository's description template
+ * @param {{ path: string, content: string }} descriptionTemplate - Template found in the repository
+ * @returns {string} Section text
+ */
+const buildDescriptionTemplateSection = ({ path, content }) =>
+    `The repository's description template (${path}) is below. Write the description by filling in this template instead of using the sections listed below: keep its headings and order, fill in every section from the changes, check checklist items only when the changes clearly satisfy them, and leave out its HTML comments.
+\`\`\`markdown
+${content.trim()}
+\`\`\``;
+
+/**
+ * Generate a merge request prompt together with a report of what was left out.
+ * When options.tokenBudget is set, commits, changed files and the diff share the tokens
+ * left after the fixed instructions (see allocateSectionBudgets) instead of using maxDiffLines.
  * @param {string} sourceBranch - Source branch name
  * @param {string} targetBranch - Target branch name
  * @param {string} jiraTickets - Comma-separated JIRA ticket IDs
  * @param {object} options - Additional options for prompt generation
- * @returns {Promise<string>} Generated prompt for AI
+ * @param {"text"|"json"} [options.responseFormat] - Ask for title-on-first-line text or a JSON object
+ * @param {number} [options.tokenBudget] - Maximum number of prompt tokens
+ * @param {string} [options.model] - Model the prompt is for (used for token estimation)
+ * @param {string} [options.diffSummary] - Per-file summary used instead of the raw diff
+ * @param {{ language: string, secondaryLanguage?: string }} [options.outputLanguage] - Language(s)
+ *        to write in (see ai/language.mjs); English when omitted
+ * @param {object} [options.policy] - Path policy (config/policy.mjs) filtering the diff, changed
+ *        files and commits
+ * @param {number} [options.commitBodyLimit] - Characters of each commit's body and trailers to
+ *        include (500 by default, 0 for subjects only)
+ * @param {object} [options.diffExclusions] - Rules (config/diff-exclusions.mjs) for files whose
+ *        diff is replaced by their name and line count
+ * @param {{ path: string, content: string }} [options.descriptionTemplate] - The repository's
+ *        pull/merge request template (config/description-templates.mjs) to fill in
+ * @param {string} [options.template] - Prompt template text (config/templates.mjs); the built-in
+ *        default when omitted. Language and response format instructions are appended to it.
+ * @returns {Promise<{ prompt: string, report: object }>} Prompt and budgeting report
+ *          ({ tokenBudget, estimatedTokens, dropped: { commits, files, diffLines, summaryLines } })
  */
-export const generateMergeRequestPrompt = async (
+export const generateMergeRequestPromptWithReport = async (
     sourceBranch,
     targetBranch,
     jiraTickets = "",
@@ -53,46 +348,98 @@ export const generateMergeRequestPrompt = async (
         includeGitDiff = true,
         includeCommitMessages = true,
         includeChangedFiles = true,
-        maxDiffLines = 1000,
+        tokenBudget,
+        model,
+        diffSummary,
+        policy,
+        diffExclusions,
+        commitBodyLimit = DEFAULT_COMMIT_BODY_LIMIT,
+        outputLanguage,
+        maxDiffLines = tokenBudget === undefined ? 1000 : undefined,
         additionalInstructions = "",
         previousResult = null,
+        responseFormat = "text",
+        template = DEFAULT_PROMPT_TEMPLATE,
+        descriptionTemplate,
     } = options;
 
-    let prompt = `Generate a professional merge request title and description for merging '${sourceBranch}' into '${targetBranch}'.`;
-
-    // Add previous result context if regenerating
+    // Regeneration context: the previous version and the user's instructions
+    const userInstructions = [];
     if (previousResult) {
-        prompt += "\n\nPrevious merge request details:";
-        prompt += `\nTitle: ${previousResult.title}`;
-        prompt += `\nDescription: ${previousResult.description}`;
-        prompt += "\nPlease improve upon this previous version.";
+        userInstructions.push(
+            [
+                "Previous merge request details:",
+                `Title: ${previousResult.title}`,
+                `Description: ${previousResult.description}`,
+                "Please improve upon this previous version.",
+            ].join("\n")
+        );
     }
-
-    // Add additional user instructions if provided
     if (additionalInstructions && additionalInstructions.trim()) {
-        prompt += `\n\nAdditional instructions from user:\n${additionalInstructions}`;
+        userInstructions.push(`Additional instructions from user:\n${additionalInstructions}`);
     }
 
-    // Add JIRA tickets context
-    if (jiraTickets && jiraTickets.trim()) {
-        prompt += `\n\nRelated JIRA tickets: ${jiraTickets}`;
+    // Language and response format always follow the template: the response parser relies on them
+    let responseInstructions = "";
+    if (outputLanguage) {
+        responseInstructions += buildLanguageInstructions(outputLanguage, responseFormat);
     }
+    responseInstructions += `${RESPONSE_FORMAT_INSTRUCTIONS[responseFormat]}\n\n`;
+
+    const render = ({ commits, files, diff }) =>
+        `${renderPromptTemplate(template, {
+            sourceBranch,
+            targetBranch,
+            jiraTickets: (jiraTickets || "").trim(),
+            userInstructions: userInstructions.join("\n\n"),
+            // Section texts start with blank lines to be appended; the template places them
+            commits: commits?.trimStart(),
+            changedFiles: files?.trimStart(),
+            diff: diff?.trimStart(),
+            descriptionTemplate: descriptionTemplate
+                ? buildDescriptionTemplateSection(descriptionTemplate)
+                : "",
+        })}\n\n${responseInstructions}`;
+
+    // Sections the template has no placeholder for are not gathered at all
+    const placeholders = getTemplatePlaceholders(template);
+    const include = {
+        commits: includeCommitMessages && placeholders.has("commits"),
+        files: includeChangedFiles && placeholders.has("changedFiles"),
+        diff: includeGitDiff && placeholders.has("diff"),
+    };
+
+    // Sections in prompt order; null entries are left out
+    const sections = { commits: null, files: null, diff: null };
+    const dropped = { commits: 0, files: 0, diffLines: 0, summaryLines: 0 };
 
     try {
         // Prepare fixed-position promise slots (null if feature disabled)
-        const commitsPromise = includeCommitMessages
-            ? getCommitMessages(sourceBranch, targetBranch)
-            : null;
-        const filesByTypePromise = includeChangedFiles
+        // With a path policy, commits touching only withheld files and their diffs are dropped
+        let commitsPromise = null;
+        if (include.commits) {
+            commitsPromise = getCommits(sourceBranch, targetBranch).then((all) =>
+                policy ? all.filter((commit) => isCommitAllowed(policy, commit)) : all
+            );
+        }
+        const filesByTypePromise = include.files
             ? getChangedFilesByType(sourceBranch, targetBranch)
             : null;
-        const diffPromise = includeGitDiff ? getGitDiff(sourceBranch, targetBranch) : null;
+        let diffPromise = null;
+        if (include.diff && !diffSummary) {
+            diffPromise = getGitDiff(sourceBranch, targetBranch).then((fullDiff) => {
+                const allowed = policy ? filterDiffByPolicy(policy, fullDiff) : fullDiff;
+                return diffExclusions
+                    ? filterDiffByExclusions(diffExclusions, allowed)
+                    : { diff: allowed, excluded: [] };
+            });
+        }
 
         let commits = null;
         let filesByType = null;
-        let diff = null;
+        let filteredDiff = null;
         try {
-            [commits, filesByType, diff] = await Promise.all([
+            [commits, filesByType, filteredDiff] = await Promise.all([
                 commitsPromise,
                 filesByTypePromise,
                 diffPromise,
@@ -101,18 +448,24 @@ export const generateMergeRequestPrompt = async (
             // Normalize any git command failure to a common error message
             throw new Error(`one or more git commands failed: ${gitErr.message}`);
         }
+        const diff = filteredDiff?.diff ?? null;
+        const excludedNote = formatExcludedFiles(filteredDiff?.excluded || []);
+
+        // Each builder takes an optional token limit so sections can be rebuilt to fit the budget
+        const builders = {};
 
         // Commit messages section (preserve ordering in output regardless of fetch order)
-        if (includeCommitMessages) {
+        if (include.commits) {
             if (Array.isArray(commits) && commits.length > 0) {
-                prompt += `\n\nCommit messages:\n${commits.map((msg) => `- ${msg}`).join("\n")}`;
+                builders.commits = (limit) =>
+                    buildCommitsSection(commits, limit, model, commitBodyLimit);
             } else if (Array.isArray(commits)) {
-                prompt += `\n\nCommit messages: No commit messages found.`;
+                sections.commits = `\n\nCommit messages: No commit messages found.`;
             } // if commits null (error), silently skip as before (covered by catch warning)
         }
 
         // Changed files section
-        if (includeChangedFiles) {
+        if (include.files) {
             let added = [];
             let modified = [];
             let deleted = [];
@@ -124,51 +477,145 @@ export const generateMergeRequestPrompt = async (
                 modified = flat; // treat all as modified if we lack type info
             }
 
-            const total = (added?.length || 0) + (modified?.length || 0) + (deleted?.length || 0);
-            prompt +=
-                total > 0
-                    ? buildChangedFilesSection(added, modified, deleted)
-                    : `\n\nChanged files: No changed files found.`;
+            const files = {
+                added: added || [],
+                modified: modified || [],
+                deleted: deleted || [],
+                withheld: [],
+            };
+            if (policy) {
+                ["added", "modified", "deleted"].forEach((type) => {
+                    const { allowed, withheld } = splitFilesByPolicy(policy, files[type]);
+                    files[type] = allowed;
+                    if (policy.deniedFiles === "list") files.withheld.push(...withheld);
+                });
+            }
+            const total =
+                files.added.length +
+                files.modified.length +
+                files.deleted.length +
+                files.withheld.length;
+            if (total > 0) {
+                builders.files = (limit) => buildLimitedChangedFilesSection(files, limit, model);
+            } else {
+                sections.files = `\n\nChanged files: No changed files found.`;
+            }
         }
 
-        // Diff section
-        if (includeGitDiff) {
-            if (typeof diff === "string" && diff.length > 0) {
-                const diffLines = diff.split("\n").slice(0, maxDiffLines);
-                const truncatedDiff = diffLines.join("\n");
-                prompt += `\n\nCode changes (showing first ${maxDiffLines} lines):\n\`\`\`diff\n${truncatedDiff}\n\`\`\``;
-                if (diff.split("\n").length > maxDiffLines) {
-                    prompt += "\n... (diff truncated for brevity)";
-                }
+        // Diff section (or its summary when the diff was summarized beforehand)
+        if (include.diff && diffSummary) {
+            builders.diff = (limit) => buildDiffSummarySection(diffSummary, limit, model);
+        } else if (include.diff) {
+            if ((typeof diff === "string" && diff.length > 0) || excludedNote) {
+                builders.diff = (limit) =>
+                    buildDiffSection(diff, { maxDiffLines, limit, model, excludedNote });
             } else if (diff !== null) {
                 // diff empty string
-                prompt += "\n\nCode changes: No code changes found.";
+                sections.diff = "\n\nCode changes: No code changes found.";
             }
         }
+
+        // In budget mode sections are first built in full (Infinity) to measure what they need
+        const fullLimit = tokenBudget === undefined ? undefined : Infinity;
+        const built = Object.fromEntries(
+            Object.entries(builders).map(([name, build]) => [name, build(fullLimit)])
+        );
+
+        if (tokenBudget !== undefined) {
+            const fixed = render(sections);
+            const available = Math.max(0, tokenBudget - estimateTokens(fixed, model));
+            const needs = { commits: 0, files: 0, diff: 0 };
+            Object.entries(built).forEach(([name, section]) => {
+                needs[name] = estimateTokens(section.text, model);
+            });
+            const allocation = allocateSectionBudgets(available, needs);
+            Object.keys(built).forEach((name) => {
+                if (needs[name] > allocation[name]) {
+                    built[name] = builders[name](allocation[name]);
+                }
+            });
+        }
+
+        Object.entries(built).forEach(([name, section]) => {
+            sections[name] = section.text;
+        });
+        dropped.commits = built.commits?.dropped || 0;
+        dropped.files = built.files?.dropped || 0;
+        dropped[diffSummary ? "summaryLines" : "diffLines"] = built.diff?.dropped || 0;
     } catch (error) {
         console.warn(`Warning: Could not gather git context: ${error.message}`);
     }
 
-    prompt += `\n\nPlease provide:
-1. A concise, descriptive title for the merge request. In title do not use markdown
-2. A detailed description that includes:
-   - Summary of changes
-   - Purpose/motivation for the changes
-   - Any breaking changes or important notes
-   - List of affected files
-      - List of updated files (if any)
-      - List of added files (if any)
-      - List of deleted files (if any)
-   - Testing considerations (if applicable)
+    const prompt = render(sections);
 
-Description, should use markdown formatting. 
-Every part should be clearly defined and separated. 
-Use markdown headers for each section.
+    return {
+        prompt,
+        report: {
+            tokenBudget,
+            estimatedTokens: estimateTokens(prompt, model),
+            dropped,
+        },
+    };
+};
 
-Format the response with the title on the first line, followed by the description on subsequent lines.
+/**
+ * Build the prompt of a follow-up request in a conversation: the git context and the previous
+ * answers are already in the conversation history, so it only carries the user's instructions
+ * (and their edits, when they changed the last answer before regenerating)
+ * @param {object} [options]
+ * @param {string} [options.additionalInstructions] - Instructions from the user
+ * @param {{ title: string, description: string }} [options.editedResult] - The user's edited
+ *        version of the last answer
+ * @param {"text"|"json"} [options.responseFormat] - Ask for title-on-first-line text or a JSON object
+ * @param {{ language: string, secondaryLanguage?: string }} [options.outputLanguage] - Language(s)
+ *        to write in (see ai/language.mjs); English when omitted
+ * @returns {string} Follow-up prompt
+ */
+export const generateFollowUpPrompt = ({
+    additionalInstructions = "",
+    editedResult = null,
+    responseFormat = "text",
+    outputLanguage,
+} = {}) => {
+    let prompt = "Please revise the merge request title and description from your last answer.";
+
+    if (editedResult) {
+        prompt += "\n\nI edited your last answer; start from this version:";
+        prompt += `\nTitle: ${editedResult.title}`;
+        prompt += `\nDescription: ${editedResult.description}`;
+    }
 
-`;
+    if (additionalInstructions && additionalInstructions.trim()) {
+        prompt += `\n\nAdditional instructions from user:\n${additionalInstructions}`;
+    }
+
+    prompt += "\n\n";
+    if (outputLanguage) {
+        prompt += buildLanguageInstructions(outputLanguage, responseFormat);
+    }
+    return `${prompt}${RESPONSE_FORMAT_INSTRUCTIONS[responseFormat]}\n\n`;
+};
 
+/**
+ * Generate a comprehensive prompt for AI to create merge request title and description
+ * @param {string} sourceBranch - Source branch name
+ * @param {string} targetBranch - Target branch name
+ * @param {string} jiraTickets - Comma-separated JIRA ticket IDs
+ * @param {object} options - Additional options for prompt generation (see generateMergeRequestPromptWithReport)
+ * @returns {Promise<string>} Generated prompt for AI
+ */
+export const generateMergeRequestPrompt = async (
+    sourceBranch,
+    targetBranch,
+    jiraTickets = "",
+    options = {}
+) => {
+    const { prompt } = await generateMergeRequestPromptWithReport(
+        sourceBranch,
+        targetBranch,
+        jiraTickets,
+        options
+    );
     return prompt;
 };
 
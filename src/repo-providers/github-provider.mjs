@@ -1,11 +1,14 @@
 // github-provider.mjs
 // GitHub repository provider implementation (previously github-utils.mjs)
 
+import { httpFetch } from "../utils/http-client.mjs";
+
 /**
  * Create GitHub provider bound to provided configuration.
  * @param {object} cfg
  * @param {string} cfg.githubToken - GitHub token for authentication
  * @returns {{
+ *   platform: "github",
  *   postToRemoteRepo: (url: string, data: object) => Promise<object>,
  *   getFromRemoteRepo: (url: string) => Promise<object>,
  *   patchAtRemoteRepo: (url: string, data: object) => Promise<object>,
@@ -24,7 +27,7 @@ export const createGithubProvider = ({ githubToken }) => {
     };
 
     const postToRemoteRepo = async (url, data) => {
-        const response = await fetch(url, {
+        const response = await httpFetch(url, {
             method: "POST",
             headers: commonHeaders,
             body: JSON.stringify(data),
@@ -37,7 +40,7 @@ export const createGithubProvider = ({ githubToken }) => {
     };
 
     const getFromRemoteRepo = async (url) => {
-        const response = await fetch(url, {
+        const response = await httpFetch(url, {
             method: "GET",
             headers: commonHeaders,
         });
@@ -49,7 +52,7 @@ export const createGithubProvider = ({ githubToken }) => {
     };
 
     const patchAtRemoteRepo = async (url, data) => {
-        const response = await fetch(url, {
+        const response = await httpFetch(url, {
             method: "PATCH",
             headers: commonHeaders,
             body: JSON.stringify(data),
@@ -113,6 +116,8 @@ export const createGithubProvider = ({ githubToken }) => {
     };
 
     return {
+        // Decides which description templates of the repository apply
+        platform: "github",
         postToRemoteRepo,
         getFromRemoteRepo,
         patchAtRemoteRepo,
@@ -1,12 +1,15 @@
 // gitlab-provider.mjs
 // GitLab repository provider implementation
 
+import { httpFetch } from "../utils/http-client.mjs";
+
 /**
  * Create GitLab provider bound to provided configuration.
  * @param {object} cfg
  * @param {string} cfg.gitlabToken - GitLab token for authentication
  * @param {string} cfg.gitlabHost - GitLab host (default: gitlab.com)
  * @returns {{
+ *   platform: "gitlab",
  *   postToRemoteRepo: (url: string, data: object) => Promise<object>,
  *   getFromRemoteRepo: (url: string) => Promise<object>,
  *   patchAtRemoteRepo: (url: string, data: object) => Promise<object>,
@@ -27,7 +30,7 @@ export const createGitlabProvider = ({ gitlabToken, gitlabHost = "gitlab.com" })
     const baseUrl = `https://${gitlabHost}/api/v4`;
 
     const postToRemoteRepo = async (url, data) => {
-        const response = await fetch(url, {
+        const response = await httpFetch(url, {
             method: "POST",
             headers: commonHeaders,
             body: JSON.stringify(data),
@@ -40,7 +43,7 @@ export const createGitlabProvider = ({ gitlabToken, gitlabHost = "gitlab.com" })
     };
 
     const getFromRemoteRepo = async (url) => {
-        const response = await fetch(url, {
+        const response = await httpFetch(url, {
             method: "GET",
             headers: commonHeaders,
         });
@@ -52,7 +55,7 @@ export const createGitlabProvider = ({ gitlabToken, gitlabHost = "gitlab.com" })
     };
 
     const patchAtRemoteRepo = async (url, data) => {
-        const response = await fetch(url, {
+        const response = await httpFetch(url, {
             method: "PUT",
             headers: commonHeaders,
             body: JSON.stringify(data),
@@ -130,6 +133,8 @@ export const createGitlabProvider = ({ gitlabToken, gitlabHost = "gitlab.com" })
     };
 
     return {
+        // Decides which description templates of the repository apply
+        platform: "gitlab",
         postToRemoteRepo,
         getFromRemoteRepo,
         patchAtRemoteRepo,
@@ -0,0 +1,29 @@
+// offline-provider.mjs
+// Stand-in for the GitHub/GitLab provider in offline replay runs (GEN_MR_REPLAY=replay):
+// no existing request is looked up and nothing is created, so the workflow needs neither
+// network access nor a repository token
+
+/**
+ * Create an offline repository provider
+ * @param {"github"|"gitlab"} platform - Platform whose description templates apply
+ * @returns {object} Provider with the interface of createGithubProvider/createGitlabProvider
+ */
+export const createOfflineRepoProvider = (platform) => {
+    const requestName = platform === "gitlab" ? "merge request" : "pull request";
+
+    // Every replayed run looks like a new request
+    const findExistingPullRequest = async () => null;
+
+    const createOrUpdatePullRequest = async ({ sourceBranch, targetBranch }) => {
+        console.log(
+            `📼 Replay mode: the ${requestName} ${sourceBranch} → ${targetBranch} was not sent to ${platform}.`
+        );
+        return null;
+    };
+
+    return {
+        platform,
+        findExistingPullRequest,
+        createOrUpdatePullRequest,
+    };
+};
@@ -0,0 +1,31 @@
+import { beforeEach, describe, expect, jest, test } from "@jest/globals";
+
+// Module under test
+import { createOfflineRepoProvider } from "../offline-provider.mjs";
+
+beforeEach(() => {
+    jest.restoreAllMocks();
+    global.fetch = jest.fn();
+});
+
+describe("offline-provider", () => {
+    test("finds no existing request and creates nothing without network access", async () => {
+        const log = jest.spyOn(console, "log").mockImplementation(() => {});
+        const provider = createOfflineRepoProvider("gitlab");
+
+        expect(provider.platform).toBe("gitlab");
+        expect(await provider.findExistingPullRequest("group/repo", "feature", "main")).toBeNull();
+        expect(
+            await provider.createOrUpdatePullRequest({
+                repository: "group/repo",
+                sourceBranch: "feature",
+                targetBranch: "main",
+                title: "T",
+                description: "D",
+            })
+        ).toBeNull();
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(log).toHaveBeenCalledWith(expect.stringContaining("feature → main"));
+    });
+});
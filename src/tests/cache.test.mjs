@@ -0,0 +1,112 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { clearAiCache, generateWithCache, getCacheDir, getCacheKey } from "../ai/cache.mjs";
+import { chatgptProvider } from "../ai/chatgpt.mjs";
+
+let tmpDir;
+
+beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "gen-mr-cache-"));
+    jest.spyOn(process, "cwd").mockReturnValue(tmpDir);
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+const makeProvider = (content = "Title\nBody") => ({
+    name: "ChatGPT",
+    generate: jest.fn(async (prompt, { model }) => ({ content, model })),
+});
+
+describe("ai cache", () => {
+    test("cache lives under .gen-mr/cache of the current directory", () => {
+        expect(getCacheDir()).toBe(path.join(tmpDir, ".gen-mr", "cache"));
+    });
+
+    test("key depends on prompt, model, provider and schema", () => {
+        const base = { provider: "ChatGPT", model: "gpt-4o", prompt: "p" };
+        const key = getCacheKey(base);
+        expect(getCacheKey({ ...base })).toBe(key);
+        expect(getCacheKey({ ...base, prompt: "q" })).not.toBe(key);
+        expect(getCacheKey({ ...base, model: "gpt-4.1" })).not.toBe(key);
+        expect(getCacheKey({ ...base, provider: "Claude" })).not.toBe(key);
+        expect(getCacheKey({ ...base, endpoint: "http://localhost:11434/v1" })).not.toBe(key);
+        expect(getCacheKey({ ...base, responseSchema: { type: "object" } })).not.toBe(key);
+        expect(getCacheKey({ ...base, params: { temperature: 0 } })).not.toBe(key);
+        expect(getCacheKey({ ...base, variant: 1 })).not.toBe(key);
+        expect(getCacheKey({ ...base, history: [] })).toBe(key);
+        expect(
+            getCacheKey({ ...base, history: [{ role: "user", content: "first prompt" }] })
+        ).not.toBe(key);
+    });
+
+    test("identical requests are served from the cache", async () => {
+        const provider = makeProvider();
+        const first = await generateWithCache(provider, "prompt", { model: "gpt-4o" });
+        const second = await generateWithCache(provider, "prompt", { model: "gpt-4o" });
+
+        expect(first.cached).toBeUndefined();
+        expect(second).toEqual({ content: "Title\nBody", model: "gpt-4o", cached: true });
+        expect(provider.generate).toHaveBeenCalledTimes(1);
+    });
+
+    test("useCache: false bypasses reading but refreshes the entry", async () => {
+        const provider = makeProvider("Old");
+        await generateWithCache(provider, "prompt", { model: "gpt-4o" });
+        provider.generate.mockResolvedValue({ content: "New", model: "gpt-4o" });
+
+        const fresh = await generateWithCache(
+            provider,
+            "prompt",
+            { model: "gpt-4o" },
+            { useCache: false }
+        );
+        const cached = await generateWithCache(provider, "prompt", { model: "gpt-4o" });
+
+        expect(fresh.content).toBe("New");
+        expect(cached.content).toBe("New");
+        expect(provider.generate).toHaveBeenCalledTimes(2);
+    });
+
+    test("changing the generation parameters misses the cache", async () => {
+        const provider = makeProvider();
+        await generateWithCache(provider, "prompt", { model: "gpt-4o", config: {} });
+        await generateWithCache(provider, "prompt", {
+            model: "gpt-4o",
+            config: { aiSystemPrompt: "Be terse." },
+        });
+        await generateWithCache(provider, "prompt", { model: "gpt-4o", config: {} });
+
+        expect(provider.generate).toHaveBeenCalledTimes(2);
+    });
+
+    test("responses of different OpenAI-compatible endpoints are cached separately", async () => {
+        const provider = { ...makeProvider(), getEndpoint: chatgptProvider.getEndpoint };
+        await generateWithCache(provider, "prompt", { model: "llama3", config: {} });
+        await generateWithCache(provider, "prompt", {
+            model: "llama3",
+            config: { openaiBaseUrl: "http://localhost:11434/v1" },
+        });
+        await generateWithCache(provider, "prompt", {
+            model: "llama3",
+            config: { openaiBaseUrl: "https://api.openai.com/v1/" },
+        });
+
+        expect(provider.generate).toHaveBeenCalledTimes(2);
+    });
+
+    test("clearAiCache removes all entries", async () => {
+        const provider = makeProvider();
+        await generateWithCache(provider, "a", { model: "gpt-4o" });
+        await generateWithCache(provider, "b", { model: "gpt-4o" });
+
+        expect(await clearAiCache()).toBe(2);
+        expect(await clearAiCache()).toBe(0);
+        await generateWithCache(provider, "a", { model: "gpt-4o" });
+        expect(provider.generate).toHaveBeenCalledTimes(3);
+    });
+});
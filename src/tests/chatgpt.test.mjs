@@ -0,0 +1,317 @@
+import { beforeEach, describe, expect, jest, test } from "@jest/globals";
+import { TextEncoder } from "util";
+import {
+    buildOpenAiUrl,
+    buildOpenAiHeaders,
+    isCustomOpenAiEndpoint,
+    supportsJsonSchemaOutput,
+    isReasoningModel,
+    chatgptProvider,
+    generateMergeRequestWithChatGPT,
+    fetchChatGPTModels,
+} from "../ai/chatgpt.mjs";
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    global.fetch = jest.fn();
+});
+
+const mockCompletion = (content) => {
+    global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content } }] }),
+        text: async () => content,
+    });
+};
+
+describe("chatgpt endpoint helpers", () => {
+    test("buildOpenAiUrl defaults to api.openai.com", () => {
+        expect(buildOpenAiUrl(undefined, "chat/completions")).toBe(
+            "https://api.openai.com/v1/chat/completions"
+        );
+    });
+
+    test("buildOpenAiUrl appends path to custom base and keeps query string", () => {
+        expect(buildOpenAiUrl("http://localhost:11434/v1/", "chat/completions")).toBe(
+            "http://localhost:11434/v1/chat/completions"
+        );
+        expect(
+            buildOpenAiUrl(
+                "https://res.openai.azure.com/openai/deployments/gpt4o?api-version=2024-06-01",
+                "chat/completions"
+            )
+        ).toBe(
+            "https://res.openai.azure.com/openai/deployments/gpt4o/chat/completions?api-version=2024-06-01"
+        );
+    });
+
+    test("buildOpenAiHeaders uses Bearer auth, api-key for Azure and none without token", () => {
+        expect(buildOpenAiHeaders("sk-1").Authorization).toBe("Bearer sk-1");
+        expect(
+            buildOpenAiHeaders("az-1", { baseUrl: "https://res.openai.azure.com/openai" })[
+                "api-key"
+            ]
+        ).toBe("az-1");
+        expect(buildOpenAiHeaders("", { baseUrl: "http://localhost:11434/v1" })).toEqual({
+            "Content-Type": "application/json",
+        });
+    });
+
+    test("isCustomOpenAiEndpoint", () => {
+        expect(isCustomOpenAiEndpoint(undefined)).toBe(false);
+        expect(isCustomOpenAiEndpoint("https://api.openai.com/v1/")).toBe(false);
+        expect(isCustomOpenAiEndpoint("http://localhost:11434/v1")).toBe(true);
+    });
+});
+
+describe("structured output", () => {
+    test("supportsJsonSchemaOutput accepts gpt-4o, gpt-4.1, o-series and newer", () => {
+        [
+            "gpt-4o",
+            "gpt-4o-mini-2024-07-18",
+            "gpt-4.1",
+            "o3-mini",
+            "gpt-5",
+            "ft:gpt-4o:acme",
+        ].forEach((model) => expect(supportsJsonSchemaOutput(model)).toBe(true));
+        ["gpt-3.5-turbo", "gpt-4-turbo", "gpt-4", "o1-mini", "o1-preview", "llama3.1"].forEach(
+            (model) => expect(supportsJsonSchemaOutput(model)).toBe(false)
+        );
+    });
+
+    test("asks for JSON schema output per model", () => {
+        const config = { openaiToken: "sk" };
+        expect(chatgptProvider.supportsStructuredOutput(config, "gpt-4o")).toBe(true);
+        expect(chatgptProvider.supportsStructuredOutput(config, "gpt-4-turbo")).toBe(false);
+        expect(
+            chatgptProvider.supportsStructuredOutput(
+                { ...config, aiStructuredOutput: true },
+                "gpt-4"
+            )
+        ).toBe(true);
+        expect(
+            chatgptProvider.supportsStructuredOutput(
+                { openaiBaseUrl: "http://localhost:11434/v1" },
+                "gpt-4o"
+            )
+        ).toBe(false);
+    });
+
+    test("the default model is sent without a response_format", async () => {
+        mockCompletion("Title\nBody");
+        const config = { openaiToken: "sk" };
+        const model = chatgptProvider.getModel(config);
+
+        const { content } = await chatgptProvider.generate("prompt", {
+            config,
+            model,
+            ...(chatgptProvider.supportsStructuredOutput(config, model)
+                ? { responseSchema: {} }
+                : {}),
+        });
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.model).toBe("gpt-3.5-turbo");
+        expect(body).not.toHaveProperty("response_format");
+        expect(content).toBe("Title\nBody");
+    });
+});
+
+describe("generateMergeRequestWithChatGPT", () => {
+    test("requires a token for api.openai.com and leaves model checks to the API", async () => {
+        await expect(generateMergeRequestWithChatGPT("", "p", "gpt-4o")).rejects.toThrow(
+            "OpenAI token is required"
+        );
+        mockCompletion("Title\nBody");
+        await generateMergeRequestWithChatGPT("sk", "p", "ft:gpt-4o-mini:acme::abc123");
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).model).toBe(
+            "ft:gpt-4o-mini:acme::abc123"
+        );
+    });
+
+    test("sends arbitrary models to a custom endpoint without auth", async () => {
+        mockCompletion("Title\nBody");
+        const out = await generateMergeRequestWithChatGPT(undefined, "prompt", "llama3.1", {
+            baseUrl: "http://localhost:11434/v1",
+        });
+        expect(out).toBe("Title\nBody");
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toBe("http://localhost:11434/v1/chat/completions");
+        expect(init.headers.Authorization).toBeUndefined();
+        expect(JSON.parse(init.body).model).toBe("llama3.1");
+    });
+
+    test("sends default sampling parameters and system prompt", async () => {
+        mockCompletion("Title\nBody");
+        await generateMergeRequestWithChatGPT("sk", "prompt", "gpt-4o");
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.temperature).toBe(0.7);
+        expect(body.max_tokens).toBe(1024);
+        expect(body.top_p).toBeUndefined();
+        expect(body.messages[0]).toEqual(
+            expect.objectContaining({ role: "system", content: expect.stringContaining("merge") })
+        );
+    });
+
+    test("sends configured sampling parameters and system prompt", async () => {
+        mockCompletion("Title\nBody");
+        await generateMergeRequestWithChatGPT("sk", "prompt", "gpt-4o", {
+            temperature: 0,
+            maxTokens: 4096,
+            topP: 0.9,
+            systemPrompt: "Write in the team's house style.",
+        });
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.temperature).toBe(0);
+        expect(body.max_tokens).toBe(4096);
+        expect(body.top_p).toBe(0.9);
+        expect(body.messages[0].content).toBe("Write in the team's house style.");
+    });
+
+    test("sends max_completion_tokens and no sampling parameters to reasoning models", async () => {
+        for (const model of ["o3-mini", "o1", "gpt-5", "ft:o4-mini:acme"]) {
+            global.fetch.mockReset();
+            mockCompletion("Title\nBody");
+            await generateMergeRequestWithChatGPT("sk", "prompt", model, {
+                temperature: 0.2,
+                maxTokens: 4096,
+                topP: 0.9,
+            });
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body.max_completion_tokens).toBe(4096);
+            expect(body).not.toHaveProperty("max_tokens");
+            expect(body).not.toHaveProperty("temperature");
+            expect(body).not.toHaveProperty("top_p");
+        }
+        expect(isReasoningModel("gpt-5-chat-latest")).toBe(false);
+        expect(isReasoningModel("gpt-4o")).toBe(false);
+    });
+
+    test("sends earlier conversation turns between the system prompt and the prompt", async () => {
+        mockCompletion("Title\nBody");
+        const history = [
+            { role: "user", content: "first prompt" },
+            { role: "assistant", content: "First title\nFirst body" },
+        ];
+        await generateMergeRequestWithChatGPT("sk", "make it shorter", "gpt-4o", { history });
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.messages.map(({ role }) => role)).toEqual([
+            "system",
+            "user",
+            "assistant",
+            "user",
+        ]);
+        expect(body.messages.slice(1)).toEqual([
+            ...history,
+            { role: "user", content: "make it shorter" },
+        ]);
+    });
+
+    test("retries rate-limited requests before returning the completion", async () => {
+        global.fetch
+            .mockResolvedValueOnce({
+                ok: false,
+                status: 429,
+                headers: { get: (name) => (name === "retry-after" ? "0" : null) },
+                text: async () => "rate limited",
+            })
+            .mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: async () => ({ choices: [{ message: { content: "Title\nBody" } }] }),
+            });
+        const onRetry = jest.fn();
+        const out = await generateMergeRequestWithChatGPT("sk", "prompt", "gpt-4o", {
+            retry: { onRetry },
+        });
+        expect(out).toBe("Title\nBody");
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ reason: "429" }));
+    });
+
+    test("reports token usage from the response", async () => {
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            json: async () => ({
+                choices: [{ message: { content: "Title\nBody" } }],
+                usage: { prompt_tokens: 120, completion_tokens: 30 },
+            }),
+        });
+        const onUsage = jest.fn();
+        await generateMergeRequestWithChatGPT("sk", "prompt", "gpt-4o", { onUsage });
+        expect(onUsage).toHaveBeenCalledWith({ promptTokens: 120, completionTokens: 30 });
+    });
+
+    test("streams deltas to onToken and returns the same content as non-streaming", async () => {
+        const encoder = new TextEncoder();
+        const chunks = [
+            'data: {"choices":[{"delta":{"content":"Add login"}}]}\n\ndata: {"choi',
+            'ces":[{"delta":{"content":"\\nBody"}}]}\n\n',
+            'data: {"choices":[],"usage":{"prompt_tokens":50,"completion_tokens":5}}\n\n',
+            "data: [DONE]\n\n",
+        ].map((c) => encoder.encode(c));
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            body: (async function* () {
+                yield* chunks;
+            })(),
+        });
+        const tokens = [];
+        const onUsage = jest.fn();
+        const out = await generateMergeRequestWithChatGPT("sk", "prompt", "gpt-4o", {
+            onToken: (t) => tokens.push(t),
+            onUsage,
+        });
+        expect(tokens).toEqual(["Add login", "\nBody"]);
+        expect(out).toBe("Add login\nBody");
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.stream).toBe(true);
+        expect(body.stream_options).toEqual({ include_usage: true });
+        expect(onUsage).toHaveBeenCalledWith({ promptTokens: 50, completionTokens: 5 });
+    });
+});
+
+describe("fetchChatGPTModels", () => {
+    const mockModels = (ids) => {
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            json: async () => ({ data: ids.map((id) => ({ id, object: "model" })) }),
+        });
+    };
+
+    test("lists only chat models on api.openai.com", async () => {
+        mockModels([
+            "gpt-4o",
+            "gpt-5",
+            "o3-mini",
+            "ft:gpt-4o-mini:acme::abc123",
+            "text-embedding-3-small",
+            "whisper-1",
+            "gpt-4o-realtime-preview",
+            "dall-e-3",
+        ]);
+        const models = await fetchChatGPTModels({ openaiToken: "sk" });
+        expect(models).toEqual(["gpt-4o", "gpt-5", "o3-mini", "ft:gpt-4o-mini:acme::abc123"]);
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toBe("https://api.openai.com/v1/models");
+        expect(init.headers.Authorization).toBe("Bearer sk");
+    });
+
+    test("lists every model of a custom endpoint", async () => {
+        mockModels(["llama3.1", "qwen2.5-coder"]);
+        const models = await fetchChatGPTModels({ openaiBaseUrl: "http://localhost:11434/v1" });
+        expect(models).toEqual(["llama3.1", "qwen2.5-coder"]);
+    });
+
+    test("fails without a token or on API errors", async () => {
+        await expect(fetchChatGPTModels({})).rejects.toThrow("no OpenAI token configured");
+        global.fetch.mockResolvedValue({ ok: false, status: 401, text: async () => "bad key" });
+        await expect(fetchChatGPTModels({ openaiToken: "sk" })).rejects.toThrow(
+            "models endpoint answered 401"
+        );
+    });
+});
@@ -0,0 +1,187 @@
+import { beforeEach, describe, expect, jest, test } from "@jest/globals";
+import { TextEncoder } from "util";
+import { isFallbackError } from "../ai/errors.mjs";
+import { generateMergeRequestWithClaude, isClaudeModel } from "../ai/claude.mjs";
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    global.fetch = jest.fn();
+});
+
+const mockMessage = (text) => {
+    global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ content: [{ type: "text", text }] }),
+        text: async () => text,
+    });
+};
+
+describe("generateMergeRequestWithClaude", () => {
+    test("requires an Anthropic token", async () => {
+        await expect(generateMergeRequestWithClaude("", "prompt")).rejects.toThrow(
+            "Anthropic token is required"
+        );
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test("posts to the Messages API with the system prompt, max_tokens and auth headers", async () => {
+        mockMessage("Title\nBody");
+        await generateMergeRequestWithClaude("sk-ant", "prompt", "claude-sonnet-4-5");
+
+        const [url, request] = global.fetch.mock.calls[0];
+        expect(url).toBe("https://api.anthropic.com/v1/messages");
+        expect(request.method).toBe("POST");
+        expect(request.headers).toEqual({
+            "x-api-key": "sk-ant",
+            "anthropic-version": "2023-06-01",
+            "Content-Type": "application/json",
+        });
+        const body = JSON.parse(request.body);
+        expect(body.model).toBe("claude-sonnet-4-5");
+        expect(body.system).toEqual(expect.stringContaining("merge request"));
+        expect(body.messages).toEqual([{ role: "user", content: "prompt" }]);
+        expect(body.max_tokens).toBe(1024);
+        expect(body).not.toHaveProperty("stream");
+        expect(body).not.toHaveProperty("tools");
+    });
+
+    test("joins the text blocks of the response and reports usage", async () => {
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            json: async () => ({
+                content: [
+                    { type: "text", text: "Add login\n" },
+                    { type: "text", text: "Body  " },
+                ],
+                usage: { input_tokens: 120, output_tokens: 30 },
+            }),
+        });
+        const onUsage = jest.fn();
+
+        const out = await generateMergeRequestWithClaude("sk-ant", "prompt", undefined, {
+            onUsage,
+        });
+
+        expect(out).toBe("Add login\nBody");
+        expect(onUsage).toHaveBeenCalledWith({ promptTokens: 120, completionTokens: 30 });
+    });
+
+    test("requests structured output through a forced tool and returns its input", async () => {
+        const input = { title: "T", description: "D", labels: [] };
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            json: async () => ({
+                content: [{ type: "tool_use", name: "submit_merge_request", input }],
+            }),
+        });
+        const responseSchema = { type: "object" };
+
+        const out = await generateMergeRequestWithClaude("sk-ant", "prompt", undefined, {
+            responseSchema,
+        });
+
+        expect(JSON.parse(out)).toEqual(input);
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.tools).toEqual([
+            expect.objectContaining({ name: "submit_merge_request", input_schema: responseSchema }),
+        ]);
+        expect(body.tool_choice).toEqual({ type: "tool", name: "submit_merge_request" });
+    });
+
+    test("fails when the response has no content", async () => {
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            json: async () => ({ content: [] }),
+        });
+        await expect(generateMergeRequestWithClaude("sk-ant", "prompt")).rejects.toThrow(
+            "Failed to generate merge request with Claude: No response generated from Claude"
+        );
+    });
+
+    test("maps API errors to errors with status and code", async () => {
+        const errorBody = JSON.stringify({
+            type: "error",
+            error: { type: "not_found_error", message: "model: claude-x" },
+        });
+        global.fetch.mockResolvedValue({
+            ok: false,
+            status: 404,
+            headers: { get: () => null },
+            text: async () => errorBody,
+        });
+
+        const error = await generateMergeRequestWithClaude("sk-ant", "prompt", "claude-x").catch(
+            (caught) => caught
+        );
+
+        expect(error.message).toBe(
+            `Failed to generate merge request with Claude: Anthropic API error (404): ${errorBody}`
+        );
+        expect(error.status).toBe(404);
+        expect(error.code).toBe("not_found_error");
+        expect(isFallbackError(error)).toBe(true);
+    });
+
+    test("streams text deltas to onToken and reports usage", async () => {
+        const encoder = new TextEncoder();
+        const chunks = [
+            'event: message_start\ndata: {"message":{"usage":{"input_tokens":50}}}\n\n',
+            'event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"Add login"}}\n\n',
+            'event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"\\nBody"}}\n\n',
+            'event: message_delta\ndata: {"usage":{"output_tokens":5}}\n\n',
+            "event: message_stop\ndata: {}\n\n",
+        ].map((chunk) => encoder.encode(chunk));
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            body: (async function* () {
+                yield* chunks;
+            })(),
+        });
+        const tokens = [];
+        const onUsage = jest.fn();
+
+        const out = await generateMergeRequestWithClaude("sk-ant", "prompt", undefined, {
+            onToken: (token) => tokens.push(token),
+            onUsage,
+        });
+
+        expect(tokens).toEqual(["Add login", "\nBody"]);
+        expect(out).toBe("Add login\nBody");
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+        expect(onUsage).toHaveBeenCalledWith({ promptTokens: 50, completionTokens: 5 });
+    });
+
+    test("sends the temperature when top_p is not set", async () => {
+        mockMessage("Title\nBody");
+        await generateMergeRequestWithClaude("sk-ant", "prompt", "claude-sonnet-4-5", {
+            temperature: 0.2,
+        });
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.temperature).toBe(0.2);
+        expect(body).not.toHaveProperty("top_p");
+    });
+
+    test("sends top_p instead of the temperature when it is set", async () => {
+        mockMessage("Title\nBody");
+        await generateMergeRequestWithClaude("sk-ant", "prompt", "claude-sonnet-4-5", {
+            temperature: 0.2,
+            topP: 0.9,
+        });
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.top_p).toBe(0.9);
+        expect(body).not.toHaveProperty("temperature");
+    });
+});
+
+describe("isClaudeModel", () => {
+    test("routes Claude model names", () => {
+        expect(isClaudeModel("claude-sonnet-4-5")).toBe(true);
+        expect(isClaudeModel(" Claude-3-7-sonnet-latest ")).toBe(true);
+        expect(isClaudeModel("gpt-4o")).toBe(false);
+    });
+});
@@ -4,7 +4,12 @@ describe("handleCommonCliFlags", () => {
     let handleCommonCliFlags;
     let createAiTokenMock;
     let setChatGPTModelMock;
+    let setClaudeModelMock;
+    let setDefaultAiProviderMock;
     let showCurrentConfigMock;
+    let clearAiCacheMock;
+    let chatgptProvider;
+    let claudeProvider;
 
     beforeEach(async () => {
         jest.resetModules();
@@ -12,21 +17,49 @@ describe("handleCommonCliFlags", () => {
         // Mock the dependencies
         createAiTokenMock = jest.fn().mockResolvedValue(undefined);
         setChatGPTModelMock = jest.fn().mockResolvedValue(undefined);
+        setClaudeModelMock = jest.fn().mockResolvedValue(undefined);
         showCurrentConfigMock = jest.fn().mockResolvedValue(undefined);
 
         jest.doMock("../ai/create-ai-token.mjs", () => ({
             createAiToken: createAiTokenMock,
         }));
 
-        jest.doMock("../ai/chatgpt.mjs", () => ({
-            setChatGPTModel: setChatGPTModelMock,
-            CHATGPT_MODELS: ["gpt-4o", "gpt-4o-mini"],
+        setDefaultAiProviderMock = jest.fn().mockResolvedValue(undefined);
+        chatgptProvider = {
+            name: "ChatGPT",
+            setModel: setChatGPTModelMock,
+            listModels: jest.fn(async () => ["gpt-4o", "gpt-4o-mini"]),
+            ownsModel: (name) => String(name).startsWith("gpt"),
+            getModel: () => "gpt-4o",
+        };
+        claudeProvider = {
+            name: "Claude",
+            setModel: setClaudeModelMock,
+            listModels: jest.fn(async () => ["claude-sonnet-4-5"]),
+            ownsModel: (name) => String(name).toLowerCase().startsWith("claude"),
+            getModel: () => "claude-sonnet-4-5",
+        };
+        jest.doMock("../ai/providers.mjs", () => ({
+            findProviderForModel: (name, fallback) =>
+                [chatgptProvider, claudeProvider].find((p) => p.ownsModel(name)) ||
+                (fallback === "Claude" ? claudeProvider : chatgptProvider),
+            getAiProvider: (name) =>
+                name.toLowerCase() === "claude" ? claudeProvider : chatgptProvider,
+            resolveAiProviderName: (config) => config.aiProvider || "ChatGPT",
+            setDefaultAiProvider: setDefaultAiProviderMock,
         }));
 
         jest.doMock("../config/common.mjs", () => ({
+            getConfig: jest.fn().mockResolvedValue({}),
             showCurrentConfig: showCurrentConfigMock,
         }));
 
+        clearAiCacheMock = jest.fn().mockResolvedValue(3);
+        jest.doMock("../ai/cache.mjs", () => ({
+            clearAiCache: clearAiCacheMock,
+            getCacheDir: () => "/repo/.gen-mr/cache",
+        }));
+
         jest.doMock("../config/editor-config.mjs", () => ({
             configureEditor: jest.fn().mockResolvedValue(undefined),
         }));
@@ -82,6 +115,37 @@ describe("handleCommonCliFlags", () => {
         expect(setChatGPTModelMock).toHaveBeenCalledWith("gpt-4o", undefined);
     });
 
+    test("routes Claude models in --use-model to the Claude provider", async () => {
+        const handled = await handleCommonCliFlags({
+            argv: { "use-model": "claude-sonnet-4-5", global: true },
+            toolName: "gen-mr",
+            include: ["use-model"],
+        });
+        expect(handled).toBe(true);
+        expect(setClaudeModelMock).toHaveBeenCalledWith("claude-sonnet-4-5", true);
+        expect(setChatGPTModelMock).not.toHaveBeenCalled();
+    });
+
+    test("sends models no provider claims to the active provider", async () => {
+        const handled = await handleCommonCliFlags({
+            argv: { "use-model": "llama3.1" },
+            toolName: "gen-pr",
+            include: ["use-model"],
+        });
+        expect(handled).toBe(true);
+        expect(setChatGPTModelMock).toHaveBeenCalledWith("llama3.1", undefined);
+    });
+
+    test("handles --use-provider", async () => {
+        const handled = await handleCommonCliFlags({
+            argv: { "use-provider": "Claude", g: true },
+            toolName: "gen-pr",
+            include: ["use-provider"],
+        });
+        expect(handled).toBe(true);
+        expect(setDefaultAiProviderMock).toHaveBeenCalledWith("Claude", true);
+    });
+
     test("handles --show-config", async () => {
         const handled = await handleCommonCliFlags({
             argv: { "show-config": true, global: true },
@@ -92,6 +156,38 @@ describe("handleCommonCliFlags", () => {
         expect(showCurrentConfigMock).toHaveBeenCalledWith(true, "gen-pr");
     });
 
+    test("handles --clear-cache", async () => {
+        const log = jest.spyOn(console, "log").mockImplementation(() => {
+            return;
+        });
+        const handled = await handleCommonCliFlags({
+            argv: { "clear-cache": true },
+            toolName: "gen-pr",
+        });
+        expect(handled).toBe(true);
+        expect(clearAiCacheMock).toHaveBeenCalledTimes(1);
+        expect(log).toHaveBeenCalledWith(
+            "🧹 Removed 3 cached AI response(s) from /repo/.gen-mr/cache"
+        );
+        log.mockRestore();
+    });
+
+    test("handles --list-models for the active or the given provider", async () => {
+        const log = jest.spyOn(console, "log").mockImplementation(() => {
+            return;
+        });
+        expect(
+            await handleCommonCliFlags({ argv: { "list-models": true }, toolName: "gen-pr" })
+        ).toBe(true);
+        expect(chatgptProvider.listModels).toHaveBeenCalledWith({}, { refresh: true });
+        expect(log).toHaveBeenCalledWith("  • gpt-4o");
+        expect(log).toHaveBeenCalledWith("    gpt-4o-mini");
+
+        await handleCommonCliFlags({ argv: { "list-models": "Claude" }, toolName: "gen-pr" });
+        expect(claudeProvider.listModels).toHaveBeenCalledTimes(1);
+        log.mockRestore();
+    });
+
     test("respects include order (first flag wins)", async () => {
         const handled = await handleCommonCliFlags({
             argv: { "use-model": "gpt-4o", "show-config": true },
@@ -112,3 +208,68 @@ describe("handleCommonCliFlags", () => {
         expect(handled).toBe(false);
     });
 });
+
+describe("getCliConfigOverrides", () => {
+    test("maps --stream / --no-stream to aiStream", async () => {
+        const { getCliConfigOverrides } = await import("../cli/common-cli-flags.mjs");
+        expect(getCliConfigOverrides({ _: [] })).toEqual({});
+        expect(getCliConfigOverrides({ stream: false })).toEqual({ aiStream: false });
+        expect(getCliConfigOverrides({ stream: true })).toEqual({ aiStream: true });
+    });
+
+    test("maps --diff-mode to aiDiffMode and rejects unknown modes", async () => {
+        const { getCliConfigOverrides } = await import("../cli/common-cli-flags.mjs");
+        expect(getCliConfigOverrides({ "diff-mode": "Summarize" })).toEqual({
+            aiDiffMode: "summarize",
+        });
+        expect(getCliConfigOverrides({ cache: false })).toEqual({ aiCache: false });
+        expect(() => getCliConfigOverrides({ "diff-mode": "fast" })).toThrow(
+            "Unsupported diff mode 'fast'"
+        );
+    });
+
+    test("maps sampling parameters and the system prompt", async () => {
+        const { getCliConfigOverrides } = await import("../cli/common-cli-flags.mjs");
+        expect(
+            getCliConfigOverrides({ temperature: 0, "max-tokens": 4096, "top-p": "0.9" })
+        ).toEqual({ aiTemperature: 0, aiMaxTokens: 4096, aiTopP: 0.9 });
+        expect(getCliConfigOverrides({ "system-prompt": "Be terse." })).toEqual({
+            aiSystemPrompt: "Be terse.",
+            aiSystemPromptFile: undefined,
+        });
+        expect(getCliConfigOverrides({ "system-prompt-file": "prompts/system.md" })).toEqual({
+            aiSystemPrompt: undefined,
+            aiSystemPromptFile: "prompts/system.md",
+        });
+        expect(getCliConfigOverrides({ candidates: 3 })).toEqual({ aiCandidates: 3 });
+        expect(() => getCliConfigOverrides({ candidates: 9 })).toThrow("Invalid --candidates '9'");
+        expect(() => getCliConfigOverrides({ temperature: 5 })).toThrow(
+            "Invalid --temperature '5'"
+        );
+        expect(() => getCliConfigOverrides({ "system-prompt": true })).toThrow(
+            "--system-prompt requires a value"
+        );
+    });
+
+    test("maps the output language options", async () => {
+        const { getCliConfigOverrides } = await import("../cli/common-cli-flags.mjs");
+        expect(getCliConfigOverrides({ lang: "de", bilingual: " en " })).toEqual({
+            aiLanguage: "de",
+            aiBilingual: "en",
+        });
+        expect(() => getCliConfigOverrides({ lang: true })).toThrow("--lang requires a value");
+        expect(() => getCliConfigOverrides({ bilingual: "" })).toThrow(
+            "--bilingual requires a value"
+        );
+    });
+
+    test("maps --template to the prompt template", async () => {
+        const { getCliConfigOverrides } = await import("../cli/common-cli-flags.mjs");
+        expect(getCliConfigOverrides({ template: "short" })).toEqual({
+            aiPromptTemplate: "short",
+        });
+        expect(() => getCliConfigOverrides({ template: true })).toThrow(
+            "--template requires a value"
+        );
+    });
+});
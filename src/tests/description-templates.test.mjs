@@ -0,0 +1,75 @@
+import { afterEach, beforeEach, describe, expect, test } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    findDescriptionTemplateByName,
+    findDescriptionTemplates,
+} from "../config/description-templates.mjs";
+
+describe("description templates", () => {
+    let repoDir;
+
+    beforeEach(() => {
+        repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-mr-description-templates-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(repoDir, { recursive: true, force: true });
+    });
+
+    const writeFile = (relativePath, content) => {
+        fs.mkdirSync(path.dirname(path.join(repoDir, relativePath)), { recursive: true });
+        fs.writeFileSync(path.join(repoDir, relativePath), content);
+    };
+
+    test("finds nothing in a repository without templates", async () => {
+        expect(await findDescriptionTemplates("github", repoDir)).toEqual([]);
+        expect(await findDescriptionTemplates("gitlab", repoDir)).toEqual([]);
+    });
+
+    test("finds GitHub's single template and template directory, ignoring case", async () => {
+        writeFile(".github/PULL_REQUEST_TEMPLATE.md", "## Checklist\n- [ ] Tests");
+        writeFile(".github/pull_request_template/feature.md", "## Why");
+        writeFile(".github/pull_request_template/bugfix.md", "## Bug");
+        writeFile(".github/pull_request_template/notes.txt", "not a template");
+        writeFile(".gitlab/merge_request_templates/Default.md", "## GitLab");
+
+        const templates = await findDescriptionTemplates("github", repoDir);
+
+        expect(templates.map(({ path: templatePath }) => templatePath)).toEqual([
+            ".github/PULL_REQUEST_TEMPLATE.md",
+            ".github/pull_request_template/bugfix.md",
+            ".github/pull_request_template/feature.md",
+        ]);
+        expect(templates[0]).toEqual({
+            name: "PULL_REQUEST_TEMPLATE",
+            path: ".github/PULL_REQUEST_TEMPLATE.md",
+            content: "## Checklist\n- [ ] Tests",
+        });
+    });
+
+    test("lists GitLab's Default template first and skips empty files", async () => {
+        writeFile(".gitlab/merge_request_templates/Bug.md", "## Bug");
+        writeFile(".gitlab/merge_request_templates/Default.md", "## Summary");
+        writeFile(".gitlab/merge_request_templates/Empty.md", "  \n");
+
+        const templates = await findDescriptionTemplates("gitlab", repoDir);
+
+        expect(templates.map(({ name }) => name)).toEqual(["Default", "Bug"]);
+    });
+
+    test("finds templates by name or path", () => {
+        const templates = [
+            { name: "Default", path: ".gitlab/merge_request_templates/Default.md" },
+            { name: "Bug", path: ".gitlab/merge_request_templates/Bug.md" },
+        ];
+
+        expect(findDescriptionTemplateByName(templates, "bug")).toBe(templates[1]);
+        expect(findDescriptionTemplateByName(templates, "Bug.md")).toBe(templates[1]);
+        expect(
+            findDescriptionTemplateByName(templates, ".gitlab/merge_request_templates/Default.md")
+        ).toBe(templates[0]);
+        expect(findDescriptionTemplateByName(templates, "feature")).toBeUndefined();
+    });
+});
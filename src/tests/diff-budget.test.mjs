@@ -0,0 +1,106 @@
+import { describe, expect, test } from "@jest/globals";
+import { fitDiffToBudget, getDiffFileKind } from "../utils/diff-budget.mjs";
+
+const fileDiff = (file, hunks = 1, linesPerHunk = 3) =>
+    [
+        `diff --git a/${file} b/${file}`,
+        `--- a/${file}`,
+        `+++ b/${file}`,
+        ...Array.from({ length: hunks }, (_, h) => [
+            `@@ -${h * 100 + 1},${linesPerHunk} +${h * 100 + 1},${linesPerHunk} @@ function f${h}()`,
+            ...Array.from({ length: linesPerHunk }, (_, i) =>
+                i % 2 === 0 ? `+${file} ${h}.${i}` : `-${file} ${h}.${i}`
+            ),
+        ]).flat(),
+    ].join("\n");
+
+describe("diff budget", () => {
+    test("getDiffFileKind tells source, tests and configuration apart", () => {
+        expect(getDiffFileKind("src/app.mjs")).toBe("source");
+        expect(getDiffFileKind("src/tests/app.test.mjs")).toBe("test");
+        expect(getDiffFileKind("__tests__/app.js")).toBe("test");
+        expect(getDiffFileKind("pkg/app_test.go")).toBe("test");
+        expect(getDiffFileKind("package.json")).toBe("config");
+        expect(getDiffFileKind(".github/workflows/ci.yml")).toBe("config");
+        expect(getDiffFileKind(".eslintrc")).toBe("config");
+        expect(getDiffFileKind("README.md")).toBe("config");
+    });
+
+    test("returns a diff that fits unchanged", () => {
+        const diff = [fileDiff("a.js"), fileDiff("b.js")].join("\n");
+
+        expect(fitDiffToBudget(diff, { limit: 100 })).toEqual({
+            text: diff,
+            shownLines: 14,
+            totalLines: 14,
+        });
+    });
+
+    test("keeps every file and hunk header and summarizes dropped hunks", () => {
+        const diff = [fileDiff("a/big.js", 4, 50), fileDiff("z/late.js", 2, 4)].join("\n");
+
+        const { text, shownLines, totalLines } = fitDiffToBudget(diff, { limit: 60 });
+        const lines = text.split("\n");
+
+        expect(lines.length).toBeLessThanOrEqual(60);
+        expect(totalLines).toBe(diff.split("\n").length);
+        expect(shownLines).toBeLessThan(totalLines);
+        // The late, small file is shown in full although the first file alone exceeds the limit
+        expect(text).toContain(fileDiff("z/late.js", 2, 4));
+        [0, 1, 2, 3].forEach((h) => expect(text).toContain(`function f${h}()`));
+        expect(text).toContain("... (hunk omitted: +25/-25)");
+    });
+
+    test("gives source files priority over tests and configuration", () => {
+        const diff = [
+            fileDiff("package.json", 1, 20),
+            fileDiff("src/app.test.js", 1, 20),
+            fileDiff("src/app.js", 1, 20),
+        ].join("\n");
+
+        const { text } = fitDiffToBudget(diff, { limit: 40 });
+
+        expect(text).toContain(fileDiff("src/app.js", 1, 20));
+        expect(text).toContain("... (hunk omitted: +10/-10)");
+        expect(text.indexOf("package.json")).toBeLessThan(text.indexOf("src/app.js"));
+    });
+
+    test("shows the first lines of a hunk when no whole hunk fits", () => {
+        const diff = fileDiff("src/one.js", 1, 100);
+
+        const { text } = fitDiffToBudget(diff, { limit: 20 });
+        const lines = text.split("\n");
+
+        expect(lines.slice(0, 5)).toEqual(diff.split("\n").slice(0, 5));
+        expect(lines.at(-1)).toMatch(/^\.\.\. \(rest of hunk omitted: \+\d+\/-\d+\)$/);
+        expect(lines.length).toBeLessThanOrEqual(20);
+    });
+
+    test("collapses files and counts the ones that do not fit at all", () => {
+        const diff = Array.from({ length: 30 }, (_, i) => fileDiff(`src/f${i}.js`, 2, 4)).join(
+            "\n"
+        );
+
+        const { text } = fitDiffToBudget(diff, { limit: 30 });
+        const lines = text.split("\n");
+
+        expect(lines.length).toBeLessThanOrEqual(30);
+        expect(lines.slice(0, 2)).toEqual([
+            "diff --git a/src/f0.js b/src/f0.js",
+            "... (2 hunk(s) omitted: +4/-4)",
+        ]);
+        expect(lines.at(-1)).toMatch(/^\.\.\. \(\d+ more file\(s\) omitted: \+\d+\/-\d+\)$/);
+    });
+
+    test("measures the budget with a custom line cost", () => {
+        const diff = [fileDiff("a.js", 3, 10), fileDiff("b.js", 3, 10)].join("\n");
+        const lineCost = (line) => Math.ceil((line.length + 1) / 4);
+
+        const { text } = fitDiffToBudget(diff, { limit: 150, lineCost });
+
+        expect(text.split("\n").reduce((sum, line) => sum + lineCost(line), 0)).toBeLessThanOrEqual(
+            150
+        );
+        expect(text).toContain("diff --git a/b.js b/b.js");
+    });
+});
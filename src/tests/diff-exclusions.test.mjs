@@ -0,0 +1,143 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    filterDiffByExclusions,
+    formatExcludedFiles,
+    GITATTRIBUTES_FILE,
+    isDiffExcluded,
+    loadDiffExclusions,
+    parseGitAttributes,
+} from "../config/diff-exclusions.mjs";
+
+const fileDiff = (file, lines) =>
+    [
+        `diff --git a/${file} b/${file}`,
+        `--- a/${file}`,
+        `+++ b/${file}`,
+        "@@ -1,1 +1,1 @@",
+        ...lines,
+    ].join("\n");
+
+describe("diff exclusions", () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-mr-diff-exclusions-"));
+        jest.spyOn(process, "cwd").mockReturnValue(tmpDir);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe("loadDiffExclusions", () => {
+        test("excludes lockfiles, bundles, snapshots and vendored code by default", async () => {
+            const exclusions = await loadDiffExclusions({});
+
+            [
+                "package-lock.json",
+                "web/yarn.lock",
+                "dist/app.min.js",
+                "src/__snapshots__/app.test.js.snap",
+                "vendor/lib/x.go",
+            ].forEach((file) => expect(isDiffExcluded(exclusions, file)).toBe(true));
+            ["src/app.js", "package.json", "docs/vendor.md"].forEach((file) =>
+                expect(isDiffExcluded(exclusions, file)).toBe(false)
+            );
+        });
+
+        test("applies .gitattributes, then config; the last matching rule wins", async () => {
+            fs.writeFileSync(
+                path.join(tmpDir, GITATTRIBUTES_FILE),
+                [
+                    "# generated code",
+                    "src/gen/** linguist-generated=true",
+                    "*.pb.go linguist-generated",
+                    "data/*.csv -diff",
+                    "vendor/patched/** linguist-vendored=false",
+                    "*.sh text eol=lf",
+                ].join("\n")
+            );
+
+            const exclusions = await loadDiffExclusions({
+                diffExclude: ["*.generated.ts", "!yarn.lock"],
+            });
+
+            expect(isDiffExcluded(exclusions, "src/gen/api.ts")).toBe(true);
+            expect(isDiffExcluded(exclusions, "proto/user.pb.go")).toBe(true);
+            expect(isDiffExcluded(exclusions, "data/users.csv")).toBe(true);
+            expect(isDiffExcluded(exclusions, "src/types.generated.ts")).toBe(true);
+            expect(isDiffExcluded(exclusions, "vendor/patched/fix.c")).toBe(false);
+            expect(isDiffExcluded(exclusions, "yarn.lock")).toBe(false);
+            expect(isDiffExcluded(exclusions, "scripts/build.sh")).toBe(false);
+        });
+
+        test("drops the defaults when diffExcludeDefaults is false", async () => {
+            const exclusions = await loadDiffExclusions({
+                diffExcludeDefaults: false,
+                diffExclude: ["*.snap"],
+            });
+
+            expect(isDiffExcluded(exclusions, "package-lock.json")).toBe(false);
+            expect(isDiffExcluded(exclusions, "a.test.js.snap")).toBe(true);
+        });
+
+        test("rejects a diffExclude that is not a list of globs", async () => {
+            await expect(loadDiffExclusions({ diffExclude: "*.lock" })).rejects.toThrow(
+                '"diffExclude" must be a list of globs'
+            );
+        });
+    });
+
+    test("parseGitAttributes reads generated, vendored, -diff and binary attributes", () => {
+        expect(
+            parseGitAttributes(
+                "a.js linguist-generated\nb/ -linguist-generated\n*.png binary\nc.txt -diff\n[attr]x -diff"
+            )
+        ).toEqual([
+            { glob: "a.js", exclude: true },
+            { glob: "b/", exclude: false },
+            { glob: "*.png", exclude: true },
+            { glob: "c.txt", exclude: true },
+        ]);
+    });
+
+    test("filterDiffByExclusions removes excluded files and counts their lines", async () => {
+        const exclusions = await loadDiffExclusions({});
+        const diff = [
+            fileDiff("src/app.js", ["-old", "+new"]),
+            fileDiff("package-lock.json", ["-a", "-b", "+c", " unchanged"]),
+            "diff --git a/logo.min.js b/logo.min.js\nBinary files a/logo.min.js and b/logo.min.js differ",
+        ].join("\n");
+
+        const result = filterDiffByExclusions(exclusions, diff);
+
+        expect(result.diff).toBe(fileDiff("src/app.js", ["-old", "+new"]));
+        expect(result.excluded).toEqual([
+            { file: "package-lock.json", added: 1, removed: 2, binary: false },
+            { file: "logo.min.js", added: 0, removed: 0, binary: true },
+        ]);
+        expect(formatExcludedFiles(result.excluded)).toBe(
+            "Changed but left out of the diff (lockfiles, generated or vendored files):\n- package-lock.json (+1/-2 lines)\n- logo.min.js (binary)"
+        );
+    });
+
+    test("formatExcludedFiles lists at most 20 files", () => {
+        const excluded = Array.from({ length: 25 }, (_, i) => ({
+            file: `vendor/lib${i}.js`,
+            added: 1,
+            removed: 0,
+            binary: false,
+        }));
+
+        const note = formatExcludedFiles(excluded);
+
+        expect(note).toContain("- vendor/lib19.js (+1/-0 lines)");
+        expect(note).not.toContain("vendor/lib20.js");
+        expect(note).toContain("- ... (5 more files)");
+        expect(formatExcludedFiles([])).toBe("");
+    });
+});
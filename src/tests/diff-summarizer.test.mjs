@@ -0,0 +1,102 @@
+import { describe, test, expect, jest } from "@jest/globals";
+import { chunkDiff, summarizeDiff, buildChunkSummaryPrompt } from "../ai/diff-summarizer.mjs";
+import { splitDiffByFile, splitFileDiffIntoHunks } from "../utils/diff.mjs";
+import { mapWithConcurrency } from "../utils/concurrency.mjs";
+
+const fileDiff = (file, hunks = 1, linesPerHunk = 3) =>
+    [
+        `diff --git a/${file} b/${file}`,
+        "index 111..222 100644",
+        `--- a/${file}`,
+        `+++ b/${file}`,
+        ...Array.from({ length: hunks }, (_, h) => [
+            `@@ -${h * 10 + 1},3 +${h * 10 + 1},3 @@`,
+            ...Array.from({ length: linesPerHunk }, (_, i) => `+${file} hunk ${h} line ${i}`),
+        ]).flat(),
+    ].join("\n");
+
+describe("diff utils", () => {
+    test("splitDiffByFile returns one entry per file", () => {
+        const diff = [fileDiff("src/a.js"), fileDiff("src/b.js")].join("\n");
+        const files = splitDiffByFile(diff);
+        expect(files.map((f) => f.file)).toEqual(["src/a.js", "src/b.js"]);
+        expect(files[1].text).toBe(fileDiff("src/b.js"));
+        expect(splitDiffByFile("")).toEqual([]);
+    });
+
+    test("splitFileDiffIntoHunks separates header and hunks", () => {
+        const { header, hunks } = splitFileDiffIntoHunks(fileDiff("a.js", 2));
+        expect(header.split("\n")).toHaveLength(4);
+        expect(hunks).toHaveLength(2);
+        expect(hunks[1].startsWith("@@ -11,3")).toBe(true);
+    });
+
+    test("mapWithConcurrency keeps order and bounds in-flight calls", async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await Promise.resolve();
+            inFlight--;
+            return n * 10;
+        });
+        expect(results).toEqual([10, 20, 30, 40, 50]);
+        expect(maxInFlight).toBe(2);
+    });
+});
+
+describe("chunkDiff", () => {
+    test("packs small files into one chunk", () => {
+        const diff = [fileDiff("a.js"), fileDiff("b.js")].join("\n");
+        const chunks = chunkDiff(diff, 1000, "gpt-4o");
+        expect(chunks).toHaveLength(1);
+        expect(chunks[0].files).toEqual(["a.js", "b.js"]);
+    });
+
+    test("splits large files by hunk and repeats the file header", () => {
+        const diff = [fileDiff("big.js", 6, 20), fileDiff("small.js")].join("\n");
+        const chunks = chunkDiff(diff, 300, "gpt-4o");
+        expect(chunks.length).toBeGreaterThan(2);
+        chunks
+            .filter((chunk) => chunk.files.includes("big.js"))
+            .forEach((chunk) => {
+                expect(chunk.text.startsWith("diff --git a/big.js b/big.js")).toBe(true);
+            });
+        const allText = chunks.map((chunk) => chunk.text).join("\n");
+        expect(allText).toContain("+big.js hunk 5 line 19");
+        expect(allText).toContain("+small.js hunk 0 line 2");
+    });
+});
+
+describe("summarizeDiff", () => {
+    test("summarizes every chunk and joins the results in order", async () => {
+        const generate = jest.fn(async (prompt) => ({
+            content: prompt.includes("part 1 of") ? "- a.js: first" : "- b.js: second",
+        }));
+        const provider = { generate };
+        const diff = [fileDiff("a.js", 4, 30), fileDiff("b.js", 4, 30)].join("\n");
+        const onProgress = jest.fn();
+
+        const { summary, chunks } = await summarizeDiff(provider, diff, {
+            config: { aiContextWindow: 2500 },
+            model: "gpt-4o",
+            concurrency: 2,
+            onProgress,
+        });
+
+        expect(chunks).toBeGreaterThan(1);
+        expect(generate).toHaveBeenCalledTimes(chunks);
+        expect(summary.split("\n")[0]).toBe("- a.js: first");
+        expect(onProgress).toHaveBeenLastCalledWith(chunks, chunks);
+        expect(generate.mock.calls[0][1]).toEqual(
+            expect.objectContaining({ model: "gpt-4o", config: { aiContextWindow: 2500 } })
+        );
+    });
+
+    test("chunk prompt includes the chunk position and diff", () => {
+        const prompt = buildChunkSummaryPrompt({ files: ["a.js"], text: "DIFF" }, 1, 3);
+        expect(prompt).toContain("part 2 of 3");
+        expect(prompt).toContain("```diff\nDIFF\n```");
+    });
+});
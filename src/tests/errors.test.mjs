@@ -0,0 +1,47 @@
+import { describe, test, expect } from "@jest/globals";
+import { createApiError, wrapApiError, isFallbackError } from "../ai/errors.mjs";
+
+describe("api errors", () => {
+    test("parses the error code from OpenAI and Anthropic bodies", () => {
+        const openai = createApiError("OpenAI API error (404)", {
+            status: 404,
+            body: JSON.stringify({ error: { code: "model_not_found", type: "invalid_request" } }),
+        });
+        expect(openai.status).toBe(404);
+        expect(openai.code).toBe("model_not_found");
+
+        const anthropic = createApiError("Claude API error (529)", {
+            status: 529,
+            body: JSON.stringify({ type: "error", error: { type: "overloaded_error" } }),
+        });
+        expect(anthropic.code).toBe("overloaded_error");
+
+        expect(createApiError("x", { status: 500, body: "<html>" }).code).toBeUndefined();
+    });
+
+    test("wrapping keeps status and code", () => {
+        const wrapped = wrapApiError(
+            "Failed: boom",
+            createApiError("boom", { status: 429, code: "insufficient_quota" })
+        );
+        expect(wrapped.message).toBe("Failed: boom");
+        expect(wrapped.status).toBe(429);
+        expect(wrapped.code).toBe("insufficient_quota");
+    });
+
+    test("decides which errors move on to the next model", () => {
+        expect(isFallbackError(createApiError("x", { code: "model_not_found" }))).toBe(true);
+        expect(isFallbackError(createApiError("x", { code: "context_length_exceeded" }))).toBe(
+            true
+        );
+        expect(isFallbackError(createApiError("x", { status: 503 }))).toBe(true);
+        expect(isFallbackError(createApiError("x", { code: "timeout" }))).toBe(true);
+        expect(
+            isFallbackError(createApiError("prompt is too long: 210000 tokens", { status: 400 }))
+        ).toBe(true);
+
+        expect(isFallbackError(createApiError("bad key", { status: 401 }))).toBe(false);
+        expect(isFallbackError(createApiError("bad request", { status: 400 }))).toBe(false);
+        expect(isFallbackError(new Error("plain"))).toBe(false);
+    });
+});
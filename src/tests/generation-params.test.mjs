@@ -0,0 +1,71 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    DEFAULT_SYSTEM_PROMPT,
+    getGenerationParams,
+    getSystemPrompt,
+    parseNumericParam,
+} from "../ai/generation-params.mjs";
+
+describe("generation parameters", () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-mr-params-"));
+        jest.spyOn(process, "cwd").mockReturnValue(tmpDir);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test("defaults match the previous hardcoded request", async () => {
+        expect(await getGenerationParams({})).toEqual({
+            temperature: 0.7,
+            maxTokens: 1024,
+            topP: undefined,
+            systemPrompt: DEFAULT_SYSTEM_PROMPT,
+        });
+    });
+
+    test("reads values from config, including numeric strings", async () => {
+        const params = await getGenerationParams({
+            aiTemperature: "0",
+            aiMaxTokens: 4096,
+            aiTopP: 0.5,
+            aiSystemPrompt: "Be terse.",
+        });
+        expect(params).toEqual({
+            temperature: 0,
+            maxTokens: 4096,
+            topP: 0.5,
+            systemPrompt: "Be terse.",
+        });
+    });
+
+    test("rejects out-of-range values", () => {
+        expect(() => parseNumericParam("3", "aiTemperature", { min: 0, max: 2 })).toThrow(
+            "Invalid aiTemperature '3'. Expected a number from 0 to 2."
+        );
+        expect(() =>
+            parseNumericParam("1.5", "aiMaxTokens", { min: 1, max: 10, integer: true })
+        ).toThrow("Expected a whole number");
+        expect(parseNumericParam(undefined, "aiTopP", { min: 0, max: 1 })).toBeUndefined();
+    });
+
+    test("reads the system prompt from a file relative to the current directory", async () => {
+        fs.writeFileSync(path.join(tmpDir, "system.md"), "Follow the team template.\n");
+        expect(await getSystemPrompt({ aiSystemPromptFile: "system.md" })).toBe(
+            "Follow the team template."
+        );
+        expect(
+            await getSystemPrompt({ aiSystemPrompt: "Inline", aiSystemPromptFile: "system.md" })
+        ).toBe("Inline");
+        await expect(getSystemPrompt({ aiSystemPromptFile: "missing.md" })).rejects.toThrow(
+            "Failed to read system prompt file"
+        );
+    });
+});
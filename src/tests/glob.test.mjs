@@ -0,0 +1,35 @@
+import { describe, expect, test } from "@jest/globals";
+import { globToRegExp, matchesAnyGlob } from "../utils/glob.mjs";
+
+describe("glob matching", () => {
+    test("patterns without a slash match names at any depth", () => {
+        expect(matchesAnyGlob("key.pem", ["*.pem"])).toBe(true);
+        expect(matchesAnyGlob("config/certs/key.pem", ["*.pem"])).toBe(true);
+        expect(matchesAnyGlob("config/certs/key.pem.txt", ["*.pem"])).toBe(false);
+        expect(matchesAnyGlob("apps/web/customer-data/export.csv", ["customer-data"])).toBe(true);
+    });
+
+    test("patterns with a slash are anchored at the repository root", () => {
+        expect(matchesAnyGlob("secrets/prod.env", ["secrets/"])).toBe(true);
+        expect(matchesAnyGlob("secrets/nested/prod.env", ["/secrets"])).toBe(true);
+        expect(matchesAnyGlob("app/secrets/prod.env", ["secrets/"])).toBe(true);
+        expect(matchesAnyGlob("app/secrets/prod.env", ["/secrets/"])).toBe(false);
+        expect(matchesAnyGlob("src/vendor/lib.js", ["vendor/licensed/**"])).toBe(false);
+        expect(matchesAnyGlob("vendor/licensed/a/b.js", ["vendor/licensed/**"])).toBe(true);
+    });
+
+    test("supports *, **, ? and {a,b}", () => {
+        expect(globToRegExp("src/*.js").test("src/a.js")).toBe(true);
+        expect(globToRegExp("src/*.js").test("src/lib/a.js")).toBe(false);
+        expect(globToRegExp("src/**/*.js").test("src/a.js")).toBe(true);
+        expect(globToRegExp("src/**/*.js").test("src/lib/deep/a.js")).toBe(true);
+        expect(globToRegExp("file?.txt").test("file1.txt")).toBe(true);
+        expect(globToRegExp("*.{png,jpg}").test("img/logo.jpg")).toBe(true);
+        expect(globToRegExp("*.{png,jpg}").test("img/logo.gif")).toBe(false);
+    });
+
+    test("treats regular expression characters literally", () => {
+        expect(matchesAnyGlob("a+b(1).txt", ["a+b(1).txt"])).toBe(true);
+        expect(matchesAnyGlob("aab1.txt", ["a+b(1).txt"])).toBe(false);
+    });
+});
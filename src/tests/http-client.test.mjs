@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import tls from "tls";
+import {
+    buildDispatcherOptions,
+    DEFAULT_HTTP_TIMEOUT_SECONDS,
+    getHttpSettings,
+    httpFetch,
+} from "../utils/http-client.mjs";
+
+describe("http client", () => {
+    let tmpDir;
+    const originalFetch = global.fetch;
+    const originalExtraCa = process.env.NODE_EXTRA_CA_CERTS;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-mr-http-"));
+        jest.spyOn(process, "cwd").mockReturnValue(tmpDir);
+        delete process.env.NODE_EXTRA_CA_CERTS;
+        global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        global.fetch = originalFetch;
+        if (originalExtraCa === undefined) {
+            delete process.env.NODE_EXTRA_CA_CERTS;
+        } else {
+            process.env.NODE_EXTRA_CA_CERTS = originalExtraCa;
+        }
+    });
+
+    test("resolves settings with defaults", () => {
+        expect(getHttpSettings({})).toEqual({
+            proxy: undefined,
+            noProxy: undefined,
+            caFile: undefined,
+            certFile: undefined,
+            keyFile: undefined,
+            timeoutMs: DEFAULT_HTTP_TIMEOUT_SECONDS * 1000,
+        });
+        expect(
+            getHttpSettings({ http: { proxy: "http://proxy:3128", timeoutSeconds: 5 } })
+        ).toEqual(expect.objectContaining({ proxy: "http://proxy:3128", timeoutMs: 5000 }));
+        expect(() => getHttpSettings({ http: { certFile: "client.pem" } })).toThrow(
+            "http.certFile and http.keyFile must be set together"
+        );
+    });
+
+    test("leaves proxies to the environment unless configured", async () => {
+        const options = await buildDispatcherOptions(getHttpSettings({}));
+
+        expect(options).not.toHaveProperty("httpProxy");
+        expect(options).not.toHaveProperty("noProxy");
+        expect(options.connect).toEqual({ timeout: DEFAULT_HTTP_TIMEOUT_SECONDS * 1000 });
+
+        const configured = await buildDispatcherOptions(
+            getHttpSettings({ http: { proxy: "http://proxy:3128", noProxy: "localhost" } })
+        );
+        expect(configured).toEqual(
+            expect.objectContaining({
+                httpProxy: "http://proxy:3128",
+                httpsProxy: "http://proxy:3128",
+                noProxy: "localhost",
+            })
+        );
+    });
+
+    test("adds the CA bundle to the root certificates and loads client certificates", async () => {
+        fs.writeFileSync(path.join(tmpDir, "ca.pem"), "CORP CA");
+        fs.writeFileSync(path.join(tmpDir, "extra.pem"), "EXTRA CA");
+        fs.writeFileSync(path.join(tmpDir, "client.pem"), "CERT");
+        fs.writeFileSync(path.join(tmpDir, "client.key"), "KEY");
+        process.env.NODE_EXTRA_CA_CERTS = path.join(tmpDir, "extra.pem");
+
+        const options = await buildDispatcherOptions(
+            getHttpSettings({
+                http: { caFile: "ca.pem", certFile: "client.pem", keyFile: "client.key" },
+            })
+        );
+
+        expect(options.requestTls.ca).toEqual([...tls.rootCertificates, "EXTRA CA", "CORP CA"]);
+        expect(options.requestTls).toEqual(expect.objectContaining({ cert: "CERT", key: "KEY" }));
+        expect(options.proxyTls).toBe(options.requestTls);
+        expect(options.connect.ca).toBe(options.requestTls.ca);
+    });
+
+    test("reports unreadable certificate files", async () => {
+        await expect(
+            buildDispatcherOptions(getHttpSettings({ http: { caFile: "missing.pem" } }))
+        ).rejects.toThrow("Failed to read CA bundle");
+    });
+
+    test("times out requests without their own signal", async () => {
+        global.fetch.mockImplementation(
+            (url, init) =>
+                new Promise((resolve, reject) => {
+                    init.signal.addEventListener("abort", () => reject(new Error("aborted")));
+                })
+        );
+
+        await expect(
+            httpFetch("https://api.github.com/user", { method: "GET" }, { timeoutMs: 10 })
+        ).rejects.toThrow("Request to api.github.com timed out after 0s");
+    });
+
+    test("keeps the caller's signal", async () => {
+        const controller = new AbortController();
+        global.fetch.mockResolvedValue({ ok: true });
+
+        await httpFetch("https://api.openai.com/v1/models", { signal: controller.signal });
+
+        expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, test } from "@jest/globals";
+import { getOutputLanguage, resolveLanguageName } from "../ai/language.mjs";
+
+describe("output language", () => {
+    test("resolves language codes and keeps language names", () => {
+        expect(resolveLanguageName("de")).toBe("German");
+        expect(resolveLanguageName("pt-BR")).toBe("Brazilian Portuguese");
+        expect(resolveLanguageName("German")).toBe("German");
+        expect(resolveLanguageName("Swiss German")).toBe("Swiss German");
+        expect(resolveLanguageName(" ")).toBeUndefined();
+    });
+
+    test("returns nothing for the English default", () => {
+        expect(getOutputLanguage({})).toBeUndefined();
+        expect(getOutputLanguage({ aiLanguage: "en" })).toBeUndefined();
+        expect(getOutputLanguage({ aiLanguage: "en", aiBilingual: "en" })).toBeUndefined();
+    });
+
+    test("resolves the primary and secondary language", () => {
+        expect(getOutputLanguage({ aiLanguage: "de" })).toEqual({ language: "German" });
+        expect(getOutputLanguage({ aiLanguage: "de", aiBilingual: "en" })).toEqual({
+            language: "German",
+            secondaryLanguage: "English",
+        });
+        expect(getOutputLanguage({ aiBilingual: "fr" })).toEqual({
+            language: "English",
+            secondaryLanguage: "French",
+        });
+    });
+});
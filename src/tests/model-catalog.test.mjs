@@ -0,0 +1,110 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    findModel,
+    getModelCacheKey,
+    getModelCachePath,
+    listAvailableModels,
+    MODEL_CACHE_MAX_AGE_MS,
+} from "../ai/model-catalog.mjs";
+
+describe("model catalog", () => {
+    let tmpDir;
+    const staticModels = ["gpt-4o", "gpt-4o-mini"];
+    const cacheKey = getModelCacheKey("ChatGPT", undefined, "sk");
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-mr-models-"));
+        jest.spyOn(process, "cwd").mockReturnValue(tmpDir);
+        jest.spyOn(console, "warn").mockImplementation(() => {
+            return;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const writeCache = (models, fetchedAt) => {
+        fs.mkdirSync(path.dirname(getModelCachePath()), { recursive: true });
+        fs.writeFileSync(
+            getModelCachePath(),
+            JSON.stringify({ [cacheKey]: { models, fetchedAt: fetchedAt.toISOString() } })
+        );
+    };
+
+    test("fetches models, caches them and serves the cache while fresh", async () => {
+        const fetchModels = jest.fn(async () => ["gpt-5", "gpt-4o", "gpt-4o"]);
+        const options = { providerName: "ChatGPT", cacheKey, fetchModels, staticModels };
+
+        expect(await listAvailableModels(options)).toEqual({
+            models: ["gpt-4o", "gpt-5"],
+            source: "api",
+        });
+        expect(await listAvailableModels(options)).toEqual({
+            models: ["gpt-4o", "gpt-5"],
+            source: "cache",
+        });
+        expect(fetchModels).toHaveBeenCalledTimes(1);
+
+        await listAvailableModels({ ...options, refresh: true });
+        expect(fetchModels).toHaveBeenCalledTimes(2);
+    });
+
+    test("keys the cache by credentials without storing the token", async () => {
+        expect(getModelCacheKey("ChatGPT", undefined, "sk-a")).not.toBe(
+            getModelCacheKey("ChatGPT", undefined, "sk-b")
+        );
+        await listAvailableModels({
+            providerName: "ChatGPT",
+            cacheKey: getModelCacheKey("ChatGPT", undefined, "sk-secret"),
+            fetchModels: async () => ["gpt-4o"],
+            staticModels,
+        });
+        expect(fs.readFileSync(getModelCachePath(), "utf8")).not.toContain("sk-secret");
+    });
+
+    test("falls back to a stale cache, then to the built-in list", async () => {
+        const fetchModels = jest.fn(async () => {
+            throw new Error("getaddrinfo ENOTFOUND");
+        });
+        const options = { providerName: "ChatGPT", cacheKey, fetchModels, staticModels };
+
+        expect(await listAvailableModels(options)).toEqual({
+            models: staticModels,
+            source: "static",
+        });
+
+        writeCache(["gpt-5"], new Date(Date.now() - MODEL_CACHE_MAX_AGE_MS - 1000));
+        expect(await listAvailableModels(options)).toEqual({
+            models: ["gpt-5"],
+            source: "stale-cache",
+        });
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("ENOTFOUND"));
+    });
+
+    test("findModel matches case-insensitively", () => {
+        expect(findModel(["gpt-4o", "GPT-5"], " gpt-5 ")).toBe("GPT-5");
+        expect(findModel(["gpt-4o"], "gpt-6")).toBeUndefined();
+    });
+
+    test("findModel accepts aliases of the dated IDs the models endpoints return", () => {
+        const models = [
+            "claude-sonnet-4-5-20250929",
+            "claude-sonnet-4-20250514",
+            "claude-3-7-sonnet-20250219",
+            "gpt-4o-2024-08-06",
+        ];
+        expect(findModel(models, "claude-sonnet-4-5")).toBe("claude-sonnet-4-5");
+        expect(findModel(models, "claude-sonnet-4-0")).toBe("claude-sonnet-4-0");
+        expect(findModel(models, "claude-3-7-sonnet-latest")).toBe("claude-3-7-sonnet-latest");
+        expect(findModel(models, "Claude-Sonnet-4-5-20250929")).toBe("claude-sonnet-4-5-20250929");
+        expect(findModel(models, "claude-sonnet-4-5-20990101")).toBeUndefined();
+        expect(findModel(models, "claude-opus-4-1")).toBeUndefined();
+        expect(findModel(models, "gpt-4o")).toBe("gpt-4o");
+        expect(findModel(models, "gpt-4")).toBeUndefined();
+    });
+});
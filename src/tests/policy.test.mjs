@@ -0,0 +1,139 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    enforcePathPolicy,
+    filterDiffByPolicy,
+    isCommitAllowed,
+    isPathAllowed,
+    loadPathPolicy,
+    POLICY_FILE,
+} from "../config/policy.mjs";
+
+const policyWith = (overrides = {}) => ({
+    allow: [],
+    deny: ["secrets/", "customer-data", "vendor/licensed/**"],
+    deniedFiles: "list",
+    mode: "filter",
+    ...overrides,
+});
+
+describe("path policy", () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-mr-policy-"));
+        jest.spyOn(process, "cwd").mockReturnValue(tmpDir);
+        jest.spyOn(console, "log").mockImplementation(() => {
+            return;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const writePolicy = (content) => {
+        fs.mkdirSync(path.join(tmpDir, ".gen-mr"), { recursive: true });
+        fs.writeFileSync(
+            path.join(tmpDir, POLICY_FILE),
+            typeof content === "string" ? content : JSON.stringify(content)
+        );
+    };
+
+    test("loads nothing when the repository has no policy", async () => {
+        expect(await loadPathPolicy()).toBeNull();
+    });
+
+    test("loads and normalizes the policy file", async () => {
+        writePolicy({ deny: ["secrets/"] });
+
+        expect(await loadPathPolicy()).toEqual({
+            allow: [],
+            deny: ["secrets/"],
+            deniedFiles: "list",
+            mode: "filter",
+            path: path.join(tmpDir, POLICY_FILE),
+        });
+    });
+
+    test("rejects broken or invalid policies instead of ignoring them", async () => {
+        writePolicy("{ deny: ");
+        await expect(loadPathPolicy()).rejects.toThrow("Invalid policy file");
+
+        writePolicy({ deny: "secrets/" });
+        await expect(loadPathPolicy()).rejects.toThrow('"deny" must be a list of globs');
+
+        writePolicy({ mode: "block" });
+        await expect(loadPathPolicy()).rejects.toThrow('"mode" must be one of filter, fail');
+    });
+
+    test("allows files on the allow list that are not denied", () => {
+        const policy = policyWith({ allow: ["src/**", "README.md"], deny: ["src/internal/"] });
+
+        expect(isPathAllowed(policy, "src/a.js")).toBe(true);
+        expect(isPathAllowed(policy, "README.md")).toBe(true);
+        expect(isPathAllowed(policy, "scripts/deploy.sh")).toBe(false);
+        expect(isPathAllowed(policy, "src/internal/pricing.js")).toBe(false);
+    });
+
+    test("removes withheld files from the diff, including renames out of denied paths", () => {
+        const diff = [
+            "diff --git a/src/a.js b/src/a.js",
+            "+a",
+            "diff --git a/secrets/key.pem b/secrets/key.pem",
+            "+key",
+            "diff --git a/customer-data/export.csv b/docs/export.csv",
+            "similarity index 90%",
+        ].join("\n");
+
+        expect(filterDiffByPolicy(policyWith(), diff)).toBe("diff --git a/src/a.js b/src/a.js\n+a");
+    });
+
+    test("withholds denied files with quoted, non-ASCII or unreadable paths", () => {
+        const diff = [
+            "diff --git a/src/a.js b/src/a.js",
+            "+a",
+            'diff --git "a/secrets/\\303\\274 key.txt" "b/secrets/\\303\\274 key.txt"',
+            "+TOPSECRET",
+            "diff --git a/secrets/ü key.txt b/secrets/ü key.txt",
+            "+TOPSECRET",
+            "diff --git a/secrets/x b/src/b.js b/secrets/x b/src/b.js",
+            "+TOPSECRET",
+            "diff --git weird header",
+            "+TOPSECRET",
+        ].join("\n");
+
+        expect(filterDiffByPolicy(policyWith(), diff)).toBe("diff --git a/src/a.js b/src/a.js\n+a");
+        expect(isPathAllowed(policyWith(), "secrets/ü key.txt")).toBe(false);
+    });
+
+    test("drops commits that only touch withheld files", () => {
+        const commits = [
+            { subject: "feat: a", files: ["src/a.js", "secrets/key.pem"] },
+            { subject: "chore: rotate key", files: ["secrets/key.pem"] },
+            { subject: "Merge branch 'main'", files: [] },
+        ];
+
+        expect(
+            commits
+                .filter((commit) => isCommitAllowed(policyWith(), commit))
+                .map(({ subject }) => subject)
+        ).toEqual(["feat: a", "Merge branch 'main'"]);
+    });
+
+    test("reports withheld files in filter mode and fails in fail mode", () => {
+        const files = ["src/a.js", "secrets/key.pem"];
+
+        expect(enforcePathPolicy(policyWith(), files)).toEqual(["secrets/key.pem"]);
+        expect(console.log).toHaveBeenCalledWith(
+            "🛡️  Path policy: 1 file(s) withheld from the AI (listed by name only)"
+        );
+        expect(() => enforcePathPolicy(policyWith({ mode: "fail" }), files)).toThrow(
+            "does not allow sending secrets/key.pem to the AI"
+        );
+        expect(enforcePathPolicy(policyWith({ mode: "fail" }), ["src/a.js"])).toEqual([]);
+    });
+});
@@ -1,26 +1,33 @@
 import { describe, test, expect, jest, beforeEach } from "@jest/globals";
 import {
+    generateFollowUpPrompt,
     generateMergeRequestPrompt,
+    generateMergeRequestPromptWithReport,
     generateDefaultPrompt,
     generateMinimalPrompt,
     generateComprehensivePrompt,
 } from "../prompt-generator.mjs";
+import { globToRegExp } from "../utils/glob.mjs";
 
 // Mock git-provider module
 jest.mock("../git-provider/git-provider.mjs", () => ({
     getGitDiff: jest.fn(),
-    getCommitMessages: jest.fn(),
+    getCommits: jest.fn(),
     getChangedFiles: jest.fn(),
     getChangedFilesByType: jest.fn(),
 }));
 
 import {
     getGitDiff,
-    getCommitMessages,
+    getCommits,
     getChangedFiles,
     getChangedFilesByType,
 } from "../git-provider/git-provider.mjs";
 
+// Commits as returned by getCommits, with subjects only
+const commitsWithSubjects = (subjects) =>
+    subjects && subjects.map((subject) => ({ subject, body: "", trailers: [], files: [] }));
+
 describe("prompt-generator", () => {
     beforeEach(() => {
         jest.clearAllMocks();
@@ -29,7 +36,7 @@ describe("prompt-generator", () => {
     describe("generateMergeRequestPrompt", () => {
         test("should generate basic prompt with branch names", async () => {
             // Mock git functions to return empty results
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("");
@@ -45,7 +52,7 @@ describe("prompt-generator", () => {
         });
 
         test("should include JIRA tickets when provided", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("");
@@ -60,7 +67,9 @@ describe("prompt-generator", () => {
         });
 
         test("should include commit messages when available", async () => {
-            getCommitMessages.mockResolvedValue(["Add new feature", "Fix bug in component"]);
+            getCommits.mockResolvedValue(
+                commitsWithSubjects(["Add new feature", "Fix bug in component"])
+            );
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("");
@@ -74,20 +83,20 @@ describe("prompt-generator", () => {
 
         test("should omit commit section when commits is null", async () => {
             // Simulate git util returning null (not an array) without throwing
-            getCommitMessages.mockResolvedValue(null);
+            getCommits.mockResolvedValue(commitsWithSubjects(null));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("");
 
             const result = await generateMergeRequestPrompt("feature-branch", "main");
 
-            expect(getCommitMessages).toHaveBeenCalled();
+            expect(getCommits).toHaveBeenCalled();
             expect(result).not.toContain("Commit messages:");
             expect(result).not.toContain("Commit messages: No commit messages found.");
         });
 
         test("should include changed files when available", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue(["src/component.js", "src/utils.js"]); // fallback
             getChangedFilesByType.mockResolvedValue({
                 added: ["src/component.js"],
@@ -106,7 +115,7 @@ describe("prompt-generator", () => {
         });
 
         test("should include git diff when available", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("+ added line\n- removed line");
@@ -120,7 +129,7 @@ describe("prompt-generator", () => {
         });
 
         test("should omit diff section when diff is null", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue(null); // explicit null
@@ -132,7 +141,7 @@ describe("prompt-generator", () => {
         });
 
         test("should include additional instructions when provided", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("");
@@ -146,7 +155,7 @@ describe("prompt-generator", () => {
         });
 
         test("should not include commit messages when disabled", async () => {
-            getCommitMessages.mockResolvedValue(["This should not appear"]);
+            getCommits.mockResolvedValue(commitsWithSubjects(["This should not appear"]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("");
@@ -158,11 +167,11 @@ describe("prompt-generator", () => {
             });
 
             expect(result).not.toContain("Commit messages:");
-            expect(getCommitMessages).not.toHaveBeenCalled();
+            expect(getCommits).not.toHaveBeenCalled();
         });
 
         test("should not include changed files when disabled", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue(["a.js"]);
             getChangedFilesByType.mockResolvedValue({ added: ["a.js"], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("");
@@ -178,7 +187,7 @@ describe("prompt-generator", () => {
         });
 
         test("should not include JIRA tickets when empty", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("");
@@ -188,7 +197,7 @@ describe("prompt-generator", () => {
         });
 
         test("should include previous result context when regenerating", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getGitDiff.mockResolvedValue("");
 
@@ -207,7 +216,7 @@ describe("prompt-generator", () => {
         });
 
         test("should handle git errors gracefully", async () => {
-            getCommitMessages.mockRejectedValue(new Error("Git error"));
+            getCommits.mockRejectedValue(new Error("Git error"));
             getChangedFiles.mockRejectedValue(new Error("Git error"));
             getChangedFilesByType.mockRejectedValue(new Error("Git error"));
             getGitDiff.mockRejectedValue(new Error("Git error"));
@@ -227,7 +236,7 @@ describe("prompt-generator", () => {
         });
 
         test("should respect maxDiffLines option", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("line1\nline2\nline3\nline4\nline5");
@@ -239,11 +248,433 @@ describe("prompt-generator", () => {
             expect(result).toContain("showing first 3 lines");
             expect(result).toContain("... (diff truncated for brevity)");
         });
+
+        test("cuts a long diff file by file so later files are still shown", async () => {
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
+            getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
+            const fileDiff = (file, lines) =>
+                [
+                    `diff --git a/${file} b/${file}`,
+                    `--- a/${file}`,
+                    `+++ b/${file}`,
+                    `@@ -1,${lines} +1,${lines} @@`,
+                    ...Array.from({ length: lines }, (_, i) => `+${file} line ${i}`),
+                ].join("\n");
+            getGitDiff.mockResolvedValue(
+                [fileDiff("a/huge.js", 2000), fileDiff("z/late.js", 5)].join("\n")
+            );
+
+            const result = await generateMergeRequestPrompt("feature-branch", "main", "", {
+                maxDiffLines: 100,
+            });
+
+            expect(result).toContain("Code changes (showing ");
+            expect(result).toContain("of 2013 lines, omitted hunks summarized as +added/-removed");
+            expect(result).toContain("+z/late.js line 4");
+            expect(result).toMatch(/\.\.\. \(rest of hunk omitted: \+\d+\/-0\)/);
+            expect(result).toContain("... (diff truncated for brevity)");
+        });
+    });
+
+    describe("responseFormat option", () => {
+        test("should ask for a JSON object when responseFormat is json", async () => {
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
+            getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
+            getGitDiff.mockResolvedValue("");
+
+            const json = await generateMergeRequestPrompt("feature-branch", "main", "", {
+                responseFormat: "json",
+            });
+            const text = await generateMergeRequestPrompt("feature-branch", "main");
+
+            expect(json).toContain("Return the result as a JSON object");
+            expect(json).not.toContain("title on the first line");
+            expect(text).toContain("title on the first line");
+        });
+    });
+
+    describe("token budgeting", () => {
+        const manyLines = (count, prefix) =>
+            Array.from({ length: count }, (_, i) => `${prefix} line number ${i}`);
+
+        test("includes everything without truncation notes when it fits", async () => {
+            getCommits.mockResolvedValue(commitsWithSubjects(["feat: one", "fix: two"]));
+            getChangedFilesByType.mockResolvedValue({
+                added: ["a.js"],
+                modified: ["b.js"],
+                deleted: [],
+            });
+            getGitDiff.mockResolvedValue(manyLines(200, "+").join("\n"));
+
+            const { prompt, report } = await generateMergeRequestPromptWithReport(
+                "feature-branch",
+                "main",
+                "",
+                { tokenBudget: 100000, model: "gpt-4o" }
+            );
+
+            expect(prompt).toContain("Code changes:\n```diff");
+            expect(prompt).toContain("+ line number 199");
+            expect(report.dropped).toEqual({
+                commits: 0,
+                files: 0,
+                diffLines: 0,
+                summaryLines: 0,
+            });
+            expect(report.estimatedTokens).toBeLessThanOrEqual(100000);
+        });
+
+        test("trims sections to the budget and reports what was dropped", async () => {
+            getCommits.mockResolvedValue(commitsWithSubjects(manyLines(300, "commit")));
+            getChangedFilesByType.mockResolvedValue({
+                added: [],
+                modified: manyLines(300, "src/file"),
+                deleted: [],
+            });
+            getGitDiff.mockResolvedValue(manyLines(5000, "+").join("\n"));
+
+            const { prompt, report } = await generateMergeRequestPromptWithReport(
+                "feature-branch",
+                "main",
+                "",
+                { tokenBudget: 4000, model: "gpt-3.5-turbo" }
+            );
+
+            expect(report.estimatedTokens).toBeLessThanOrEqual(4000);
+            expect(report.dropped.commits).toBeGreaterThan(0);
+            expect(report.dropped.files).toBeGreaterThan(0);
+            expect(report.dropped.diffLines).toBeGreaterThan(0);
+            expect(prompt).toContain(`(${report.dropped.commits} more commits omitted)`);
+            expect(prompt).toContain(`(${report.dropped.files} more files not listed)`);
+            expect(prompt).toContain("of 5000 lines");
+            expect(prompt).toContain("diff truncated to fit the model's context window");
+            expect(prompt).toContain("Please provide:");
+        });
+
+        test("gives unused commit and file budget to the diff", async () => {
+            getCommits.mockResolvedValue(commitsWithSubjects(["feat: small"]));
+            getChangedFilesByType.mockResolvedValue({ added: ["a.js"], modified: [], deleted: [] });
+            getGitDiff.mockResolvedValue(manyLines(5000, "+").join("\n"));
+
+            const { report } = await generateMergeRequestPromptWithReport(
+                "feature-branch",
+                "main",
+                "",
+                { tokenBudget: 4000, model: "gpt-3.5-turbo" }
+            );
+
+            // Diff alone fills most of the budget, not just its 60% share
+            expect(report.estimatedTokens).toBeGreaterThan(3600);
+            expect(report.estimatedTokens).toBeLessThanOrEqual(4000);
+        });
+    });
+
+    describe("output language", () => {
+        beforeEach(() => {
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
+            getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
+            getGitDiff.mockResolvedValue("");
+        });
+
+        test("asks for English by default without extra instructions", async () => {
+            const prompt = await generateMergeRequestPrompt("feature", "main");
+            expect(prompt).not.toContain("Write the title");
+        });
+
+        test("asks for the language and keeps identifiers untranslated", async () => {
+            const prompt = await generateMergeRequestPrompt("feature", "main", "", {
+                outputLanguage: { language: "German" },
+                responseFormat: "json",
+            });
+
+            expect(prompt).toContain("Write the title and description in German.");
+            expect(prompt).toContain("do not translate them");
+            expect(prompt).toContain('The JSON field names and the "labels" stay in English.');
+        });
+
+        test("asks for a translated copy of the description when bilingual", async () => {
+            const prompt = await generateMergeRequestPrompt("feature", "main", "", {
+                outputLanguage: { language: "German", secondaryLanguage: "English" },
+            });
+
+            expect(prompt).toContain("Write the title in German.");
+            expect(prompt).toContain(
+                "Write the description in German first, then repeat it translated into English"
+            );
+            expect(prompt).not.toContain("JSON field names");
+        });
+    });
+
+    describe("prompt template", () => {
+        beforeEach(() => {
+            getCommits.mockResolvedValue(commitsWithSubjects(["Add login"]));
+            getChangedFilesByType.mockResolvedValue({
+                added: ["src/login.js"],
+                modified: [],
+                deleted: [],
+            });
+            getGitDiff.mockResolvedValue("diff --git a/src/login.js b/src/login.js\n+login()");
+        });
+
+        test("fills the template and keeps the response format instructions", async () => {
+            const prompt = await generateMergeRequestPrompt("feature", "main", "PROJ-7", {
+                template:
+                    "Describe {{sourceBranch}} -> {{targetBranch}} for {{jiraTickets}}.\n\n{{commits}}\n\nKeep it short.",
+                responseFormat: "json",
+            });
+
+            expect(prompt).toBe(
+                'Describe feature -> main for PROJ-7.\n\nCommit messages:\n- Add login\n\nKeep it short.\n\nReturn the result as a JSON object with the fields "title" (plain text, single line), "description" (markdown) and "labels" (array of short labels categorizing the change, may be empty).\n\n'
+            );
+        });
+
+        test("gathers only the sections the template uses", async () => {
+            const prompt = await generateMergeRequestPrompt("feature", "main", "", {
+                template: "Files:\n{{changedFiles}}",
+            });
+
+            expect(prompt).toContain("- src/login.js");
+            expect(getCommits).not.toHaveBeenCalled();
+            expect(getGitDiff).not.toHaveBeenCalled();
+        });
+
+        test("asks to fill in the repository's description template", async () => {
+            const prompt = await generateMergeRequestPrompt("feature", "main", "", {
+                descriptionTemplate: {
+                    name: "pull_request_template",
+                    path: ".github/pull_request_template.md",
+                    content: "## Summary\n\n## Checklist\n- [ ] Tests added\n",
+                },
+            });
+
+            expect(prompt).toContain(
+                "The repository's description template (.github/pull_request_template.md) is below."
+            );
+            expect(prompt).toContain(
+                "```markdown\n## Summary\n\n## Checklist\n- [ ] Tests added\n```\n\nPlease provide:"
+            );
+        });
+
+        test("places the regeneration context where the template asks for it", async () => {
+            const prompt = await generateMergeRequestPrompt("feature", "main", "", {
+                template: "{{userInstructions}}\n\nRewrite the description.",
+                additionalInstructions: "Mention the login flow",
+            });
+
+            expect(prompt).toMatch(
+                /^Additional instructions from user:\nMention the login flow\n\nRewrite the description\./
+            );
+        });
+    });
+
+    describe("generateFollowUpPrompt", () => {
+        test("carries only the instructions and the response format", () => {
+            const prompt = generateFollowUpPrompt({
+                additionalInstructions: "Mention the migration",
+                responseFormat: "json",
+            });
+
+            expect(prompt).toContain("revise the merge request title and description");
+            expect(prompt).toContain("Additional instructions from user:\nMention the migration");
+            expect(prompt).toContain('Return the result as a JSON object with the fields "title"');
+            expect(prompt).not.toContain("I edited your last answer");
+            expect(prompt).not.toContain("Changed files");
+        });
+
+        test("includes the user's edited version and the output language", () => {
+            const prompt = generateFollowUpPrompt({
+                editedResult: { title: "Edited", description: "Mine" },
+                outputLanguage: { language: "German" },
+            });
+
+            expect(prompt).toContain("start from this version:\nTitle: Edited\nDescription: Mine");
+            expect(prompt).toContain("Write the title and description in German.");
+            expect(prompt).toContain("title on the first line");
+        });
+    });
+
+    describe("path policy", () => {
+        const policy = { allow: [], deny: ["secrets/"], deniedFiles: "list", mode: "filter" };
+        const diff = [
+            "diff --git a/src/a.js b/src/a.js",
+            "+const a = 1;",
+            "diff --git a/secrets/prod.env b/secrets/prod.env",
+            "+API_KEY=abc",
+        ].join("\n");
+
+        beforeEach(() => {
+            getCommits.mockResolvedValue([
+                { subject: "feat: use a", body: "", trailers: [], files: ["src/a.js"] },
+                {
+                    subject: "chore: rotate prod key",
+                    body: "",
+                    trailers: [],
+                    files: ["secrets/prod.env"],
+                },
+            ]);
+            getChangedFilesByType.mockResolvedValue({
+                added: ["secrets/prod.env"],
+                modified: ["src/a.js"],
+                deleted: [],
+            });
+            getGitDiff.mockResolvedValue(diff);
+        });
+
+        test("leaves withheld files out of the diff and commits and lists them by name", async () => {
+            const prompt = await generateMergeRequestPrompt("feature", "main", "", { policy });
+
+            expect(prompt).toContain("- feat: use a");
+            expect(prompt).not.toContain("rotate prod key");
+            expect(prompt).toContain("+const a = 1;");
+            expect(prompt).not.toContain("API_KEY");
+            expect(prompt).toContain(
+                "Withheld by path policy (content not shared):\n- secrets/prod.env"
+            );
+            expect(prompt).not.toContain("Added:");
+        });
+
+        test("hides withheld files completely when configured", async () => {
+            const prompt = await generateMergeRequestPrompt("feature", "main", "", {
+                policy: { ...policy, deniedFiles: "hide" },
+            });
+
+            expect(prompt).not.toContain("secrets/prod.env");
+            expect(prompt).toContain("Modified:\n- src/a.js");
+        });
+    });
+
+    describe("diff exclusions", () => {
+        const diffExclusions = {
+            rules: ["package-lock.json", "dist/"].map((glob) => ({
+                glob,
+                exclude: true,
+                regExp: globToRegExp(glob),
+            })),
+        };
+        const lockfileDiff = [
+            "diff --git a/package-lock.json b/package-lock.json",
+            "--- a/package-lock.json",
+            "+++ b/package-lock.json",
+            "@@ -1,2 +1,3 @@",
+            '-  "version": "1.0.0",',
+            '+  "version": "1.1.0",',
+            '+  "lockfileVersion": 3,',
+        ].join("\n");
+
+        beforeEach(() => {
+            getCommits.mockResolvedValue(commitsWithSubjects(["chore: bump"]));
+            getChangedFilesByType.mockResolvedValue({
+                added: [],
+                modified: ["src/a.js", "package-lock.json"],
+                deleted: [],
+            });
+        });
+
+        test("names excluded files with their line counts instead of their diff", async () => {
+            getGitDiff.mockResolvedValue(
+                ["diff --git a/src/a.js b/src/a.js", "+const a = 1;", lockfileDiff].join("\n")
+            );
+
+            const prompt = await generateMergeRequestPrompt("feature", "main", "", {
+                diffExclusions,
+            });
+
+            expect(prompt).toContain("+const a = 1;");
+            expect(prompt).not.toContain("lockfileVersion");
+            expect(prompt).toContain(
+                "Changed but left out of the diff (lockfiles, generated or vendored files):\n- package-lock.json (+2/-1 lines)"
+            );
+            expect(prompt).toContain("Modified:\n- src/a.js\n- package-lock.json");
+        });
+
+        test("keeps the note when only excluded files changed or the diff is cut", async () => {
+            getGitDiff.mockResolvedValue(lockfileDiff);
+
+            const prompt = await generateMergeRequestPrompt("feature", "main", "", {
+                diffExclusions,
+            });
+
+            expect(prompt).toContain("Code changes: only excluded files changed.");
+            expect(prompt).toContain("- package-lock.json (+2/-1 lines)");
+
+            getGitDiff.mockResolvedValue(
+                [
+                    "diff --git a/src/a.js b/src/a.js",
+                    ...Array.from({ length: 3000 }, (_, i) => `+line number ${i}`),
+                    lockfileDiff,
+                ].join("\n")
+            );
+            const { prompt: budgeted, report } = await generateMergeRequestPromptWithReport(
+                "feature",
+                "main",
+                "",
+                { diffExclusions, tokenBudget: 4000, model: "gpt-4o" }
+            );
+
+            expect(report.dropped.diffLines).toBeGreaterThan(0);
+            expect(budgeted).toContain("- package-lock.json (+2/-1 lines)");
+        });
+    });
+
+    describe("commit details", () => {
+        const commit = {
+            subject: "feat: sso login",
+            body: "Users asked for single sign-on.\n\nThe old form stays as a fallback.",
+            author: { name: "Jane Doe", email: "jane@example.com" },
+            date: "2024-05-01T10:00:00+02:00",
+            trailers: [
+                { key: "Co-authored-by", value: "Bob <bob@example.com>" },
+                { key: "BREAKING CHANGE", value: "/login moved to /auth/login" },
+            ],
+            files: ["src/login.js"],
+        };
+
+        beforeEach(() => {
+            getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
+            getGitDiff.mockResolvedValue("");
+        });
+
+        test("includes bodies, authors, dates and trailers", async () => {
+            getCommits.mockResolvedValue([commit]);
+
+            const prompt = await generateMergeRequestPrompt("feature", "main");
+
+            expect(prompt).toContain(
+                [
+                    "Commit messages:",
+                    "- feat: sso login (Jane Doe, 2024-05-01)",
+                    "  Users asked for single sign-on.",
+                    "  The old form stays as a fallback.",
+                    "  Co-authored-by: Bob <bob@example.com>",
+                    "  BREAKING CHANGE: /login moved to /auth/login",
+                ].join("\n")
+            );
+        });
+
+        test("cuts long bodies before trailers and can leave bodies out", async () => {
+            getCommits.mockResolvedValue([{ ...commit, body: "x".repeat(2000) }]);
+
+            const limited = await generateMergeRequestPrompt("feature", "main", "", {
+                commitBodyLimit: 150,
+            });
+
+            expect(limited).toContain(`  ${"x".repeat(60)}`);
+            expect(limited).not.toContain("x".repeat(150));
+            expect(limited).toContain(" ...\n  Co-authored-by: Bob <bob@example.com>");
+            expect(limited).toContain("  BREAKING CHANGE: /login moved to /auth/login");
+
+            const subjects = await generateMergeRequestPrompt("feature", "main", "", {
+                commitBodyLimit: 0,
+            });
+
+            expect(subjects).toContain("- feat: sso login (Jane Doe, 2024-05-01)\n\n");
+            expect(subjects).not.toContain("Co-authored-by");
+        });
     });
 
     describe("generateDefaultPrompt", () => {
         test("should call generateMergeRequestPrompt with default options", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("");
@@ -255,7 +686,7 @@ describe("prompt-generator", () => {
         });
 
         test("should not include JIRA tickets when empty or omitted", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("");
@@ -270,7 +701,7 @@ describe("prompt-generator", () => {
 
     describe("generateMinimalPrompt", () => {
         test("should generate prompt without git diff", async () => {
-            getCommitMessages.mockResolvedValue(["Test commit"]);
+            getCommits.mockResolvedValue(commitsWithSubjects(["Test commit"]));
             getChangedFiles.mockResolvedValue(["file.js"]);
             getChangedFilesByType.mockResolvedValue({
                 added: ["file.js"],
@@ -290,7 +721,7 @@ describe("prompt-generator", () => {
 
     describe("generateComprehensivePrompt", () => {
         test("should generate prompt with extended diff", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFiles.mockResolvedValue([]);
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getGitDiff.mockResolvedValue("comprehensive diff content");
@@ -301,7 +732,7 @@ describe("prompt-generator", () => {
         });
 
         test("should fallback to flat changed files list when classification unavailable (non-empty)", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFilesByType.mockResolvedValue(null); // triggers fallback branch
             getChangedFiles.mockResolvedValue(["src/a.js", "src/b.js"]);
             getGitDiff.mockResolvedValue("");
@@ -313,7 +744,7 @@ describe("prompt-generator", () => {
         });
 
         test("should fallback and show no changed files when classification unavailable and flat list empty", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFilesByType.mockResolvedValue(null); // triggers fallback branch
             getChangedFiles.mockResolvedValue([]);
             getGitDiff.mockResolvedValue("");
@@ -323,7 +754,7 @@ describe("prompt-generator", () => {
         });
 
         test("should show 'No code changes found' when diff is empty string", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             getChangedFilesByType.mockResolvedValue({ added: [], modified: [], deleted: [] });
             getChangedFiles.mockResolvedValue([]);
             getGitDiff.mockResolvedValue(""); // empty diff triggers else-if path
@@ -333,7 +764,7 @@ describe("prompt-generator", () => {
         });
 
         test("should apply default empty arrays when filesByType missing keys", async () => {
-            getCommitMessages.mockResolvedValue([]);
+            getCommits.mockResolvedValue(commitsWithSubjects([]));
             // Provide object missing arrays to hit destructuring defaults
             getChangedFilesByType.mockResolvedValue({});
             getChangedFiles.mockResolvedValue([]);
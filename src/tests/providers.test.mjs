@@ -0,0 +1,100 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+    listAiProviders,
+    findAiProvider,
+    getAiProvider,
+    resolveAiProviderName,
+    findProviderForModel,
+    resolveModelChain,
+    isOfflineReplay,
+} from "../ai/providers.mjs";
+
+describe("ai provider registry", () => {
+    test("registers ChatGPT, Claude and Replay with the required contract", () => {
+        const providers = listAiProviders();
+        expect(providers.map((p) => p.name)).toEqual(["ChatGPT", "Claude", "Replay"]);
+        providers.forEach((provider) => {
+            expect(Array.isArray(provider.aliases)).toBe(true);
+            [
+                "configureToken",
+                "listModels",
+                "ownsModel",
+                "setModel",
+                "showModelsHelp",
+                "hasCredentials",
+                "getModel",
+                "generate",
+            ].forEach((fn) => expect(typeof provider[fn]).toBe("function"));
+        });
+    });
+
+    test("finds providers by name or alias case-insensitively", () => {
+        expect(findAiProvider("chatgpt").name).toBe("ChatGPT");
+        expect(findAiProvider("OpenAI").name).toBe("ChatGPT");
+        expect(findAiProvider("ollama").name).toBe("ChatGPT");
+        expect(findAiProvider("Anthropic").name).toBe("Claude");
+        expect(findAiProvider("gemini")).toBeNull();
+        expect(findAiProvider("")).toBeNull();
+    });
+
+    test("getAiProvider throws for unknown providers", () => {
+        expect(() => getAiProvider("gemini")).toThrow(
+            "Unsupported AI model 'gemini'. Supported providers: ChatGPT, Claude"
+        );
+    });
+
+    test("resolves the default provider from config", () => {
+        expect(resolveAiProviderName({})).toBe("ChatGPT");
+        expect(resolveAiProviderName({ aiProvider: "Claude" })).toBe("Claude");
+    });
+
+    test("routes models to their provider and falls back to the given provider", () => {
+        expect(findProviderForModel("gpt-4o").name).toBe("ChatGPT");
+        expect(findProviderForModel("claude-sonnet-4-5").name).toBe("Claude");
+        expect(findProviderForModel("llama3.1", "Claude").name).toBe("Claude");
+    });
+
+    test("checks credentials per provider", () => {
+        const chatgpt = getAiProvider("ChatGPT");
+        const claude = getAiProvider("Claude");
+        expect(chatgpt.hasCredentials({ openaiToken: "sk" })).toBe(true);
+        expect(chatgpt.hasCredentials({ openaiBaseUrl: "http://localhost:11434/v1" })).toBe(true);
+        expect(chatgpt.hasCredentials({ anthropicToken: "x" })).toBe(false);
+        expect(chatgpt.hasCredentials({ openaiBaseUrl: "https://api.openai.com/v1" })).toBe(false);
+        expect(claude.hasCredentials({ anthropicToken: "x" })).toBe(true);
+        expect(claude.getModel({})).toBe("claude-sonnet-4-5");
+    });
+
+    test("resolves the fallback model chain", () => {
+        const chain = resolveModelChain({
+            openaiModel: "gpt-4o",
+            claudeModel: "claude-opus-4-1",
+            aiFallbackModels: [
+                "gpt-4o-mini",
+                "gpt-4o",
+                { provider: "anthropic" },
+                { provider: "ChatGPT", model: "llama3.1" },
+            ],
+        });
+        expect(chain.map(({ provider, model }) => `${provider.name}:${model}`)).toEqual([
+            "ChatGPT:gpt-4o",
+            "ChatGPT:gpt-4o-mini",
+            "Claude:claude-opus-4-1",
+            "ChatGPT:llama3.1",
+        ]);
+        expect(() => resolveModelChain({ aiFallbackModels: [{}] })).toThrow(
+            "Invalid aiFallbackModels entry"
+        );
+    });
+});
+
+describe("isOfflineReplay", () => {
+    test("is true only when the Replay provider replays fixtures", () => {
+        expect(isOfflineReplay({ aiProvider: "Replay", aiReplay: { mode: "replay" } })).toBe(true);
+        expect(isOfflineReplay({ aiProvider: "Replay", aiReplay: { mode: "record" } })).toBe(false);
+        expect(isOfflineReplay({ aiProvider: "ChatGPT", aiReplay: { mode: "replay" } })).toBe(
+            false
+        );
+        expect(isOfflineReplay({})).toBe(false);
+    });
+});
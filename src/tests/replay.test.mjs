@@ -0,0 +1,108 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createReplayProvider, getFixtureKey, getReplaySettings } from "../ai/replay.mjs";
+import { getAiProvider, resolveAiProviderName } from "../ai/providers.mjs";
+
+describe("replay provider", () => {
+    let tmpDir;
+    let source;
+    let replay;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-mr-replay-"));
+        jest.spyOn(process, "cwd").mockReturnValue(tmpDir);
+        delete process.env.GEN_MR_REPLAY;
+        delete process.env.GEN_MR_REPLAY_DIR;
+        source = {
+            name: "ChatGPT",
+            supportsStructuredOutput: () => true,
+            hasCredentials: (config) => Boolean(config.openaiToken),
+            getModel: () => "gpt-4o",
+            generate: jest.fn(async () => ({
+                content: '{"title":"T","description":"D","labels":[]}',
+                model: "gpt-4o",
+                usage: { promptTokens: 10, completionTokens: 5 },
+            })),
+        };
+        replay = createReplayProvider(() => source, "ChatGPT");
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.GEN_MR_REPLAY;
+        delete process.env.GEN_MR_REPLAY_DIR;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test("records responses of the source provider and replays them by prompt hash", async () => {
+        const recordConfig = { openaiToken: "sk", aiReplay: { mode: "record" } };
+        const recorded = await replay.generate("PROMPT", {
+            config: recordConfig,
+            model: "gpt-4o",
+            responseSchema: { type: "object" },
+        });
+        expect(recorded.usage.promptTokens).toBe(10);
+        expect(source.generate).toHaveBeenCalledTimes(1);
+
+        const fixturePath = path.join(
+            tmpDir,
+            ".gen-mr",
+            "fixtures",
+            `${getFixtureKey({ prompt: "PROMPT", responseSchema: { type: "object" } })}.json`
+        );
+        expect(JSON.parse(fs.readFileSync(fixturePath, "utf8"))).toEqual(
+            expect.objectContaining({ prompt: "PROMPT", model: "gpt-4o", structured: true })
+        );
+
+        const onToken = jest.fn();
+        const replayed = await replay.generate("PROMPT", {
+            config: {},
+            model: "gpt-4o",
+            responseSchema: { type: "object" },
+            onToken,
+        });
+        expect(replayed.content).toBe(recorded.content);
+        expect(replayed.model).toBe("gpt-4o");
+        expect(onToken).toHaveBeenCalledWith(recorded.content);
+        expect(source.generate).toHaveBeenCalledTimes(1);
+    });
+
+    test("fails clearly when a prompt was not recorded", async () => {
+        await expect(replay.generate("OTHER", { config: {} })).rejects.toThrow(
+            "No recorded response for this prompt"
+        );
+    });
+
+    test("replaying needs no credentials, recording needs the source's", () => {
+        expect(replay.hasCredentials({})).toBe(true);
+        expect(replay.hasCredentials({ aiReplay: { mode: "record" } })).toBe(false);
+        expect(replay.hasCredentials({ aiReplay: { mode: "record" }, openaiToken: "sk" })).toBe(
+            true
+        );
+        expect(replay.getModel({})).toBe("gpt-4o");
+    });
+
+    test("environment variables select the provider and override config", () => {
+        expect(resolveAiProviderName({ aiProvider: "Claude" })).toBe("Claude");
+        process.env.GEN_MR_REPLAY = "record";
+        process.env.GEN_MR_REPLAY_DIR = "fixtures/ai";
+        expect(resolveAiProviderName({ aiProvider: "Claude" })).toBe("Replay");
+        expect(getReplaySettings({ aiReplay: { mode: "replay", dir: "other" } })).toEqual({
+            mode: "record",
+            dir: path.join(tmpDir, "fixtures", "ai"),
+            provider: undefined,
+        });
+        process.env.GEN_MR_REPLAY = "rewind";
+        expect(resolveAiProviderName({})).toBe("ChatGPT");
+        expect(() => getReplaySettings({})).toThrow("Unsupported replay mode 'rewind'");
+    });
+
+    test("is registered and bypasses the response cache", () => {
+        const registered = getAiProvider("replay");
+        expect(registered.name).toBe("Replay");
+        expect(registered.cacheable).toBe(false);
+        expect(registered.getModel({ aiReplay: { provider: "Claude" } })).toBe("claude-sonnet-4-5");
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+    parseStructuredResponse,
+    parseTextResponse,
+    validateMergeRequestResponse,
+    buildRepairPrompt,
+    createStructuredStreamFilter,
+} from "../ai/response-parser.mjs";
+
+describe("response-parser", () => {
+    test("parses a valid JSON response", () => {
+        const out = parseStructuredResponse(
+            JSON.stringify({ title: " Add login ", description: "## Summary\nX", labels: ["feat"] })
+        );
+        expect(out).toEqual({ title: "Add login", description: "## Summary\nX", labels: ["feat"] });
+    });
+
+    test("accepts a fenced JSON response and missing labels", () => {
+        const out = parseStructuredResponse(
+            '```json\n{"title":"Fix bug","description":"Details"}\n```'
+        );
+        expect(out).toEqual({ title: "Fix bug", description: "Details", labels: [] });
+    });
+
+    test("rejects invalid JSON and schema violations", () => {
+        expect(() => parseStructuredResponse("Title: Fix bug\nBody")).toThrow(
+            "response is not valid JSON"
+        );
+        expect(() => parseStructuredResponse('{"title":"","description":"x"}')).toThrow(
+            "'title' must be a non-empty string"
+        );
+        expect(validateMergeRequestResponse({ title: "a\nb", description: "d" })).toEqual([
+            "'title' must be a single line",
+        ]);
+        expect(validateMergeRequestResponse({ title: "t", description: "d", labels: [1] })).toEqual(
+            ["'labels' must be an array of strings"]
+        );
+        expect(validateMergeRequestResponse([])).toEqual(["response must be a JSON object"]);
+    });
+
+    test("text heuristic uses the first line as title", () => {
+        expect(parseTextResponse("Title\n\nBody line")).toEqual({
+            title: "Title",
+            description: "Body line",
+            labels: [],
+        });
+    });
+
+    test("repair prompt includes the problem and previous response", () => {
+        const prompt = buildRepairPrompt("Title: X", "response is not valid JSON");
+        expect(prompt).toContain("response is not valid JSON");
+        expect(prompt).toContain("Title: X");
+    });
+
+    test("structured stream filter passes on the title and description as they arrive", () => {
+        const tokens = [];
+        const filter = createStructuredStreamFilter((token) => tokens.push(token));
+        const json = JSON.stringify({
+            title: 'Add "SSO" login',
+            description: "## Summary\n- caf\u00e9 \\ done",
+            labels: ["feat", "title"],
+        });
+
+        // Escapes split across deltas are held back until complete
+        for (let i = 0; i < json.length; i += 2) filter(json.slice(i, i + 2));
+
+        expect(tokens.join("")).toBe('Add "SSO" login\n## Summary\n- caf\u00e9 \\ done');
+        expect(tokens.some((token) => token.includes("\\n"))).toBe(false);
+    });
+
+    test("structured stream filter decodes unicode escapes split across deltas", () => {
+        const tokens = [];
+        const filter = createStructuredStreamFilter((token) => tokens.push(token));
+
+        ['{"title":"Caf\\u00', 'e9","description":"D', '"}'].forEach((token) => filter(token));
+
+        expect(tokens).toEqual(["Caf", "\u00e9\nD"]);
+    });
+});
@@ -0,0 +1,115 @@
+import { beforeEach, describe, expect, jest, test } from "@jest/globals";
+import {
+    fetchWithRetry,
+    getRetryOptions,
+    getServerRetryDelay,
+    parseResetDuration,
+} from "../ai/retry.mjs";
+
+const headers = (values = {}) => ({ get: (name) => values[name.toLowerCase()] ?? null });
+
+const mockResponse = (status, headerValues) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 429 ? "Too Many Requests" : "",
+    headers: headers(headerValues),
+    text: async () => "",
+});
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    global.fetch = jest.fn();
+});
+
+describe("retry delay helpers", () => {
+    test("parseResetDuration handles OpenAI reset formats", () => {
+        expect(parseResetDuration("1s")).toBe(1000);
+        expect(parseResetDuration("6m0s")).toBe(360000);
+        expect(parseResetDuration("20ms")).toBe(20);
+        expect(parseResetDuration("1.5s")).toBe(1500);
+        expect(parseResetDuration("soon")).toBeNull();
+        expect(parseResetDuration(null)).toBeNull();
+    });
+
+    test("getServerRetryDelay prefers retry-after-ms, then Retry-After, then reset headers", () => {
+        expect(getServerRetryDelay(headers({ "retry-after-ms": "250", "retry-after": "3" }))).toBe(
+            250
+        );
+        expect(getServerRetryDelay(headers({ "retry-after": "3" }))).toBe(3000);
+        expect(
+            getServerRetryDelay(
+                headers({ "x-ratelimit-reset-requests": "1s", "x-ratelimit-reset-tokens": "2s" })
+            )
+        ).toBe(2000);
+        expect(getServerRetryDelay(headers())).toBeNull();
+    });
+
+    test("getRetryOptions reads config with defaults", () => {
+        expect(getRetryOptions({})).toEqual({ maxAttempts: 3, timeoutMs: 120000 });
+        expect(getRetryOptions({ aiMaxAttempts: 5, aiTimeoutSeconds: 30 })).toEqual({
+            maxAttempts: 5,
+            timeoutMs: 30000,
+        });
+    });
+});
+
+describe("fetchWithRetry", () => {
+    test("retries 429 and 503 responses, reporting each retry", async () => {
+        global.fetch
+            .mockResolvedValueOnce(mockResponse(429, { "retry-after": "0" }))
+            .mockResolvedValueOnce(mockResponse(503))
+            .mockResolvedValueOnce(mockResponse(200));
+        const onRetry = jest.fn();
+
+        const response = await fetchWithRetry("https://api", {}, { baseDelayMs: 0, onRetry });
+
+        expect(response.status).toBe(200);
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(onRetry).toHaveBeenNthCalledWith(1, {
+            attempt: 2,
+            maxAttempts: 3,
+            delayMs: 0,
+            reason: "429 Too Many Requests",
+        });
+        expect(onRetry.mock.calls[1][0]).toEqual(
+            expect.objectContaining({ attempt: 3, reason: "503" })
+        );
+    });
+
+    test("returns the last response when attempts are exhausted", async () => {
+        global.fetch.mockResolvedValue(mockResponse(429));
+        const response = await fetchWithRetry(
+            "https://api",
+            {},
+            { maxAttempts: 2, baseDelayMs: 0 }
+        );
+        expect(response.status).toBe(429);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("does not retry client errors", async () => {
+        global.fetch.mockResolvedValue(mockResponse(401));
+        const response = await fetchWithRetry("https://api", {}, { baseDelayMs: 0 });
+        expect(response.status).toBe(401);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("retries network errors and aborts requests that exceed the timeout", async () => {
+        global.fetch.mockRejectedValueOnce(new TypeError("fetch failed")).mockImplementation(
+            (url, init) =>
+                new Promise((resolve, reject) => {
+                    init.signal.addEventListener("abort", () => reject(new Error("aborted")));
+                })
+        );
+        const onRetry = jest.fn();
+
+        await expect(
+            fetchWithRetry(
+                "https://api",
+                {},
+                { maxAttempts: 2, timeoutMs: 10, baseDelayMs: 0, onRetry }
+            )
+        ).rejects.toThrow("Request timed out");
+        expect(onRetry.mock.calls[0][0].reason).toBe("network error: fetch failed");
+    });
+});
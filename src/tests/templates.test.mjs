@@ -0,0 +1,113 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    DEFAULT_PROMPT_TEMPLATE,
+    getTemplatePlaceholders,
+    loadPromptTemplate,
+    renderPromptTemplate,
+    TEMPLATES_DIR,
+} from "../config/templates.mjs";
+
+describe("prompt templates", () => {
+    let repoDir;
+    let homeDir;
+
+    beforeEach(() => {
+        repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-mr-templates-repo-"));
+        homeDir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-mr-templates-home-"));
+        jest.spyOn(process, "cwd").mockReturnValue(repoDir);
+        jest.spyOn(os, "homedir").mockReturnValue(homeDir);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(repoDir, { recursive: true, force: true });
+        fs.rmSync(homeDir, { recursive: true, force: true });
+    });
+
+    const writeTemplate = (dir, name, content) => {
+        fs.mkdirSync(path.join(dir, TEMPLATES_DIR), { recursive: true });
+        fs.writeFileSync(path.join(dir, TEMPLATES_DIR, `${name}.md`), content);
+    };
+
+    describe("renderPromptTemplate", () => {
+        test("fills in placeholders, multi-line values included", () => {
+            expect(
+                renderPromptTemplate("Merge {{ sourceBranch }} into {{targetBranch}}\n\n{{diff}}", {
+                    sourceBranch: "feature",
+                    targetBranch: "main",
+                    diff: "Code changes:\n\n\n+x",
+                })
+            ).toBe("Merge feature into main\n\nCode changes:\n\n\n+x");
+        });
+
+        test("drops lines whose placeholders are empty and collapses the blank lines", () => {
+            const template = "Intro\n\nTickets: {{jiraTickets}}\n\n{{commits}}\n\nOutro\n\n";
+
+            expect(renderPromptTemplate(template, { jiraTickets: " ", commits: "" })).toBe(
+                "Intro\n\nOutro"
+            );
+            expect(renderPromptTemplate(template, { jiraTickets: "PROJ-1" })).toBe(
+                "Intro\n\nTickets: PROJ-1\n\nOutro"
+            );
+        });
+
+        test("the default template uses every placeholder", () => {
+            expect([...getTemplatePlaceholders(DEFAULT_PROMPT_TEMPLATE)].sort()).toEqual([
+                "changedFiles",
+                "commits",
+                "descriptionTemplate",
+                "diff",
+                "jiraTickets",
+                "sourceBranch",
+                "targetBranch",
+                "userInstructions",
+            ]);
+        });
+    });
+
+    describe("loadPromptTemplate", () => {
+        test("uses the built-in default when nothing is configured", async () => {
+            expect(await loadPromptTemplate()).toEqual({
+                name: "default",
+                text: DEFAULT_PROMPT_TEMPLATE,
+            });
+        });
+
+        test("prefers the repository's template over the home directory's", async () => {
+            writeTemplate(homeDir, "short", "Home {{diff}}\n");
+            expect(await loadPromptTemplate("short")).toEqual({
+                name: "short",
+                text: "Home {{diff}}",
+                path: path.join(homeDir, TEMPLATES_DIR, "short.md"),
+            });
+
+            writeTemplate(repoDir, "short", "Repo {{diff}}");
+            expect((await loadPromptTemplate("short.md")).text).toBe("Repo {{diff}}");
+        });
+
+        test("a default.md replaces the built-in default", async () => {
+            writeTemplate(repoDir, "default", "Team default for {{sourceBranch}}");
+
+            expect((await loadPromptTemplate(undefined)).text).toBe(
+                "Team default for {{sourceBranch}}"
+            );
+        });
+
+        test("fails for missing templates, invalid names and unknown placeholders", async () => {
+            await expect(loadPromptTemplate("missing")).rejects.toThrow(
+                "Prompt template 'missing' not found"
+            );
+            await expect(loadPromptTemplate("../secrets")).rejects.toThrow(
+                "Invalid prompt template name '../secrets'"
+            );
+
+            writeTemplate(repoDir, "typo", "{{sourceBrnach}} {{diff}}");
+            await expect(loadPromptTemplate("typo")).rejects.toThrow(
+                "Unknown placeholder(s) in prompt template"
+            );
+        });
+    });
+});
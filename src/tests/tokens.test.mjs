@@ -0,0 +1,35 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+    estimateTokens,
+    getContextWindow,
+    getPromptTokenBudget,
+    DEFAULT_CONTEXT_WINDOW,
+} from "../ai/tokens.mjs";
+
+describe("tokens", () => {
+    test("estimateTokens depends on the model's tokenizer family", () => {
+        const text = "x".repeat(380);
+        expect(estimateTokens("", "gpt-4o")).toBe(0);
+        expect(estimateTokens(text, "gpt-4o")).toBe(100);
+        expect(estimateTokens(text, "gpt-3.5-turbo")).toBeGreaterThan(100);
+        expect(estimateTokens(text, "claude-sonnet-4-5")).toBeGreaterThan(
+            estimateTokens(text, "gpt-3.5-turbo")
+        );
+    });
+
+    test("getContextWindow uses the model table, config override and default", () => {
+        expect(getContextWindow("gpt-3.5-turbo")).toBe(16385);
+        expect(getContextWindow("gpt-4.1-mini")).toBe(1047576);
+        expect(getContextWindow("gpt-4o-mini")).toBe(128000);
+        expect(getContextWindow("claude-haiku-4-5")).toBe(200000);
+        expect(getContextWindow("llama3.1")).toBe(DEFAULT_CONTEXT_WINDOW);
+        expect(getContextWindow("llama3.1", { aiContextWindow: 32768 })).toBe(32768);
+    });
+
+    test("getPromptTokenBudget leaves room for the answer and a safety margin", () => {
+        const budget = getPromptTokenBudget("gpt-3.5-turbo");
+        expect(budget).toBeLessThan(16385 - 1024);
+        expect(budget).toBeGreaterThan(14000);
+        expect(getPromptTokenBudget("gpt-3.5-turbo", { aiMaxTokens: 4096 })).toBe(budget - 3072);
+    });
+});
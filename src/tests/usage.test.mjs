@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+    estimateCost,
+    formatUsage,
+    readUsageLedger,
+    recordUsage,
+    showUsageReport,
+} from "../ai/usage.mjs";
+
+let tmpDir;
+let log;
+
+beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "gen-mr-usage-"));
+    jest.spyOn(process, "cwd").mockReturnValue(tmpDir);
+    log = jest.spyOn(console, "log").mockImplementation(() => {
+        return;
+    });
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+const output = () => log.mock.calls.map((call) => call.join(" ")).join("\n");
+
+describe("usage", () => {
+    test("estimateCost uses built-in prices, config overrides and null for unknown models", () => {
+        const usage = { promptTokens: 1000000, completionTokens: 100000 };
+        expect(estimateCost(usage, "gpt-4o-mini")).toBeCloseTo(0.15 + 0.06);
+        expect(
+            estimateCost(usage, "llama3.1", { aiPricing: { "llama3.1": { input: 0, output: 0 } } })
+        ).toBe(0);
+        expect(estimateCost(usage, "llama3.1")).toBeNull();
+    });
+
+    test("estimateCost prices dated snapshots like their alias", () => {
+        const usage = { promptTokens: 1000000, completionTokens: 0 };
+        expect(estimateCost(usage, "claude-sonnet-4-5-20250929")).toBe(3);
+        expect(estimateCost(usage, "claude-sonnet-4-20250514")).toBe(3);
+        expect(estimateCost(usage, "claude-3-5-haiku-20241022")).toBe(0.8);
+        expect(estimateCost(usage, "gpt-4o-2024-08-06")).toBe(2.5);
+        expect(estimateCost(usage, "gpt-4o-mini-2024-07-18")).toBe(0.15);
+        expect(
+            estimateCost(usage, "gpt-4o-2024-08-06", {
+                aiPricing: { "gpt-4o": { input: 1, output: 1 } },
+            })
+        ).toBe(1);
+        expect(estimateCost(usage, "gpt-4o-audio-preview-2024-12-17")).toBeNull();
+    });
+
+    test("formatUsage", () => {
+        expect(formatUsage({ promptTokens: 1234, completionTokens: 256, cost: 0.00566 })).toBe(
+            "1,234 prompt + 256 completion tokens, est. $0.0057"
+        );
+        expect(formatUsage({ promptTokens: 1, completionTokens: 2, cost: null })).toBe(
+            "1 prompt + 2 completion tokens, cost unknown"
+        );
+    });
+
+    test("ledger records entries and filters by date", async () => {
+        await recordUsage({ provider: "ChatGPT", model: "gpt-4o", promptTokens: 10, cost: 0.1 });
+        const entries = await readUsageLedger();
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toEqual(expect.objectContaining({ model: "gpt-4o", promptTokens: 10 }));
+        expect(await readUsageLedger({ since: new Date(Date.now() + 86400000) })).toEqual([]);
+    });
+
+    test("showUsageReport totals per model and honours --since", async () => {
+        const ledger = path.join(tmpDir, ".gen-mr", "usage.jsonl");
+        await fs.mkdir(path.dirname(ledger), { recursive: true });
+        const lines = [
+            {
+                date: "2026-09-01T10:00:00Z",
+                provider: "ChatGPT",
+                model: "gpt-4o",
+                promptTokens: 100,
+                completionTokens: 10,
+                cost: 0.5,
+            },
+            {
+                date: "2026-10-02T10:00:00Z",
+                provider: "ChatGPT",
+                model: "gpt-4o",
+                promptTokens: 200,
+                completionTokens: 20,
+                cost: 1,
+            },
+            {
+                date: "2026-10-03T10:00:00Z",
+                provider: "Claude",
+                model: "claude-haiku-4-5",
+                promptTokens: 300,
+                completionTokens: 30,
+                cost: 0.25,
+            },
+        ];
+        await fs.writeFile(ledger, lines.map((l) => JSON.stringify(l)).join("\n") + "\n");
+
+        await showUsageReport({ since: "2026-10-01" });
+
+        expect(output()).toContain("ChatGPT (gpt-4o): 1 generation(s)");
+        expect(output()).toContain("Claude (claude-haiku-4-5): 1 generation(s)");
+        expect(output()).toContain(
+            "Total: 2 generation(s), 500 prompt + 50 completion tokens, est. $1.2500"
+        );
+    });
+
+    test("showUsageReport rejects invalid dates", async () => {
+        await expect(showUsageReport({ since: "yesterday" })).rejects.toThrow(
+            "Invalid --since date 'yesterday'"
+        );
+    });
+});
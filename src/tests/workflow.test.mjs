@@ -45,6 +45,17 @@ jest.mock("../merge-request-generator.mjs", () => ({
     generateMergeRequest: (...a) => mockGenerateMergeRequest(...a),
 }));
 
+const mockFindDescriptionTemplates = jest.fn(async () => []);
+jest.mock("../config/description-templates.mjs", () => ({
+    ...jest.requireActual("../config/description-templates.mjs"),
+    findDescriptionTemplates: (...a) => mockFindDescriptionTemplates(...a),
+}));
+
+const mockGetRepositoryRoot = jest.fn(async () => "/work/repo");
+jest.mock("../git-provider/git-provider.mjs", () => ({
+    getRepositoryRoot: (...a) => mockGetRepositoryRoot(...a),
+}));
+
 const mockFormatSourceBranchDisplay = jest.fn((b) => b);
 jest.mock("../utils/branch-format.mjs", () => ({
     formatSourceBranchDisplay: (...a) => mockFormatSourceBranchDisplay(...a),
@@ -104,6 +115,22 @@ describe("executePRWorkflow", () => {
         expect(mockCreateOrUpdatePullRequest).toHaveBeenCalled();
     });
 
+    test("does not fetch the remote in offline replay runs", async () => {
+        mockFindExistingPullRequest.mockResolvedValue(null);
+        mockGenerateMergeRequestSafe.mockResolvedValue(makeResult());
+        setMockAnswers(["1"]);
+        await executePRWorkflow({
+            args: ["feature-x", "main"],
+            remoteName: "origin",
+            config: { aiProvider: "Replay", aiReplay: { mode: "replay" } },
+            repository: "owner/repo",
+            repoProvider: buildRepoProvider(),
+        });
+        expect(mockValidatePRInputAndBranches).toHaveBeenCalledWith(
+            expect.objectContaining({ offline: true })
+        );
+    });
+
     test("existing PR cancel returns cancellation object", async () => {
         mockFindExistingPullRequest.mockResolvedValue({ number: 5, title: "Old", body: "B" });
         setMockAnswers(["3"]);
@@ -252,6 +279,120 @@ describe("executePRWorkflow", () => {
         expect(call.title).toBe("Regenerated Title");
     });
 
+    test("streams generation output by default and not with aiStream false", async () => {
+        mockFindExistingPullRequest.mockResolvedValue(null);
+        mockGenerateMergeRequestSafe.mockImplementation(async (...a) => {
+            a[4].onToken?.("Streamed");
+            return makeResult();
+        });
+        const writeSpy = jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+        setMockAnswers(["4"]);
+        await executePRWorkflow({
+            args: ["feature-x", "main"],
+            remoteName: "origin",
+            config: { githubToken: "TOK" },
+            repository: "owner/repo",
+            repoProvider: buildRepoProvider(),
+        });
+        expect(typeof mockGenerateMergeRequestSafe.mock.calls[0][4].onToken).toBe("function");
+        expect(writeSpy).toHaveBeenCalledWith("Streamed");
+
+        setMockAnswers(["4"]);
+        await executePRWorkflow({
+            args: ["feature-x", "main"],
+            remoteName: "origin",
+            config: { githubToken: "TOK", aiStream: false },
+            repository: "owner/repo",
+            repoProvider: buildRepoProvider(),
+        });
+        expect(mockGenerateMergeRequestSafe.mock.calls[1][4].onToken).toBeUndefined();
+        writeSpy.mockRestore();
+    });
+
+    describe("candidates", () => {
+        const candidates = [
+            { title: "First", description: "Desc one", labels: ["bug"], model: "gpt-4" },
+            { title: "Second", description: "Desc two", labels: ["ui"], model: "gpt-4" },
+            { title: "Third", description: "Desc three", labels: ["bug"], model: "gpt-4" },
+        ];
+
+        const run = () =>
+            executePRWorkflow({
+                args: ["feature-x", "main"],
+                remoteName: "origin",
+                config: { githubToken: "TOK" },
+                repository: "owner/repo",
+                repoProvider: buildRepoProvider(),
+            });
+
+        beforeEach(() => {
+            mockFindExistingPullRequest.mockResolvedValue(null);
+            mockGenerateMergeRequestSafe.mockResolvedValue(
+                makeResult({ ...candidates[0], candidates })
+            );
+            mockCreateOrUpdatePullRequest.mockResolvedValue({ number: 7 });
+        });
+
+        test("picks a numbered candidate and continues into the menu", async () => {
+            setMockAnswers(["9", "2", "1"]);
+            await run();
+            const call = mockCreateOrUpdatePullRequest.mock.calls.at(-1)[0];
+            expect(call.title).toBe("Second");
+            expect(call.description).toBe("Desc two");
+            expect(console.log).toHaveBeenCalledWith("❌ Invalid option. Please choose 1-3 or m.");
+        });
+
+        test("merges the title of one candidate with descriptions of others", async () => {
+            setMockAnswers(["m", "3", "1, 2", "1"]);
+            await run();
+            const call = mockCreateOrUpdatePullRequest.mock.calls.at(-1)[0];
+            expect(call.title).toBe("Third");
+            expect(call.description).toBe("Desc one\n\nDesc two");
+        });
+
+        test("continues the conversation from the chosen or merged candidate", async () => {
+            const conversation = [
+                { role: "user", content: "PROMPT" },
+                { role: "assistant", content: "First\nDesc one", result: { title: "First" } },
+            ];
+            mockGenerateMergeRequestSafe.mockResolvedValue(
+                makeResult({ ...candidates[0], candidates, conversation, structured: false })
+            );
+            mockOpenInEditor.mockResolvedValue("Shorter\n");
+            mockGenerateMergeRequest.mockResolvedValue(makeResult({ title: "Regenerated" }));
+
+            setMockAnswers(["2", "3", "5"]);
+            await run();
+            setMockAnswers(["m", "3", "1,2", "3", "5"]);
+            await run();
+
+            const [picked, merged] = mockGenerateMergeRequest.mock.calls.map(
+                (call) => call[4].history
+            );
+            expect(picked).toEqual([
+                conversation[0],
+                {
+                    role: "assistant",
+                    content: "Second\nDesc two",
+                    result: { title: "Second", description: "Desc two" },
+                },
+            ]);
+            expect(merged[1]).toEqual({
+                role: "assistant",
+                content: "Third\nDesc one\n\nDesc two",
+                result: { title: "Third", description: "Desc one\n\nDesc two" },
+            });
+        });
+
+        test("regeneration from the menu asks for a single candidate", async () => {
+            mockOpenInEditor.mockResolvedValue("Shorter\n");
+            mockGenerateMergeRequest.mockResolvedValue(makeResult({ title: "Regenerated" }));
+            setMockAnswers(["1", "3", "5"]);
+            await run();
+            expect(mockGenerateMergeRequest.mock.calls[0][4].candidates).toBe(1);
+        });
+    });
+
     test("validation error propagates", async () => {
         mockValidatePRInputAndBranches.mockRejectedValue(new Error("bad"));
         await expect(
@@ -509,4 +650,149 @@ describe("executePRWorkflow", () => {
         const saveCall = mockCreateOrUpdatePullRequest.mock.calls.at(-1)[0];
         expect(saveCall.title).toBe("Regen Title");
     });
+    describe("conversation history", () => {
+        const conversation = [
+            { role: "user", content: "Generate...\nline 2\nline 3" },
+            { role: "assistant", content: "{}", result: { title: "Init Title" } },
+        ];
+        const run = () =>
+            executePRWorkflow({
+                args: ["feature-x", "main"],
+                remoteName: "origin",
+                config: { githubToken: "TOK" },
+                repository: "owner/repo",
+                repoProvider: buildRepoProvider(),
+            });
+
+        beforeEach(() => {
+            mockFindExistingPullRequest.mockResolvedValue(null);
+            mockGenerateMergeRequestSafe.mockResolvedValue(makeResult({ conversation }));
+            mockOpenInEditor.mockResolvedValue("Shorter\n");
+        });
+
+        test("regeneration continues the conversation of the previous result", async () => {
+            const continued = [
+                ...conversation,
+                { role: "user", content: "Please revise...\nShorter" },
+                { role: "assistant", content: "{}", result: { title: "Second" } },
+            ];
+            mockGenerateMergeRequest
+                .mockResolvedValueOnce(makeResult({ title: "Second", conversation: continued }))
+                .mockResolvedValueOnce(makeResult({ title: "Third" }));
+            setMockAnswers(["3", "3", "h", "1"]);
+
+            await run();
+
+            expect(mockGenerateMergeRequest.mock.calls[0][4].history).toBe(conversation);
+            expect(mockGenerateMergeRequest.mock.calls[1][4].history).toBe(continued);
+            const logText = console.log.mock.calls.map((c) => c.join(" ")).join("\n");
+            expect(logText).toContain("h. 📜 View conversation history");
+            expect(logText).toContain("📜 Conversation history (4 messages)");
+            expect(logText).toContain("👤 Initial prompt with the git context (3 lines)");
+            expect(logText).toContain("🤖 AI: Second");
+            expect(logText).toContain("👤 You:\nPlease revise...\nShorter");
+        });
+
+        test("reset starts the next regeneration from a fresh prompt", async () => {
+            mockGenerateMergeRequest.mockResolvedValue(makeResult({ title: "Fresh" }));
+            setMockAnswers(["r", "3", "1"]);
+
+            await run();
+
+            expect(mockGenerateMergeRequest.mock.calls[0][4].history).toEqual([]);
+            const logText = console.log.mock.calls.map((c) => c.join(" ")).join("\n");
+            expect(logText).toContain("🧹 Conversation history cleared");
+        });
+
+        test("history options are not offered without a conversation", async () => {
+            mockGenerateMergeRequestSafe.mockResolvedValue(makeResult());
+            setMockAnswers(["h", "1"]);
+
+            await run();
+
+            const logText = console.log.mock.calls.map((c) => c.join(" ")).join("\n");
+            expect(logText).not.toContain("View conversation history");
+            expect(logText).toMatch(/Invalid option\. Please choose 1-4/);
+        });
+    });
+    describe("description templates", () => {
+        const templates = [
+            {
+                name: "feature",
+                path: ".github/PULL_REQUEST_TEMPLATE/feature.md",
+                content: "## Why",
+            },
+            { name: "bugfix", path: ".github/PULL_REQUEST_TEMPLATE/bugfix.md", content: "## Bug" },
+        ];
+        const run = (config = { githubToken: "TOK" }) =>
+            executePRWorkflow({
+                args: ["feature-x", "main"],
+                remoteName: "origin",
+                config,
+                repository: "owner/repo",
+                repoProvider: { ...buildRepoProvider(), platform: "github" },
+            });
+
+        beforeEach(() => {
+            mockFindExistingPullRequest.mockResolvedValue(null);
+            mockGenerateMergeRequestSafe.mockResolvedValue(makeResult());
+            mockGetDefaultPromptOptions.mockImplementation((options) => options);
+        });
+
+        test("uses the only template without asking", async () => {
+            mockFindDescriptionTemplates.mockResolvedValueOnce([templates[0]]);
+            setMockAnswers(["1"]);
+
+            await run();
+
+            expect(mockFindDescriptionTemplates).toHaveBeenCalledWith("github", "/work/repo");
+            const opts = mockGenerateMergeRequestSafe.mock.calls[0][4];
+            expect(opts.promptOptions.descriptionTemplate).toBe(templates[0]);
+        });
+
+        test("lets the user pick one of several templates and keeps it for regeneration", async () => {
+            mockFindDescriptionTemplates.mockResolvedValueOnce(templates);
+            mockOpenInEditor.mockResolvedValue("Shorter");
+            mockGenerateMergeRequest.mockResolvedValue(makeResult({ promptOptions: undefined }));
+            mockGenerateMergeRequestSafe.mockResolvedValue(
+                makeResult({ promptOptions: undefined })
+            );
+            setMockAnswers(["7", "2", "3", "1"]);
+
+            await run();
+
+            expect(mockGenerateMergeRequestSafe.mock.calls[0][4].promptOptions).toEqual(
+                expect.objectContaining({ descriptionTemplate: templates[1] })
+            );
+            expect(mockGenerateMergeRequest.mock.calls[0][4].promptOptions).toEqual(
+                expect.objectContaining({ descriptionTemplate: templates[1] })
+            );
+            const logText = console.log.mock.calls.map((c) => c.join(" ")).join("\n");
+            expect(logText).toContain("Invalid option. Please choose 0-2.");
+        });
+
+        test("choosing none or disabling templates leaves them out", async () => {
+            mockFindDescriptionTemplates.mockResolvedValue(templates);
+            setMockAnswers(["0", "1"]);
+            await run();
+            expect(mockGenerateMergeRequestSafe.mock.calls[0][4].promptOptions).not.toHaveProperty(
+                "descriptionTemplate"
+            );
+
+            mockFindDescriptionTemplates.mockClear();
+            setMockAnswers(["1"]);
+            await run({ githubToken: "TOK", descriptionTemplate: false });
+            expect(mockFindDescriptionTemplates).not.toHaveBeenCalled();
+        });
+
+        test("picks the configured template by name", async () => {
+            mockFindDescriptionTemplates.mockResolvedValueOnce(templates);
+            setMockAnswers(["1"]);
+
+            await run({ githubToken: "TOK", descriptionTemplate: "Bugfix" });
+
+            const opts = mockGenerateMergeRequestSafe.mock.calls[0][4];
+            expect(opts.promptOptions.descriptionTemplate).toBe(templates[1]);
+        });
+    });
 });
@@ -0,0 +1,26 @@
+// utils/concurrency.mjs
+// Run async work over a list with a bounded number of tasks in flight
+
+/**
+ * Map items through an async function, running at most `limit` calls at a time.
+ * Results keep the order of the input; the first rejection rejects the whole call.
+ * @param {any[]} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls (at least 1)
+ * @param {(item: any, index: number) => Promise<any>} fn - Async mapper
+ * @returns {Promise<any[]>} Results in input order
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+};
@@ -0,0 +1,220 @@
+// utils/diff-budget.mjs
+// Fits a unified diff into a size budget file by file instead of keeping its first lines:
+// every changed file gets a fair share (source before tests and configuration), hunk headers
+// are kept, and hunks that do not fit are summarized by their +added/-removed line counts.
+
+import { splitDiffByFile, splitFileDiffIntoHunks } from "./diff.mjs";
+
+// File kinds in priority order, with their weight when the budget is shared
+const FILE_KIND_WEIGHTS = { source: 3, test: 1, config: 1 };
+
+const TEST_PATTERN = /(^|\/)(__tests__|__mocks__|tests?|spec|e2e)\/|[._-](test|spec)\.[^/]+$/i;
+const CONFIG_PATTERN =
+    /(^|\/)(\.[^/]+|Dockerfile|Makefile|LICENSE[^/]*|CHANGELOG[^/]*)$|\.(json|ya?ml|toml|ini|cfg|conf|lock|xml|md|mdx|txt|rst|env|properties)$/i;
+
+/**
+ * Classify a changed file for budgeting
+ * @param {string} filePath - Repository-relative path
+ * @returns {"source"|"test"|"config"} File kind; source files get the largest share
+ */
+export const getDiffFileKind = (filePath) => {
+    if (TEST_PATTERN.test(filePath)) return "test";
+    if (CONFIG_PATTERN.test(filePath)) return "config";
+    return "source";
+};
+
+/**
+ * Count the added and removed lines of diff text
+ * @param {string[]} lines - Hunk lines
+ * @returns {{ added: number, removed: number }} Line counts
+ */
+const countChanges = (lines) => ({
+    added: lines.filter((line) => line.startsWith("+")).length,
+    removed: lines.filter((line) => line.startsWith("-")).length,
+});
+
+const formatChanges = ({ added, removed }) => `+${added}/-${removed}`;
+
+/**
+ * Fit a diff into a budget. Each file is shown at the richest level that fits:
+ *   - only its `diff --git` line and a +x/-y note
+ *   - its header and every hunk header, each followed by a +x/-y note
+ *   - with some or all of its hunks in full
+ * The budget first pays for the compact forms of all files (in priority order), then the
+ * rest is shared out in rounds, weighted by file kind, to expand hunks. Whatever is left
+ * after that goes to hunks larger than a share, and finally to the first lines of one hunk.
+ * Files that do not fit even in compact form are counted in a closing note.
+ * @param {string} diff - Output of `git diff`
+ * @param {object} params
+ * @param {number} params.limit - Budget, in the unit of lineCost
+ * @param {(line: string) => number} [params.lineCost] - Cost of one output line (1 = count lines)
+ * @returns {{ text: string, shownLines: number, totalLines: number }} Fitted diff, the number
+ *          of original diff lines it shows and the number of lines of the full diff
+ */
+export const fitDiffToBudget = (diff, { limit, lineCost = () => 1 }) => {
+    const cost = (lines) => lines.reduce((sum, line) => sum + lineCost(line), 0);
+    const allLines = diff ? diff.split("\n") : [];
+    const totalLines = allLines.length;
+    if (cost(allLines) <= limit) {
+        return { text: allLines.join("\n"), shownLines: totalLines, totalLines };
+    }
+
+    const files = splitDiffByFile(diff).map(({ file, text }, index) => {
+        const { header, hunks } = splitFileDiffIntoHunks(text);
+        const headerLines = header.split("\n");
+        const kind = getDiffFileKind(file);
+        const parsedHunks = hunks.map((hunk) => {
+            const lines = hunk.split("\n");
+            const changes = countChanges(lines.slice(1));
+            const skeleton = [lines[0], `... (hunk omitted: ${formatChanges(changes)})`];
+            return {
+                lines,
+                changes,
+                skeleton,
+                mode: "skeleton",
+                shown: [],
+                fullDelta: cost(lines) - cost(skeleton),
+            };
+        });
+        const changes = countChanges(hunks.join("\n").split("\n"));
+        const collapsed =
+            hunks.length > 0
+                ? [
+                      headerLines[0],
+                      `... (${hunks.length} hunk(s) omitted: ${formatChanges(changes)})`,
+                  ]
+                : [headerLines[0]];
+        return {
+            index,
+            file,
+            kind,
+            weight: FILE_KIND_WEIGHTS[kind],
+            headerLines,
+            hunks: parsedHunks,
+            changes,
+            collapsed,
+            level: "omitted",
+        };
+    });
+
+    const order = [...files].sort(
+        (a, b) =>
+            Object.keys(FILE_KIND_WEIGHTS).indexOf(a.kind) -
+                Object.keys(FILE_KIND_WEIGHTS).indexOf(b.kind) || a.index - b.index
+    );
+    const skeletonCost = (file) =>
+        cost(file.headerLines) + file.hunks.reduce((sum, hunk) => sum + cost(hunk.skeleton), 0);
+
+    // Room for the closing "more files omitted" note
+    let remaining = limit - lineCost("... (999 more file(s) omitted: +99999/-99999)");
+
+    // 1. Every file in compact form, as far as the budget goes
+    order.forEach((file) => {
+        const needed = cost(file.collapsed);
+        if (needed <= remaining) {
+            file.level = "collapsed";
+            remaining -= needed;
+        }
+    });
+
+    // 2. File and hunk headers
+    order.forEach((file) => {
+        if (file.level !== "collapsed") return;
+        const delta = skeletonCost(file) - cost(file.collapsed);
+        if (delta <= remaining) {
+            file.level = "hunks";
+            remaining -= delta;
+        }
+    });
+
+    // 3. Full hunks, shared out in rounds so that no file takes the whole budget
+    const expandable = () =>
+        order.filter(
+            (file) => file.level === "hunks" && file.hunks.some((h) => h.mode === "skeleton")
+        );
+    for (let progress = true; progress && remaining > 0; ) {
+        progress = false;
+        const active = expandable();
+        const totalWeight = active.reduce((sum, file) => sum + file.weight, 0);
+        const pool = remaining;
+        active.forEach((file) => {
+            let share = (pool * file.weight) / totalWeight;
+            file.hunks.forEach((hunk) => {
+                if (hunk.mode !== "skeleton" || hunk.fullDelta > share) return;
+                hunk.mode = "full";
+                share -= hunk.fullDelta;
+                remaining -= hunk.fullDelta;
+                progress = true;
+            });
+        });
+    }
+
+    // 4. Leftover budget: hunks larger than a share, then the first lines of one more hunk
+    expandable().forEach((file) =>
+        file.hunks.forEach((hunk) => {
+            if (hunk.mode !== "skeleton" || hunk.fullDelta > remaining) return;
+            hunk.mode = "full";
+            remaining -= hunk.fullDelta;
+        })
+    );
+    const partial = expandable()
+        .flatMap((file) => file.hunks)
+        .find((hunk) => hunk.mode === "skeleton");
+    if (partial) {
+        const [hunkHeader, ...body] = partial.lines;
+        let room = remaining + cost(partial.skeleton) - lineCost(hunkHeader);
+        room -= lineCost(`... (rest of hunk omitted: ${formatChanges(partial.changes)})`);
+        const shown = [];
+        for (const line of body) {
+            if (lineCost(line) > room) break;
+            shown.push(line);
+            room -= lineCost(line);
+        }
+        if (shown.length > 0) {
+            partial.mode = "partial";
+            partial.shown = shown;
+        }
+    }
+
+    // Render in the original file order
+    let shownLines = 0;
+    const output = [];
+    const omitted = { files: 0, added: 0, removed: 0 };
+    files.forEach((file) => {
+        if (file.level === "omitted") {
+            omitted.files += 1;
+            omitted.added += file.changes.added;
+            omitted.removed += file.changes.removed;
+            return;
+        }
+        if (file.level === "collapsed") {
+            output.push(...file.collapsed);
+            shownLines += 1;
+            return;
+        }
+        output.push(...file.headerLines);
+        shownLines += file.headerLines.length;
+        file.hunks.forEach((hunk) => {
+            if (hunk.mode === "full") {
+                output.push(...hunk.lines);
+                shownLines += hunk.lines.length;
+            } else if (hunk.mode === "partial") {
+                const rest = countChanges(hunk.lines.slice(1 + hunk.shown.length));
+                output.push(
+                    hunk.lines[0],
+                    ...hunk.shown,
+                    `... (rest of hunk omitted: ${formatChanges(rest)})`
+                );
+                shownLines += 1 + hunk.shown.length;
+            } else {
+                output.push(...hunk.skeleton);
+                shownLines += 1;
+            }
+        });
+    });
+    if (omitted.files > 0) {
+        output.push(`... (${omitted.files} more file(s) omitted: ${formatChanges(omitted)})`);
+    }
+
+    return { text: output.join("\n"), shownLines, totalLines };
+};
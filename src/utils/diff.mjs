@@ -0,0 +1,137 @@
+// utils/diff.mjs
+// Helpers for splitting unified git diffs into per-file parts and hunks
+
+// Characters of C-style escape sequences in quoted paths
+const C_ESCAPES = {
+    a: "\x07",
+    b: "\b",
+    t: "\t",
+    n: "\n",
+    v: "\v",
+    f: "\f",
+    r: "\r",
+    '"': '"',
+    "\\": "\\",
+};
+
+/**
+ * Decode a path as printed by git. Paths with special characters (and, unless
+ * core.quotePath is false, non-ASCII ones) are quoted C-style with octal-escaped UTF-8 bytes:
+ * "secrets/\303\274 key.txt"
+ * @param {string} quotedPath - Path from git output
+ * @returns {string} Decoded path (unquoted paths are returned unchanged)
+ */
+export const unquoteGitPath = (quotedPath) => {
+    const text = String(quotedPath || "");
+    if (!(text.length >= 2 && text.startsWith('"') && text.endsWith('"'))) return text;
+
+    const bytes = [];
+    const chars = Array.from(text.slice(1, -1));
+    for (let i = 0; i < chars.length; i++) {
+        const octal = chars.slice(i + 1, i + 4).join("");
+        if (chars[i] !== "\\") {
+            bytes.push(...Buffer.from(chars[i], "utf8"));
+        } else if (/^[0-7]{3}$/.test(octal)) {
+            bytes.push(parseInt(octal, 8));
+            i += 3;
+        } else {
+            bytes.push(...Buffer.from(C_ESCAPES[chars[i + 1]] ?? chars[i + 1] ?? "", "utf8"));
+            i += 1;
+        }
+    }
+    return Buffer.from(bytes).toString("utf8");
+};
+
+/**
+ * Read the old and new path of a `diff --git a/<old> b/<new>` header, quoted or not
+ * @param {string} line - Header line
+ * @returns {{ oldFile: string, newFile: string }|null} Paths, or null when the line is not a
+ *          header git could have printed
+ */
+export const parseDiffHeader = (line) => {
+    if (!line.startsWith("diff --git ")) return null;
+    const rest = line.slice("diff --git ".length);
+
+    // Quoted old path: the new path follows after a space
+    const quoted = rest.match(/^("(?:[^"\\]|\\.)*") (.+)$/);
+    if (quoted) {
+        const oldPath = unquoteGitPath(quoted[1]);
+        const newPath = unquoteGitPath(quoted[2]);
+        return oldPath.startsWith("a/") && newPath.startsWith("b/")
+            ? { oldFile: oldPath.slice(2), newFile: newPath.slice(2) }
+            : null;
+    }
+    // Unquoted old path and quoted new path
+    const quotedNew = rest.match(/^a\/(.+?) ("b\/(?:[^"\\]|\\.)*")$/);
+    if (quotedNew) {
+        return { oldFile: quotedNew[1], newFile: unquoteGitPath(quotedNew[2]).slice(2) };
+    }
+    // Both unquoted: paths may contain " b/", so prefer the split giving two equal paths
+    const half = (rest.length - 1) / 2;
+    if (Number.isInteger(half) && rest.startsWith("a/") && rest.slice(half, half + 3) === " b/") {
+        const oldFile = rest.slice(2, half);
+        if (oldFile === rest.slice(half + 3)) return { oldFile, newFile: oldFile };
+    }
+    const renamed = rest.match(/^a\/(.+?) b\/(.+)$/);
+    return renamed ? { oldFile: renamed[1], newFile: renamed[2] } : null;
+};
+
+/**
+ * Split a unified git diff into one entry per file
+ * @param {string} diff - Output of `git diff`
+ * @returns {{ file: string, oldFile: string, text: string }[]} File path (new path, or old path
+ *          for deletions), the old path and its diff; both paths are "" when the header
+ *          could not be read
+ */
+export const splitDiffByFile = (diff) => {
+    if (!diff) return [];
+
+    const parts = [];
+    let current = null;
+    diff.split("\n").forEach((line) => {
+        if (line.startsWith("diff --git ")) {
+            // An unreadable header still starts a new part, so it is never judged by the
+            // path of the previous file
+            const { oldFile = "", newFile = "" } = parseDiffHeader(line) || {};
+            current = { file: newFile, oldFile, lines: [line] };
+            parts.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        } else {
+            // Text before the first file header (should not happen with git diff output)
+            current = { file: "", oldFile: "", lines: [line] };
+            parts.push(current);
+        }
+    });
+
+    return parts.map(({ file, oldFile, lines }) => ({ file, oldFile, text: lines.join("\n") }));
+};
+
+/**
+ * Split a single file diff into its header (diff --git, index, ---/+++ lines) and hunks
+ * @param {string} fileDiff - Diff of one file
+ * @returns {{ header: string, hunks: string[] }} Header text and the text of each @@ hunk
+ */
+export const splitFileDiffIntoHunks = (fileDiff) => {
+    const lines = String(fileDiff || "").split("\n");
+    const firstHunk = lines.findIndex((line) => line.startsWith("@@"));
+    if (firstHunk === -1) {
+        return { header: lines.join("\n"), hunks: [] };
+    }
+
+    const hunks = [];
+    let current = null;
+    lines.slice(firstHunk).forEach((line) => {
+        if (line.startsWith("@@")) {
+            current = [line];
+            hunks.push(current);
+        } else {
+            current.push(line);
+        }
+    });
+
+    return {
+        header: lines.slice(0, firstHunk).join("\n"),
+        hunks: hunks.map((hunk) => hunk.join("\n")),
+    };
+};
@@ -0,0 +1,58 @@
+// utils/glob.mjs
+// Minimal gitignore-style glob matching for repository paths
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Translate glob syntax to regular expression source (without anchors)
+ * @param {string} pattern - Glob pattern
+ * @returns {string} Regular expression source
+ */
+const globToSource = (pattern) => {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const braceEnd = char === "{" ? pattern.indexOf("}", i) : -1;
+        if (char === "*" && pattern[i + 1] === "*") {
+            const slash = pattern[i + 2] === "/";
+            source += slash ? "(?:.*/)?" : ".*";
+            i += slash ? 2 : 1;
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (braceEnd > i) {
+            const options = pattern.slice(i + 1, braceEnd).split(",");
+            source += `(?:${options.map(globToSource).join("|")})`;
+            i = braceEnd;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return source;
+};
+
+/**
+ * Convert a glob to a regular expression matching repository-relative paths.
+ * `*` matches within a path segment, `**` across segments, `?` one character and
+ * `{a,b}` alternatives. Like .gitignore, a pattern without a slash matches a file or
+ * directory name at any depth, a pattern with a slash is anchored at the repository root,
+ * and a match on a directory covers everything below it.
+ * @param {string} glob - Glob pattern, e.g. "*.pem", "secrets/", "vendor/licensed/**"
+ * @returns {RegExp} Regular expression for the pattern
+ */
+export const globToRegExp = (glob) => {
+    const pattern = String(glob).trim().replace(/\/+$/, "");
+    const anchored = pattern.includes("/");
+    const source = globToSource(pattern.replace(/^\/+/, ""));
+    return new RegExp(`${anchored ? "^" : "^(?:.*/)?"}${source}(?:/.*)?$`);
+};
+
+/**
+ * Check whether a path matches any of the globs
+ * @param {string} filePath - Repository-relative path
+ * @param {string[]} globs - Glob patterns
+ * @returns {boolean} True when at least one pattern matches
+ */
+export const matchesAnyGlob = (filePath, globs = []) =>
+    globs.some((glob) => globToRegExp(glob).test(filePath));
@@ -0,0 +1,124 @@
+// utils/http-client.mjs
+// Shared HTTP client for every outbound request (AI providers, GitHub/GitLab APIs, token checks).
+// Proxies come from HTTPS_PROXY / HTTP_PROXY / NO_PROXY or config.http, TLS can use a custom CA
+// bundle and a client certificate. The settings are installed as the global fetch dispatcher.
+
+import fs from "fs/promises";
+import path from "path";
+import tls from "tls";
+import { URL } from "url";
+import { clearTimeout, setTimeout } from "timers";
+import { EnvHttpProxyAgent, setGlobalDispatcher } from "undici";
+
+export const DEFAULT_HTTP_TIMEOUT_SECONDS = 30;
+
+let requestTimeoutMs = DEFAULT_HTTP_TIMEOUT_SECONDS * 1000;
+
+/**
+ * Resolve the HTTP settings from config.http
+ * ({ proxy, noProxy, caFile, certFile, keyFile, timeoutSeconds }). Proxy settings left out
+ * of the config are taken from the environment.
+ * @param {object} [config] - Configuration object
+ * @returns {{ proxy?: string, noProxy?: string, caFile?: string, certFile?: string, keyFile?: string, timeoutMs: number }}
+ */
+export const getHttpSettings = (config = {}) => {
+    const http = config.http || {};
+    if (Boolean(http.certFile) !== Boolean(http.keyFile)) {
+        throw new Error("http.certFile and http.keyFile must be set together");
+    }
+    const timeoutSeconds = Number(http.timeoutSeconds);
+    return {
+        proxy: http.proxy || undefined,
+        noProxy: http.noProxy ?? undefined,
+        caFile: http.caFile || undefined,
+        certFile: http.certFile || undefined,
+        keyFile: http.keyFile || undefined,
+        timeoutMs: (timeoutSeconds > 0 ? timeoutSeconds : DEFAULT_HTTP_TIMEOUT_SECONDS) * 1000,
+    };
+};
+
+const readPemFile = async (file, label) => {
+    const filePath = path.resolve(process.cwd(), file);
+    try {
+        return await fs.readFile(filePath, "utf8");
+    } catch (error) {
+        throw new Error(`Failed to read ${label} '${filePath}': ${error.message}`);
+    }
+};
+
+/**
+ * Build the dispatcher options for the settings: proxy URLs, TLS options for the proxy and
+ * the target servers, and the connect timeout. A custom CA is added to Node's root
+ * certificates (and NODE_EXTRA_CA_CERTS), not used instead of them.
+ * @param {object} settings - Settings from getHttpSettings()
+ * @returns {Promise<object>} EnvHttpProxyAgent options
+ */
+export const buildDispatcherOptions = async (settings) => {
+    const tlsOptions = {};
+    if (settings.caFile) {
+        const extra = process.env.NODE_EXTRA_CA_CERTS
+            ? [await readPemFile(process.env.NODE_EXTRA_CA_CERTS, "NODE_EXTRA_CA_CERTS")]
+            : [];
+        tlsOptions.ca = [
+            ...tls.rootCertificates,
+            ...extra,
+            await readPemFile(settings.caFile, "CA bundle"),
+        ];
+    }
+    if (settings.certFile) {
+        tlsOptions.cert = await readPemFile(settings.certFile, "client certificate");
+        tlsOptions.key = await readPemFile(settings.keyFile, "client key");
+    }
+
+    return {
+        // Without explicit values the agent reads HTTP(S)_PROXY and NO_PROXY itself
+        ...(settings.proxy ? { httpProxy: settings.proxy, httpsProxy: settings.proxy } : {}),
+        ...(settings.noProxy !== undefined ? { noProxy: settings.noProxy } : {}),
+        connect: { ...tlsOptions, timeout: settings.timeoutMs },
+        requestTls: tlsOptions,
+        proxyTls: tlsOptions,
+    };
+};
+
+/**
+ * Configure the HTTP client for this run. Call once at startup, before any request.
+ * @param {object} [config] - Configuration object
+ * @returns {Promise<void>}
+ */
+export const configureHttpClient = async (config = {}) => {
+    const settings = getHttpSettings(config);
+    setGlobalDispatcher(new EnvHttpProxyAgent(await buildDispatcherOptions(settings)));
+    requestTimeoutMs = settings.timeoutMs;
+};
+
+/**
+ * fetch() through the shared client. Requests without their own abort signal time out
+ * after http.timeoutSeconds (default 30s) when no response arrives.
+ * @param {string} url - Request URL
+ * @param {object} [init] - fetch options
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Overrides the configured timeout
+ * @returns {Promise<Response>} fetch response
+ */
+export const httpFetch = async (url, init = {}, { timeoutMs = requestTimeoutMs } = {}) => {
+    if (init.signal) {
+        return fetch(url, init);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            const timeoutError = new Error(
+                `Request to ${new URL(url).host} timed out after ${Math.round(timeoutMs / 1000)}s`
+            );
+            timeoutError.code = "timeout";
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+};
@@ -0,0 +1,186 @@
+// utils/secrets.mjs
+// Redaction of secrets (API keys, private keys, tokens...) from text before it is sent to an AI
+
+// Built-in detectors. `group` is the capture group holding the secret (default: whole match),
+// so `NAME=value` keeps its name and only the value is replaced.
+export const SECRET_DETECTORS = [
+    {
+        type: "private-key",
+        label: "private key",
+        pattern:
+            /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----|$)/g,
+    },
+    {
+        type: "aws-access-key",
+        label: "AWS access key ID",
+        pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g,
+    },
+    {
+        type: "aws-secret-key",
+        label: "AWS secret access key",
+        pattern:
+            /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+        group: 1,
+    },
+    {
+        type: "jwt",
+        label: "JWT",
+        pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+    },
+    {
+        type: "api-token",
+        label: "API token",
+        // GitHub, GitLab, OpenAI/Anthropic, Slack, Google API keys
+        pattern:
+            /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,}|glpat-[A-Za-z0-9_-]{20,}|sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b/g,
+    },
+    {
+        type: "credential-assignment",
+        label: "credential assignment",
+        // FOO_TOKEN=..., DB_PASSWORD: "...", API_KEY=... (variable references and values already
+        // redacted by another detector are kept)
+        pattern:
+            /\b[A-Z][A-Z0-9_]*(?:TOKEN|SECRET|PASSWORD|PASSWD|API_KEY|APIKEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIALS?)\b["']?\s*[:=]\s*["']?(?![$<{%]|\[REDACTED_)([^\s"'`,;]{6,})/g,
+        group: 1,
+    },
+];
+
+// Long random-looking strings: mixed-case letters and digits with high Shannon entropy.
+// Hex strings (commit hashes) stay below the threshold.
+const HIGH_ENTROPY_CANDIDATE =
+    /(?<![A-Za-z0-9+/=_-])[A-Za-z0-9+/_-]{32,}={0,2}(?![A-Za-z0-9+/=_-])/g;
+const HIGH_ENTROPY_THRESHOLD = 4.3;
+const HIGH_ENTROPY_DETECTOR = { type: "high-entropy", label: "high-entropy string" };
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @param {string} text - Text to measure
+ * @returns {number} Entropy
+ */
+export const shannonEntropy = (text) => {
+    const counts = new Map();
+    for (const char of text) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    counts.forEach((count) => {
+        const p = count / text.length;
+        entropy -= p * Math.log2(p);
+    });
+    return entropy;
+};
+
+/**
+ * Check whether a string looks like a random secret
+ * @param {string} text - Candidate string
+ * @returns {boolean} True for long mixed-character strings with high entropy
+ */
+export const isHighEntropyString = (text) =>
+    /[a-z]/.test(text) &&
+    /[A-Z]/.test(text) &&
+    /\d/.test(text) &&
+    shannonEntropy(text) >= HIGH_ENTROPY_THRESHOLD;
+
+/**
+ * Build the redaction options from the configuration
+ * (aiRedaction: false disables redaction, aiRedactPatterns adds regular expressions)
+ * @param {object} [config] - Configuration object
+ * @returns {{ enabled: boolean, detectors: object[] }} Redaction options
+ */
+export const getRedactionOptions = (config = {}) => {
+    const custom = (config.aiRedactPatterns || []).map((entry, index) => {
+        const {
+            pattern,
+            name,
+            flags = "",
+        } = typeof entry === "string" ? { pattern: entry } : entry;
+        try {
+            return {
+                type: name || `custom-${index + 1}`,
+                label: name || "custom pattern match",
+                pattern: new RegExp(pattern, flags.includes("g") ? flags : `${flags}g`),
+            };
+        } catch (error) {
+            throw new Error(`Invalid aiRedactPatterns entry '${pattern}': ${error.message}`);
+        }
+    });
+    return { enabled: config.aiRedaction !== false, detectors: [...SECRET_DETECTORS, ...custom] };
+};
+
+/**
+ * Next free number of a placeholder tag
+ * @param {Map<string, string>} placeholders - Secret → placeholder
+ * @param {string} tag - Placeholder tag, e.g. "JWT"
+ * @returns {number} 1 + the number of placeholders with this tag
+ */
+const nextPlaceholderNumber = (placeholders, tag) => {
+    const prefix = `[REDACTED_${tag}_`;
+    return (
+        [...placeholders.values()].filter(
+            (placeholder) =>
+                placeholder.startsWith(prefix) && /^\d+\]$/.test(placeholder.slice(prefix.length))
+        ).length + 1
+    );
+};
+
+/**
+ * Replace secrets in text with placeholders. The same secret always gets the same
+ * placeholder, e.g. [REDACTED_JWT_1], so the model can still tell values apart. Pass the same
+ * `placeholders` map for every text of one conversation to keep the numbering consistent.
+ * @param {string} text - Text to redact
+ * @param {object} [options] - Options from getRedactionOptions()
+ * @param {Map<string, string>} [options.placeholders] - Secret → placeholder, extended in place
+ * @returns {{ text: string, findings: { type: string, label: string, count: number }[] }}
+ *          Redacted text and the number of distinct secrets per detector
+ */
+export const redactSecrets = (
+    text,
+    { detectors = SECRET_DETECTORS, placeholders = new Map() } = {}
+) => {
+    const found = new Set();
+    const findings = new Map();
+
+    const placeholderFor = (detector, secret) => {
+        if (!found.has(secret)) {
+            found.add(secret);
+            const finding = findings.get(detector.type) || { ...detector, count: 0 };
+            finding.count += 1;
+            findings.set(detector.type, finding);
+        }
+        if (!placeholders.has(secret)) {
+            const tag = detector.type.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+            placeholders.set(
+                secret,
+                `[REDACTED_${tag}_${nextPlaceholderNumber(placeholders, tag)}]`
+            );
+        }
+        return placeholders.get(secret);
+    };
+
+    let result = String(text || "");
+    detectors.forEach((detector) => {
+        result = result.replace(detector.pattern, (match, ...groups) => {
+            const secret = detector.group ? groups[detector.group - 1] : match;
+            if (!secret) return match;
+            return match.replace(secret, placeholderFor(detector, secret));
+        });
+    });
+    result = result.replace(HIGH_ENTROPY_CANDIDATE, (match) =>
+        isHighEntropyString(match) ? placeholderFor(HIGH_ENTROPY_DETECTOR, match) : match
+    );
+
+    return {
+        text: result,
+        findings: [...findings.values()].map(({ type, label, count }) => ({ type, label, count })),
+    };
+};
+
+/**
+ * Describe redaction findings for the terminal
+ * @param {{ label: string, count: number }[]} findings - Findings from redactSecrets()
+ * @returns {string} e.g. "1 AWS access key ID, 2 high-entropy string(s)"
+ */
+export const formatRedactionSummary = (findings) =>
+    findings
+        .map(({ label, count }) => (count === 1 ? `1 ${label}` : `${count} ${label}(s)`))
+        .join(", ");
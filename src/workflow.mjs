@@ -4,16 +4,229 @@
 import readline from "readline";
 import { getEditorCommand, editPullRequestContent, openInEditor } from "./config/common.mjs";
 import { validatePRInputAndBranches } from "./config/validation.mjs";
+import {
+    findDescriptionTemplates,
+    findDescriptionTemplateByName,
+} from "./config/description-templates.mjs";
 import {
     generateMergeRequestSafe,
     getDefaultPromptOptions,
     generateMergeRequest,
 } from "./merge-request-generator.mjs";
+import { getRepositoryRoot } from "./git-provider/git-provider.mjs";
 // GitHub utils are now provided by a factory and injected from the caller
 import { formatSourceBranchDisplay } from "./utils/branch-format.mjs";
+import { isOfflineReplay, resolveAiProviderName } from "./ai/providers.mjs";
+import { formatUsage } from "./ai/usage.mjs";
+import { formatResponseContent } from "./ai/response-parser.mjs";
+
+/**
+ * Run an AI generation while rendering its streamed output in the terminal.
+ * Streaming is on unless disabled via config (aiStream: false / --no-stream).
+ * @param {object} config - Configuration object
+ * @param {(onToken: ((token: string) => void)|undefined) => Promise<object>} run - Generation call
+ * @returns {Promise<object>} Result of the generation call
+ */
+const withStreamingOutput = async (config, run) => {
+    if (config.aiStream === false) {
+        return run(undefined);
+    }
+
+    let started = false;
+    const onToken = (token) => {
+        if (!started) {
+            started = true;
+            console.log("\n📡 Streaming AI response:\n");
+        }
+        process.stdout.write(token);
+    };
+
+    try {
+        return await run(onToken);
+    } finally {
+        if (started) {
+            process.stdout.write("\n");
+        }
+    }
+};
+
+/**
+ * Tell the user that an AI request failed transiently and is being retried
+ * @param {object} info - Retry details from fetchWithRetry
+ * @param {number} info.attempt - Attempt about to be made
+ * @param {number} info.maxAttempts - Total attempts allowed
+ * @param {number} info.delayMs - Wait before the attempt
+ * @param {string} info.reason - Why the previous attempt failed
+ */
+const reportRetry = ({ attempt, maxAttempts, delayMs, reason }) => {
+    console.log(
+        `⏳ AI request failed (${reason}). Retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt}/${maxAttempts})...`
+    );
+};
+
+/**
+ * Print which model produced a result, with its token usage and estimated cost
+ * @param {object} result - Result of generateMergeRequest
+ */
+const showGeneratedUsing = (result) => {
+    console.log(`\n🤖 Generated using: ${result.aiModel} (${result.model})`);
+    if (result.usage && result.usage.requests > 0) {
+        console.log(`📊 Tokens: ${formatUsage(result.usage)}`);
+    } else if (result.cached) {
+        console.log("📊 Tokens: none (cached response)");
+    }
+};
+
+/**
+ * Make the chosen (or merged) candidate the last answer of the result's conversation, so a
+ * later regeneration continues from it instead of taking it for an edit of the first candidate
+ * @param {object} result - Result of generateMergeRequest
+ * @param {{ title: string, description: string, labels?: string[] }} chosen - Chosen content
+ * @returns {object} Result holding the chosen content and the updated conversation
+ */
+const withChosenAnswer = (result, chosen) => {
+    const { conversation = [] } = result;
+    if (conversation.at(-1)?.role !== "assistant") {
+        return { ...result, ...chosen };
+    }
+    return {
+        ...result,
+        ...chosen,
+        conversation: [
+            ...conversation.slice(0, -1),
+            {
+                role: "assistant",
+                content: formatResponseContent(chosen, result.structured),
+                result: { title: chosen.title, description: chosen.description },
+            },
+        ],
+    };
+};
+
+/**
+ * Let the user pick one of several generated candidates, or combine the title of one with
+ * the description(s) of others
+ * @param {object} rl - Readline interface
+ * @param {object} result - Result of generateMergeRequest with `candidates`
+ * @returns {Promise<object>} Result holding the chosen title, description and labels
+ */
+const chooseCandidate = async (rl, result) => {
+    const { candidates } = result;
+    const ask = (question) =>
+        new Promise((resolve) => rl.question(question, (answer) => resolve(answer.trim())));
+    const parseIndex = (answer) => {
+        const index = Number(answer) - 1;
+        return Number.isInteger(index) && index >= 0 && index < candidates.length ? index : -1;
+    };
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`📝 Generated ${candidates.length} candidates`);
+    candidates.forEach((candidate, index) => {
+        console.log("=".repeat(60));
+        console.log(`${index + 1}. 🏷️  ${candidate.title}`);
+        console.log(`\n${candidate.description}`);
+    });
+    console.log("=".repeat(60));
+
+    while (true) {
+        console.log("📋 Which candidate would you like to continue with?");
+        candidates.forEach((candidate, index) => {
+            console.log(`${index + 1}. ✅ Use candidate ${index + 1}`);
+        });
+        console.log("m. 🧩 Merge parts (title from one, description from others)");
+        console.log("=".repeat(60));
+        const choice = (
+            await ask(`Choose an option (1-${candidates.length} or m): `)
+        ).toLowerCase();
+
+        const index = parseIndex(choice);
+        if (index >= 0) {
+            return withChosenAnswer(result, candidates[index]);
+        }
+
+        if (choice === "m") {
+            const titleIndex = parseIndex(
+                await ask(`Take the title from candidate (1-${candidates.length}): `)
+            );
+            const descriptionIndexes = (
+                await ask("Take the description from candidate(s), e.g. 2 or 1,3: ")
+            )
+                .split(",")
+                .map(parseIndex);
+            if (titleIndex < 0 || descriptionIndexes.some((i) => i < 0)) {
+                console.log("❌ Invalid candidate number.");
+                continue;
+            }
+            const chosen = [titleIndex, ...descriptionIndexes].map((i) => candidates[i]);
+            return withChosenAnswer(result, {
+                title: candidates[titleIndex].title,
+                description: descriptionIndexes
+                    .map((i) => candidates[i].description.trim())
+                    .join("\n\n"),
+                labels: [...new Set(chosen.flatMap((candidate) => candidate.labels || []))],
+            });
+        }
+
+        console.log(`❌ Invalid option. Please choose 1-${candidates.length} or m.`);
+    }
+};
 
 /**
- * Regenerate merge request with additional user instructions
+ * Pick the repository's description template for the prompt: the one named in
+ * config.descriptionTemplate, the only one found, or the user's choice when there are several.
+ * Set config.descriptionTemplate to false to ignore the repository's templates.
+ * @param {object} rl - Readline interface
+ * @param {object} config - Configuration object
+ * @param {"github"|"gitlab"} [platform] - Platform of the repository provider
+ * @returns {Promise<object|undefined>} Template, or undefined for the default description sections
+ */
+const chooseDescriptionTemplate = async (rl, config, platform) => {
+    if (config.descriptionTemplate === false) return undefined;
+    // Templates live at the repository root, also when run from a subdirectory
+    const templates = await findDescriptionTemplates(platform, await getRepositoryRoot());
+    if (templates.length === 0) return undefined;
+
+    let template;
+    if (config.descriptionTemplate) {
+        template = findDescriptionTemplateByName(templates, config.descriptionTemplate);
+        if (!template) {
+            console.warn(
+                `⚠️  Description template '${config.descriptionTemplate}' not found. Available: ${templates.map((candidate) => candidate.path).join(", ")}`
+            );
+        }
+    }
+    if (!template && templates.length === 1) {
+        [template] = templates;
+    }
+    if (!template) {
+        console.log("\n📋 This repository has several description templates:");
+        templates.forEach((candidate, index) => {
+            console.log(`${index + 1}. ${candidate.path}`);
+        });
+        console.log("0. None (use the default description sections)");
+        while (true) {
+            const answer = await new Promise((resolve) =>
+                rl.question(`Choose a template (0-${templates.length}, Enter for 1): `, (a) =>
+                    resolve(a.trim())
+                )
+            );
+            const index = answer === "" ? 1 : Number(answer);
+            if (Number.isInteger(index) && index >= 0 && index <= templates.length) {
+                template = templates[index - 1];
+                break;
+            }
+            console.log(`❌ Invalid option. Please choose 0-${templates.length}.`);
+        }
+        if (!template) return undefined;
+    }
+
+    console.log(`📋 Using the description template ${template.path}`);
+    return template;
+};
+
+/**
+ * Regenerate merge request with additional user instructions. With options.history the
+ * instructions continue that conversation; otherwise a new prompt includes previousResult.
  * @param {object} config - Configuration object
  * @param {string} sourceBranch - Source branch name
  * @param {string} targetBranch - Target branch name
@@ -71,10 +284,17 @@ const regenerateMergeRequest = async (
 
         console.log("🔄 Regenerating with additional instructions...");
 
-        return await generateMergeRequest(config, sourceBranch, targetBranch, jiraTickets, {
-            ...options,
-            promptOptions: enhancedOptions,
-        });
+        return await withStreamingOutput(config, (onToken) =>
+            generateMergeRequest(config, sourceBranch, targetBranch, jiraTickets, {
+                ...options,
+                promptOptions: enhancedOptions,
+                // Regeneration must produce a new answer, never a cached one
+                useCache: false,
+                candidates: 1,
+                onToken,
+                onRetry: reportRetry,
+            })
+        );
     } catch (error) {
         console.error("❌ Error during regeneration:", error.message);
         throw error;
@@ -105,6 +325,8 @@ const handleUserInteraction = async (
     let currentResult = { ...initialResult };
     const originalResult = { ...initialResult };
     let hasChanges = false;
+    // Messages exchanged with the AI so far; regenerations continue this conversation
+    let conversation = initialResult.conversation || [];
 
     const showMenu = async () => {
         console.log("\n" + "=".repeat(50));
@@ -121,13 +343,19 @@ const handleUserInteraction = async (
             console.log("4. ❌ Cancel (exit without saving)");
         }
 
+        if (conversation.length > 0) {
+            console.log("h. 📜 View conversation history");
+            console.log("r. 🧹 Reset conversation history");
+        }
+
         console.log("=".repeat(50));
 
         const maxOption = hasChanges ? "5" : "4";
+        const historyOptions = conversation.length > 0 ? ", h or r" : "";
 
         return new Promise((resolve) => {
-            rl.question(`Choose an option (1-${maxOption}): `, (choice) => {
-                resolve(choice.trim());
+            rl.question(`Choose an option (1-${maxOption}${historyOptions}): `, (choice) => {
+                resolve(choice.trim().toLowerCase());
             });
         });
     };
@@ -186,18 +414,24 @@ const handleUserInteraction = async (
                 { title: currentResult.title, description: currentResult.description },
                 {
                     aiModel: initialResult.aiModel,
-                    promptOptions: initialResult.promptOptions || getDefaultPromptOptions(),
+                    promptOptions:
+                        initialResult.promptOptions ||
+                        prConfig.promptOptions ||
+                        getDefaultPromptOptions(),
+                    history: conversation,
                 }
             );
 
             currentResult.title = regeneratedResult.title;
             currentResult.description = regeneratedResult.description;
+            conversation = regeneratedResult.conversation || conversation;
             hasChanges = true;
 
             console.log("\n" + "=".repeat(60));
             console.log("🔄 Regenerated Pull Request");
             console.log("=".repeat(60));
             showCurrentResult();
+            showGeneratedUsing(regeneratedResult);
         } catch (error) {
             console.error("❌ Failed to regenerate:", error.message);
             console.log("💡 Continuing with current content...");
@@ -211,6 +445,30 @@ const handleUserInteraction = async (
         showCurrentResult();
     };
 
+    const showConversation = () => {
+        console.log("\n" + "=".repeat(60));
+        console.log(`📜 Conversation history (${conversation.length} messages)`);
+        console.log("=".repeat(60));
+        conversation.forEach(({ role, content, result }, index) => {
+            if (role === "assistant") {
+                console.log(`🤖 AI: ${result ? result.title : content.split("\n")[0]}`);
+            } else if (index === 0) {
+                const lines = content.split("\n").length;
+                console.log(`👤 Initial prompt with the git context (${lines} lines)`);
+            } else {
+                console.log(`👤 You:\n${content.trim()}`);
+            }
+        });
+        console.log("=".repeat(60));
+    };
+
+    const resetConversation = () => {
+        conversation = [];
+        console.log(
+            "🧹 Conversation history cleared. The next regeneration starts from a fresh prompt."
+        );
+    };
+
     const showCurrentResult = () => {
         console.log(`\n🏷️  Title: ${currentResult.title}`);
         console.log(`\n📄 Description:\n${currentResult.description}`);
@@ -267,6 +525,16 @@ const handleUserInteraction = async (
                     console.log(`❌ Invalid option. Please choose 1-4.`);
                 }
                 break;
+            case "h":
+            case "r":
+                if (conversation.length === 0) {
+                    console.log(`❌ Invalid option. Please choose 1-${hasChanges ? "5" : "4"}.`);
+                } else if (choice === "h") {
+                    showConversation();
+                } else {
+                    resetConversation();
+                }
+                break;
             default:
                 console.log(`❌ Invalid option. Please choose 1-${hasChanges ? "5" : "4"}.`);
                 break;
@@ -304,12 +572,27 @@ export const executePRWorkflow = async ({ args, remoteName, config, repository,
             remoteSourceBranch,
             remoteTargetBranch,
             upstreamRemoteName,
-        } = await validatePRInputAndBranches({ args, remoteName });
+        } = await validatePRInputAndBranches({
+            args,
+            remoteName,
+            offline: isOfflineReplay(config),
+        });
+
+        // Active AI provider comes from config (aiProvider) via the provider registry
+        const aiModel = resolveAiProviderName(config);
+
+        // The repository's own PR/MR template, when it has one, shapes the description
+        const descriptionTemplate = await chooseDescriptionTemplate(
+            rl,
+            config,
+            repoProvider.platform
+        );
 
         const promptOptions = getDefaultPromptOptions({
             includeGitDiff: true,
             includeCommitMessages: true,
             includeChangedFiles: true,
+            ...(descriptionTemplate ? { descriptionTemplate } : {}),
         });
 
         // Check if a pull request already exists for these branches
@@ -351,19 +634,17 @@ export const executePRWorkflow = async ({ args, remoteName, config, repository,
             switch (choice.trim()) {
                 case "1":
                     console.log("🔄 Will regenerate with fresh content...");
-                    result = await generateMergeRequestSafe(
-                        config,
-                        sourceBranch,
-                        targetBranch,
-                        jiraTickets,
-                        {
-                            aiModel: "ChatGPT",
+                    result = await withStreamingOutput(config, (onToken) =>
+                        generateMergeRequestSafe(config, sourceBranch, targetBranch, jiraTickets, {
+                            aiModel,
                             promptOptions,
                             verbose: true,
                             remoteSourceBranch,
                             remoteTargetBranch,
                             remoteName: upstreamRemoteName || remoteName,
-                        }
+                            onToken,
+                            onRetry: reportRetry,
+                        })
                     );
                     break;
                 case "2":
@@ -378,7 +659,7 @@ export const executePRWorkflow = async ({ args, remoteName, config, repository,
                             jiraTickets,
                             { title: existingPR.title, description: existingPR.body || "" },
                             {
-                                aiModel: "ChatGPT",
+                                aiModel,
                                 promptOptions: promptOptions || getDefaultPromptOptions(),
                             }
                         );
@@ -399,29 +680,34 @@ export const executePRWorkflow = async ({ args, remoteName, config, repository,
 
             console.log("🔍 Generating AI-powered pull request...");
 
-            result = await generateMergeRequestSafe(
-                config,
-                sourceBranch,
-                targetBranch,
-                jiraTickets,
-                {
-                    aiModel: "ChatGPT",
+            result = await withStreamingOutput(config, (onToken) =>
+                generateMergeRequestSafe(config, sourceBranch, targetBranch, jiraTickets, {
+                    aiModel,
                     promptOptions,
                     verbose: true,
                     remoteSourceBranch,
                     remoteTargetBranch,
                     remoteName: upstreamRemoteName || remoteName,
-                }
+                    onToken,
+                    onRetry: reportRetry,
+                })
             );
         }
 
+        if (result.candidates && result.candidates.length > 1) {
+            result = await chooseCandidate(rl, result);
+        }
+
         console.log("\n" + "=".repeat(60));
         const actionText = existingPR ? "Updated Pull Request" : "Generated Pull Request";
         console.log(`📝 ${actionText}`);
         console.log("=".repeat(60));
         console.log(`\n🏷️  Title: ${result.title}`);
         console.log(`\n📄 Description:\n${result.description}`);
-        console.log(`\n🤖 Generated using: ${result.aiModel} (${result.model})`);
+        if (result.labels && result.labels.length > 0) {
+            console.log(`\n🔖 Suggested labels: ${result.labels.join(", ")}`);
+        }
+        showGeneratedUsing(result);
         console.log("=".repeat(60));
 
         // Handle user interaction with menu system
@@ -431,6 +717,7 @@ export const executePRWorkflow = async ({ args, remoteName, config, repository,
             remoteSourceBranch,
             remoteTargetBranch,
             repoProvider,
+            promptOptions,
         });
     } catch (error) {
         console.error("❌ Workflow error:", error.message);